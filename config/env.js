@@ -1,4 +1,6 @@
 import dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
 
 // Load environment variables from .env
 dotenv.config();
@@ -9,6 +11,73 @@ export const SUPABASE_URL = process.env.SUPABASE_URL || '';
 export const SUPABASE_KEY = process.env.SUPABASE_KEY || '';
 export const SUPABASE_BUCKET = process.env.SUPABASE_BUCKET || 'files';
 
+// Data driver: 'supabase' uses the database, 'memory' keeps every table in process (for tests)
+export const DATA_DRIVER = process.env.DATA_DRIVER || 'supabase';
+
+// Storage driver: 'supabase' keeps objects in SUPABASE_BUCKET, 'local' keeps them on disk
+export const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'supabase';
+export const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || path.resolve('data/storage');
+export const STORAGE_PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+export const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || '';
+
+// Resumable uploads: chunks are staged on disk until the upload completes
+export const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'datadock-uploads');
+export const UPLOAD_MAX_SIZE = Number(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024 * 1024; // 5GB
+export const UPLOAD_SESSION_TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+// Expired uploads and their staged chunks are deleted by a background job (0 disables the job)
+export const UPLOAD_SWEEP_INTERVAL_MINUTES = process.env.UPLOAD_SWEEP_INTERVAL_MINUTES !== undefined
+  ? Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES)
+  : 60;
+
+// ZIP import: limits that protect against oversized uploads and zip bombs
+export const ZIP_IMPORT_MAX_SIZE = Number(process.env.ZIP_IMPORT_MAX_SIZE) || 1024 * 1024 * 1024; // 1GB upload
+export const ZIP_IMPORT_MAX_ENTRIES = Number(process.env.ZIP_IMPORT_MAX_ENTRIES) || 10000;
+export const ZIP_IMPORT_MAX_UNCOMPRESSED = Number(process.env.ZIP_IMPORT_MAX_UNCOMPRESSED) || 5 * 1024 * 1024 * 1024; // 5GB extracted
+export const ZIP_IMPORT_MAX_RATIO = Number(process.env.ZIP_IMPORT_MAX_RATIO) || 100;
+
+// Storage quotas: default bytes per user, overridable per user through users.storage_quota
+export const STORAGE_QUOTA_DEFAULT = Number(process.env.STORAGE_QUOTA_DEFAULT) || 5 * 1024 * 1024 * 1024; // 5GB
+
+// Trash retention: trashed items older than this are purged by a background job (0 disables the job)
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+export const TRASH_PURGE_INTERVAL_MINUTES = process.env.TRASH_PURGE_INTERVAL_MINUTES !== undefined
+  ? Number(process.env.TRASH_PURGE_INTERVAL_MINUTES)
+  : 60;
+
+// Webhooks: failed deliveries are retried with exponential backoff (base, 2x base, 4x base, ...)
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+export const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+export const WEBHOOK_RETRY_INTERVAL_SECONDS = Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 15;
+// Hosts webhooks may reach even though they resolve to private, loopback or link-local addresses
+export const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Content search: text is extracted from files up to this size, and at most this many characters are indexed
+export const CONTENT_INDEX_MAX_SIZE = Number(process.env.CONTENT_INDEX_MAX_SIZE) || 50 * 1024 * 1024; // 50MB
+export const CONTENT_INDEX_MAX_CHARS = Number(process.env.CONTENT_INDEX_MAX_CHARS) || 500000;
+// Backfill of files that have not been processed yet (0 disables the job)
+export const CONTENT_INDEX_BATCH_SIZE = Number(process.env.CONTENT_INDEX_BATCH_SIZE) || 50;
+export const CONTENT_INDEX_INTERVAL_MINUTES = process.env.CONTENT_INDEX_INTERVAL_MINUTES !== undefined
+  ? Number(process.env.CONTENT_INDEX_INTERVAL_MINUTES)
+  : 10;
+
+// Name search: how similar (0 to 1, pg_trgm word similarity) a word of a name must be to a
+// mistyped term
+export const SEARCH_FUZZY_THRESHOLD = Number(process.env.SEARCH_FUZZY_THRESHOLD) || 0.4;
+
+// Change streams (GET /events): a comment is sent this often so proxies keep idle connections open
+export const EVENTS_HEARTBEAT_SECONDS = Number(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+export const EVENTS_MAX_STREAMS_PER_USER = Number(process.env.EVENTS_MAX_STREAMS_PER_USER) || 10;
+
+// Users allowed to see admin reports
+export const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
 // Warn if required variables are missing (non-fatal, matches current behavior)
 const requiredEnv = ['SUPABASE_URL', 'SUPABASE_KEY'];
 const missing = requiredEnv.filter((k) => !process.env[k]);
@@ -1,11 +1,14 @@
--- Enable UUID extension
+-- Enable extensions: UUIDs, and trigram similarity and accent folding for fuzzy name search
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
 
 -- Users table
 CREATE TABLE IF NOT EXISTS public.users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email VARCHAR(255) UNIQUE NOT NULL,
     username VARCHAR(255) NOT NULL,
+    storage_quota BIGINT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -17,6 +20,10 @@ CREATE TABLE IF NOT EXISTS public.folders (
     parent_id UUID REFERENCES public.folders(id) ON DELETE CASCADE,
     owner_email VARCHAR(255) NOT NULL,
     is_starred BOOLEAN DEFAULT FALSE,
+    is_deleted BOOLEAN DEFAULT FALSE,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_with_folder_id UUID,
+    property_schema JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -36,10 +43,59 @@ CREATE TABLE IF NOT EXISTS public.files (
     is_starred BOOLEAN DEFAULT FALSE,
     is_deleted BOOLEAN DEFAULT FALSE,
     deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_with_folder_id UUID,
+    current_version INTEGER DEFAULT 1,
+    properties JSONB NOT NULL DEFAULT '{}',
+    content_status VARCHAR(20),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- File versions table (every revision keeps its own storage object)
+CREATE TABLE IF NOT EXISTS public.file_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    file_id UUID NOT NULL REFERENCES public.files(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    storage_path VARCHAR(500) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    size BIGINT,
+    uploaded_by VARCHAR(255) NOT NULL,
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (file_id, version_number)
+);
+
+-- Upload sessions table (resumable uploads staged on disk until complete)
+CREATE TABLE IF NOT EXISTS public.upload_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_email VARCHAR(255) NOT NULL,
+    folder_id UUID REFERENCES public.folders(id) ON DELETE SET NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100),
+    upload_length BIGINT NOT NULL,
+    upload_offset BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'completed', 'expired')),
+    file_id UUID REFERENCES public.files(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Trash purge runs table (report of what each retention run or "empty trash" removed)
+CREATE TABLE IF NOT EXISTS public.trash_purge_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('scheduled', 'empty_trash')),
+    owner_email VARCHAR(255),
+    retention_days INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    files_purged INTEGER DEFAULT 0,
+    folders_purged INTEGER DEFAULT 0,
+    bytes_purged BIGINT DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb
+);
+
 -- Permissions table (for sharing with specific users)
 CREATE TABLE IF NOT EXISTS public.permissions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -64,24 +120,603 @@ CREATE TABLE IF NOT EXISTS public.shared_links (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Tags table (labels each user defines for their own organization)
+CREATE TABLE IF NOT EXISTS public.tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_email VARCHAR(255) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#9e9e9e' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (owner_email, name)
+);
+
+-- Item tags table (tags attached to files and folders)
+CREATE TABLE IF NOT EXISTS public.item_tags (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tag_id UUID NOT NULL REFERENCES public.tags(id) ON DELETE CASCADE,
+    resource_id UUID NOT NULL,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('file', 'folder')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tag_id, resource_id, resource_type)
+);
+
+-- Comments table (threads on files and folders; replies point at the thread's first comment)
+CREATE TABLE IF NOT EXISTS public.comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    resource_id UUID NOT NULL,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('file', 'folder')),
+    parent_id UUID REFERENCES public.comments(id) ON DELETE CASCADE,
+    author_email VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    mentions TEXT[] NOT NULL DEFAULT '{}',
+    is_resolved BOOLEAN DEFAULT FALSE,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Activity table (audit log of changes; actor_email is NULL for system jobs such as
+-- trash retention, and rows are kept after the resource is purged)
+CREATE TABLE IF NOT EXISTS public.activity (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_email VARCHAR(255),
+    action VARCHAR(50) NOT NULL,
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('file', 'folder', 'object')),
+    resource_id UUID,
+    resource_name VARCHAR(500),
+    owner_email VARCHAR(255),
+    folder_id UUID,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhooks table (endpoints notified of events on their owner's items, optionally
+-- only inside folder_id) and the log of every delivery attempt
+CREATE TABLE IF NOT EXISTS public.webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_email VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    events TEXT[] NOT NULL,
+    folder_id UUID REFERENCES public.folders(id) ON DELETE CASCADE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES public.webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    redelivery_of UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Text extracted from file contents for full-text search
+CREATE TABLE IF NOT EXISTS public.file_contents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    file_id UUID NOT NULL UNIQUE REFERENCES public.files(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+    extracted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Saved searches (GET /search/advanced parameters and sort, run live as smart folders)
+-- and the users they are shared with
+CREATE TABLE IF NOT EXISTS public.saved_searches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_email VARCHAR(255) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    params JSONB NOT NULL DEFAULT '{}',
+    sort_by VARCHAR(100) DEFAULT 'name',
+    sort_order VARCHAR(4) DEFAULT 'asc' CHECK (sort_order IN ('asc', 'desc')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.saved_search_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    saved_search_id UUID NOT NULL REFERENCES public.saved_searches(id) ON DELETE CASCADE,
+    user_email VARCHAR(255) NOT NULL,
+    granted_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (saved_search_id, user_email)
+);
+
+-- Opens of files and folders for GET /search/recent and per-file stats: views and downloads,
+-- and share link visits (link_id set; user_email NULL for visitors who are not signed in)
+CREATE TABLE IF NOT EXISTS public.access_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    resource_type VARCHAR(20) NOT NULL CHECK (resource_type IN ('file', 'folder')),
+    resource_id UUID NOT NULL,
+    user_email VARCHAR(255),
+    access_type VARCHAR(20) NOT NULL CHECK (access_type IN ('view', 'download')),
+    link_id UUID REFERENCES public.shared_links(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- unaccent is only STABLE; indexes need an IMMUTABLE function with a fixed dictionary
+CREATE OR REPLACE FUNCTION public.immutable_unaccent(TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT AS $$
+    SELECT public.unaccent('public.unaccent', $1);
+$$;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_folders_owner ON public.folders(owner_email);
 CREATE INDEX IF NOT EXISTS idx_folders_parent ON public.folders(parent_id);
+CREATE INDEX IF NOT EXISTS idx_folders_deleted ON public.folders(is_deleted);
+CREATE INDEX IF NOT EXISTS idx_folders_deleted_with ON public.folders(deleted_with_folder_id);
 CREATE INDEX IF NOT EXISTS idx_files_owner ON public.files(owner_email);
 CREATE INDEX IF NOT EXISTS idx_files_folder ON public.files(folder_id);
 CREATE INDEX IF NOT EXISTS idx_files_deleted ON public.files(is_deleted);
+CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON public.files(deleted_at);
 CREATE INDEX IF NOT EXISTS idx_files_starred ON public.files(is_starred);
+CREATE INDEX IF NOT EXISTS idx_files_deleted_with ON public.files(deleted_with_folder_id);
+CREATE INDEX IF NOT EXISTS idx_file_versions_file ON public.file_versions(file_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_owner ON public.upload_sessions(owner_email);
+CREATE INDEX IF NOT EXISTS idx_trash_purge_runs_started ON public.trash_purge_runs(started_at);
 CREATE INDEX IF NOT EXISTS idx_permissions_resource ON public.permissions(resource_id, resource_type);
 CREATE INDEX IF NOT EXISTS idx_permissions_user ON public.permissions(user_email);
 CREATE INDEX IF NOT EXISTS idx_shared_links_token ON public.shared_links(link_token);
 CREATE INDEX IF NOT EXISTS idx_shared_links_resource ON public.shared_links(resource_id, resource_type);
+CREATE INDEX IF NOT EXISTS idx_tags_owner ON public.tags(owner_email);
+CREATE INDEX IF NOT EXISTS idx_item_tags_resource ON public.item_tags(resource_id, resource_type);
+CREATE INDEX IF NOT EXISTS idx_comments_resource ON public.comments(resource_id, resource_type);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON public.comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_activity_actor ON public.activity(actor_email);
+CREATE INDEX IF NOT EXISTS idx_activity_owner ON public.activity(owner_email);
+CREATE INDEX IF NOT EXISTS idx_activity_resource ON public.activity(resource_id);
+CREATE INDEX IF NOT EXISTS idx_activity_folder ON public.activity(folder_id);
+CREATE INDEX IF NOT EXISTS idx_activity_created ON public.activity(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON public.webhooks(owner_email);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON public.webhook_deliveries(webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON public.webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_files_content_pending ON public.files(created_at) WHERE content_status IS NULL;
+CREATE INDEX IF NOT EXISTS idx_file_contents_search ON public.file_contents USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_owner ON public.saved_searches(owner_email);
+CREATE INDEX IF NOT EXISTS idx_saved_search_shares_user ON public.saved_search_shares(user_email);
+CREATE INDEX IF NOT EXISTS idx_files_name_trgm ON public.files USING GIN (lower(public.immutable_unaccent(name)) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_folders_name_trgm ON public.folders USING GIN (lower(public.immutable_unaccent(name)) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_access_events_user ON public.access_events(user_email, resource_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_events_resource ON public.access_events(resource_id, access_type);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON public.upload_sessions(status, expires_at);
+
+-- Storage used by a user: live and trashed files plus their older versions, and the
+-- bytes reserved by resumable uploads that are still in progress
+CREATE OR REPLACE FUNCTION public.get_storage_used(p_owner_email TEXT)
+RETURNS TABLE (used_bytes BIGINT, trashed_bytes BIGINT, reserved_bytes BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH owned AS (
+        SELECT
+            f.is_deleted,
+            -- Restores add versions that reuse an older object, so each object counts once
+            COALESCE(f.size, 0) + COALESCE((
+                SELECT SUM(o.size) FROM (
+                    SELECT DISTINCT ON (v.storage_path) v.size
+                    FROM public.file_versions v
+                    WHERE v.file_id = f.id AND v.storage_path <> f.storage_path
+                    ORDER BY v.storage_path, v.version_number
+                ) o
+            ), 0) AS bytes
+        FROM public.files f
+        WHERE f.owner_email = p_owner_email
+    )
+    SELECT
+        COALESCE((SELECT SUM(bytes) FROM owned), 0)::BIGINT,
+        COALESCE((SELECT SUM(bytes) FROM owned WHERE is_deleted), 0)::BIGINT,
+        COALESCE((
+            SELECT SUM(s.upload_length) FROM public.upload_sessions s
+            WHERE s.owner_email = p_owner_email
+            AND s.status = 'uploading'
+            AND s.expires_at > NOW()
+        ), 0)::BIGINT;
+$$;
+
+-- Storage usage report for a user, computed in one query: totals for live, trashed and
+-- older version data, a breakdown by type family, the largest files and the recursive
+-- size of each top-level folder
+CREATE OR REPLACE FUNCTION public.get_storage_usage(p_owner_email TEXT, p_largest_limit INTEGER DEFAULT 10)
+RETURNS JSONB
+LANGUAGE sql STABLE AS $$
+    WITH RECURSIVE owned_files AS (
+        SELECT
+            f.id,
+            f.name,
+            f.mime_type,
+            COALESCE(f.size, 0) AS size,
+            f.folder_id,
+            f.is_deleted,
+            f.updated_at,
+            CASE
+                WHEN f.mime_type LIKE 'image/%' THEN 'images'
+                WHEN f.mime_type LIKE 'video/%' THEN 'video'
+                WHEN f.mime_type LIKE 'audio/%' THEN 'audio'
+                WHEN f.mime_type LIKE 'text/%'
+                    OR f.mime_type IN ('application/pdf', 'application/rtf', 'application/msword',
+                                       'application/vnd.ms-excel', 'application/vnd.ms-powerpoint')
+                    OR f.mime_type LIKE 'application/vnd.openxmlformats-officedocument.%'
+                    OR f.mime_type LIKE 'application/vnd.oasis.opendocument.%' THEN 'documents'
+                WHEN f.mime_type IN ('application/zip', 'application/x-zip-compressed', 'application/gzip',
+                                     'application/x-gzip', 'application/x-tar', 'application/x-bzip2',
+                                     'application/x-7z-compressed', 'application/vnd.rar',
+                                     'application/x-rar-compressed') THEN 'archives'
+                ELSE 'other'
+            END AS family
+        FROM public.files f
+        WHERE f.owner_email = p_owner_email
+    ),
+    -- Storage objects of older versions, each counted once even when a restore reuses it
+    old_versions AS (
+        SELECT DISTINCT ON (v.file_id, v.storage_path) COALESCE(v.size, 0) AS size
+        FROM public.file_versions v
+        JOIN public.files f ON f.id = v.file_id
+        WHERE f.owner_email = p_owner_email
+        AND v.storage_path <> f.storage_path
+        ORDER BY v.file_id, v.storage_path, v.version_number
+    ),
+    folder_tree AS (
+        SELECT id AS top_id, id
+        FROM public.folders
+        WHERE owner_email = p_owner_email AND parent_id IS NULL AND is_deleted = false
+        UNION ALL
+        SELECT t.top_id, c.id
+        FROM public.folders c
+        JOIN folder_tree t ON c.parent_id = t.id
+        WHERE c.is_deleted = false
+    ),
+    folder_sizes AS (
+        SELECT t.top_id, COALESCE(SUM(o.size), 0) AS bytes, COUNT(o.id) AS files
+        FROM folder_tree t
+        LEFT JOIN owned_files o ON o.folder_id = t.id AND NOT o.is_deleted
+        GROUP BY t.top_id
+    ),
+    type_sizes AS (
+        SELECT family, SUM(size) AS bytes, COUNT(*) AS files
+        FROM owned_files
+        WHERE NOT is_deleted
+        GROUP BY family
+    ),
+    largest AS (
+        SELECT id, name, mime_type, size, folder_id, updated_at
+        FROM owned_files
+        WHERE NOT is_deleted
+        ORDER BY size DESC
+        LIMIT p_largest_limit
+    )
+    SELECT jsonb_build_object(
+        'totals', jsonb_build_object(
+            'bytes', (SELECT COALESCE(SUM(size), 0) FROM owned_files) + (SELECT COALESCE(SUM(size), 0) FROM old_versions),
+            'files', (SELECT COUNT(*) FROM owned_files)
+        ),
+        'live', (SELECT jsonb_build_object('bytes', COALESCE(SUM(size), 0), 'files', COUNT(*)) FROM owned_files WHERE NOT is_deleted),
+        'trashed', (SELECT jsonb_build_object('bytes', COALESCE(SUM(size), 0), 'files', COUNT(*)) FROM owned_files WHERE is_deleted),
+        'versions', (SELECT jsonb_build_object('bytes', COALESCE(SUM(size), 0), 'count', COUNT(*)) FROM old_versions),
+        'byType', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('type', family, 'bytes', bytes, 'files', files) ORDER BY bytes DESC)
+            FROM type_sizes
+        ), '[]'::jsonb),
+        'largestFiles', COALESCE((
+            SELECT jsonb_agg(to_jsonb(largest) ORDER BY size DESC)
+            FROM largest
+        ), '[]'::jsonb),
+        'rootFiles', (
+            SELECT jsonb_build_object('bytes', COALESCE(SUM(size), 0), 'files', COUNT(*))
+            FROM owned_files
+            WHERE NOT is_deleted AND folder_id IS NULL
+        ),
+        'folders', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('id', fo.id, 'name', fo.name, 'bytes', s.bytes, 'files', s.files) ORDER BY s.bytes DESC)
+            FROM folder_sizes s
+            JOIN public.folders fo ON fo.id = s.top_id
+        ), '[]'::jsonb)
+    );
+$$;
+
+-- Full-text search over extracted file contents. Returns one page of the live files the
+-- user owns or whose id is in p_file_ids, best match first, with a snippet whose matches
+-- are wrapped in chr(2) and chr(3) and the total number of matches. p_folder_ids, when
+-- not NULL, limits the search to files in those folders.
+CREATE OR REPLACE FUNCTION public.search_file_contents(
+    p_query TEXT,
+    p_user_email TEXT,
+    p_file_ids UUID[],
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0,
+    p_folder_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (file_id UUID, rank REAL, snippet TEXT, total BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', p_query) AS query
+    ),
+    matches AS (
+        SELECT c.file_id, ts_rank_cd(c.search_vector, s.query, 32) AS rank, COUNT(*) OVER () AS total
+        FROM public.file_contents c
+        JOIN public.files f ON f.id = c.file_id
+        CROSS JOIN search s
+        WHERE c.search_vector @@ s.query
+        AND f.is_deleted = false
+        AND (f.owner_email = p_user_email OR f.id = ANY(p_file_ids))
+        AND (p_folder_ids IS NULL OR f.folder_id = ANY(p_folder_ids))
+        ORDER BY rank DESC, c.file_id
+        LIMIT p_limit OFFSET p_offset
+    )
+    -- Snippets are only built for the rows of the page
+    SELECT
+        m.file_id,
+        m.rank,
+        ts_headline('english', c.content, s.query,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "'),
+        m.total
+    FROM matches m
+    JOIN public.file_contents c ON c.file_id = m.file_id
+    CROSS JOIN search s
+    ORDER BY m.rank DESC, m.file_id;
+$$;
+
+-- LIKE pattern text matching s literally
+CREATE OR REPLACE FUNCTION public.like_escape(s TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT AS $$
+    SELECT replace(replace(replace(s, '\', '\\'), '%', '\%'), '_', '\_');
+$$;
+
+-- SQL condition for a name search expression (buildSearchExpression in utils/searchQuery.js):
+-- { "and": [nodes] }, { "or": [nodes] }, { "not": node } or a filter whose keys (from
+-- repos/filters.js, plus nameMatches) are AND-ed. nameMatches is true when the accent- and
+-- case-insensitive name contains the term or has a word at least
+-- pg_trgm.word_similarity_threshold similar to it. Values are quoted with %L and unknown keys
+-- raise an error, so the result is safe to run.
+CREATE OR REPLACE FUNCTION public.search_condition(p_node JSONB)
+RETURNS TEXT
+LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+    v_key TEXT;
+    v_value JSONB;
+    v_text TEXT;
+    v_list TEXT[];
+    v_conditions TEXT[] := '{}';
+BEGIN
+    IF p_node ? 'and' OR p_node ? 'or' THEN
+        RETURN '(' || COALESCE((
+            SELECT string_agg(public.search_condition(child), CASE WHEN p_node ? 'and' THEN ' AND ' ELSE ' OR ' END)
+            FROM jsonb_array_elements(COALESCE(p_node->'and', p_node->'or')) child
+        ), CASE WHEN p_node ? 'and' THEN 'true' ELSE 'false' END) || ')';
+    END IF;
+
+    IF p_node ? 'not' THEN
+        RETURN '(NOT ' || public.search_condition(p_node->'not') || ')';
+    END IF;
+
+    FOR v_key, v_value IN SELECT * FROM jsonb_each(p_node) LOOP
+        v_text := v_value #>> '{}';
+        v_list := CASE WHEN jsonb_typeof(v_value) = 'array' THEN ARRAY(SELECT jsonb_array_elements_text(v_value)) END;
+
+        v_conditions := v_conditions || CASE v_key
+            WHEN 'nameMatches' THEN format(
+                '(lower(public.immutable_unaccent(name)) LIKE %L OR %L <%% lower(public.immutable_unaccent(name)))',
+                '%' || public.like_escape(lower(public.immutable_unaccent(v_text))) || '%',
+                lower(public.immutable_unaccent(v_text))
+            )
+            WHEN 'nameContains' THEN format('name ILIKE %L', '%' || public.like_escape(v_text) || '%')
+            WHEN 'id' THEN format('id = %L::UUID', v_text)
+            WHEN 'ids' THEN format('id = ANY(%L::UUID[])', v_list)
+            WHEN 'ownerEmail' THEN format('owner_email = %L', v_text)
+            WHEN 'isStarred' THEN format('is_starred = %L::BOOLEAN', v_text)
+            WHEN 'mimeType' THEN CASE WHEN v_text IS NULL THEN 'mime_type IS NULL' ELSE format('mime_type = %L', v_text) END
+            WHEN 'mimeTypes' THEN format('mime_type = ANY(%L::TEXT[])', v_list)
+            WHEN 'mimeTypeStartsWith' THEN format('mime_type ILIKE %L', public.like_escape(v_text) || '%')
+            WHEN 'size' THEN format('size = %L::BIGINT', v_text)
+            WHEN 'sizeAbove' THEN format('size > %L::BIGINT', v_text)
+            WHEN 'minSize' THEN format('size >= %L::BIGINT', v_text)
+            WHEN 'sizeBelow' THEN format('size < %L::BIGINT', v_text)
+            WHEN 'maxSize' THEN format('size <= %L::BIGINT', v_text)
+            WHEN 'folderId' THEN CASE WHEN v_text IS NULL THEN 'folder_id IS NULL' ELSE format('folder_id = %L::UUID', v_text) END
+            WHEN 'folderIds' THEN format('folder_id = ANY(%L::UUID[])', v_list)
+            WHEN 'parentId' THEN CASE WHEN v_text IS NULL THEN 'parent_id IS NULL' ELSE format('parent_id = %L::UUID', v_text) END
+            WHEN 'parentIds' THEN format('parent_id = ANY(%L::UUID[])', v_list)
+            WHEN 'createdAfter' THEN format('created_at > %L::TIMESTAMPTZ', v_text)
+            WHEN 'createdFrom' THEN format('created_at >= %L::TIMESTAMPTZ', v_text)
+            WHEN 'createdBefore' THEN format('created_at < %L::TIMESTAMPTZ', v_text)
+            WHEN 'createdTo' THEN format('created_at <= %L::TIMESTAMPTZ', v_text)
+            WHEN 'updatedAfter' THEN format('updated_at > %L::TIMESTAMPTZ', v_text)
+            WHEN 'updatedFrom' THEN format('updated_at >= %L::TIMESTAMPTZ', v_text)
+            WHEN 'updatedBefore' THEN format('updated_at < %L::TIMESTAMPTZ', v_text)
+            WHEN 'updatedTo' THEN format('updated_at <= %L::TIMESTAMPTZ', v_text)
+        END;
+
+        IF v_conditions[cardinality(v_conditions)] IS NULL THEN
+            RAISE EXCEPTION 'Unknown search filter "%"', v_key;
+        END IF;
+    END LOOP;
+
+    IF cardinality(v_conditions) = 0 THEN
+        RETURN 'true';
+    END IF;
+    RETURN '(' || array_to_string(v_conditions, ' AND ') || ')';
+END;
+$$;
+
+-- Relevance of a name to the folded terms of a search: the average match score of the terms
+-- (1 when the name contains the term, else its word similarity if at least p_threshold),
+-- plus 0.5 when the name starts with a term, 0.2 for starred items and 0.3 for recently
+-- changed items, halving every 30 days
+CREATE OR REPLACE FUNCTION public.search_relevance(
+    p_name TEXT,
+    p_terms TEXT[],
+    p_threshold REAL,
+    p_is_starred BOOLEAN,
+    p_changed_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS NUMERIC
+LANGUAGE sql STABLE AS $$
+    WITH item AS (
+        SELECT lower(public.immutable_unaccent(p_name)) AS name
+    )
+    SELECT round((
+        COALESCE((
+            SELECT AVG(CASE
+                WHEN item.name LIKE '%' || public.like_escape(t) || '%' THEN 1
+                WHEN word_similarity(t, item.name) >= p_threshold THEN word_similarity(t, item.name)
+                ELSE 0
+            END)
+            FROM unnest(p_terms) t
+        ), 0)
+        + CASE WHEN EXISTS (SELECT 1 FROM unnest(p_terms) t WHERE item.name LIKE public.like_escape(t) || '%') THEN 0.5 ELSE 0 END
+        + CASE WHEN p_is_starred THEN 0.2 ELSE 0 END
+        + CASE WHEN p_changed_at IS NULL THEN 0
+            ELSE 0.3 * power(0.5, GREATEST(0, EXTRACT(EPOCH FROM now() - p_changed_at)) / 86400 / 30) END
+    )::NUMERIC, 4)
+    FROM item;
+$$;
+
+-- Name search (GET /search) over the live files (p_resource_type 'file') or folders a user
+-- owns or that are shared with them, matching p_where (see search_condition). p_terms are the
+-- words relevance is scored against, and p_folder_id, when not NULL, limits the search to
+-- items anywhere inside that folder. Returns the exact number of matches, their counts by
+-- mime type (NULL for folders), owner, starred state and year of the last change (UTC), and
+-- one page of { id, relevance } ordered by p_order_by: relevance (best first, then name),
+-- name, created_at or size.
+CREATE OR REPLACE FUNCTION public.search_items(
+    p_resource_type TEXT,
+    p_user_email TEXT,
+    p_where JSONB,
+    p_terms TEXT[] DEFAULT '{}',
+    p_folder_id UUID DEFAULT NULL,
+    p_threshold REAL DEFAULT 0.4,
+    p_order_by TEXT DEFAULT 'relevance',
+    p_ascending BOOLEAN DEFAULT true,
+    p_offset INTEGER DEFAULT 0,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+    v_is_file BOOLEAN := p_resource_type = 'file';
+    v_terms TEXT[] := ARRAY(SELECT lower(public.immutable_unaccent(t)) FROM unnest(p_terms) t);
+    v_order TEXT;
+    v_result JSONB;
+BEGIN
+    IF p_resource_type NOT IN ('file', 'folder') THEN
+        RAISE EXCEPTION 'Unknown resource type "%"', p_resource_type;
+    END IF;
+
+    v_order := CASE
+        WHEN p_order_by = 'relevance' THEN 'relevance DESC, name, id'
+        WHEN p_order_by IN ('name', 'created_at') OR (p_order_by = 'size' AND v_is_file) THEN
+            format('%I %s NULLS LAST, id', p_order_by, CASE WHEN p_ascending THEN 'ASC' ELSE 'DESC' END)
+    END;
+    IF v_order IS NULL THEN
+        RAISE EXCEPTION 'Cannot order % search results by "%"', p_resource_type, p_order_by;
+    END IF;
+
+    -- <% compares against this threshold and, like LIKE, is answered from the trigram indexes
+    PERFORM set_config('pg_trgm.word_similarity_threshold', p_threshold::TEXT, true);
+
+    EXECUTE format($query$
+        WITH RECURSIVE scope AS (
+            SELECT id FROM public.folders WHERE id = $1
+            UNION
+            SELECT c.id FROM public.folders c JOIN scope s ON c.parent_id = s.id WHERE c.is_deleted = false
+        ),
+        matches AS (
+            SELECT id, name, owner_email, COALESCE(is_starred, false) AS is_starred, created_at,
+                %1$s AS mime_type, %2$s AS size, COALESCE(updated_at, created_at) AS changed_at
+            FROM public.%3$I
+            WHERE is_deleted = false
+            AND (owner_email = $2 OR id IN (
+                SELECT resource_id FROM public.permissions WHERE resource_type = $3 AND user_email = $2
+            ))
+            AND ($1 IS NULL OR %4$I IN (SELECT id FROM scope))
+            AND %5$s
+        ),
+        ranked AS (
+            SELECT *, public.search_relevance(name, $4, $5, is_starred, changed_at) AS relevance
+            FROM matches
+        ),
+        -- Relevance is only scored for every match when it decides the order
+        page AS (
+            SELECT id, name, is_starred, changed_at, row_number() OVER (ORDER BY %6$s) AS position
+            FROM %7$s
+            ORDER BY %6$s
+            LIMIT $6 OFFSET $7
+        ),
+        counts AS (
+            SELECT 'mimeType' AS facet, to_jsonb(mime_type) AS value, COUNT(*) AS count FROM matches GROUP BY mime_type
+            UNION ALL
+            SELECT 'owner', to_jsonb(owner_email), COUNT(*) FROM matches GROUP BY owner_email
+            UNION ALL
+            SELECT 'starred', to_jsonb(is_starred), COUNT(*) FROM matches GROUP BY is_starred
+            UNION ALL
+            SELECT 'modifiedYear', to_jsonb(EXTRACT(YEAR FROM changed_at AT TIME ZONE 'UTC')::INTEGER), COUNT(*)
+            FROM matches GROUP BY 2
+        )
+        SELECT jsonb_build_object(
+            'total', (SELECT COUNT(*) FROM matches),
+            'items', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'id', id,
+                    'relevance', public.search_relevance(name, $4, $5, is_starred, changed_at)
+                ) ORDER BY position)
+                FROM page
+            ), '[]'::jsonb),
+            'facets', jsonb_build_object(
+                'mimeType', '[]'::jsonb, 'owner', '[]'::jsonb, 'starred', '[]'::jsonb, 'modifiedYear', '[]'::jsonb
+            ) || COALESCE((
+                SELECT jsonb_object_agg(facet, value_counts)
+                FROM (
+                    SELECT facet, jsonb_agg(jsonb_build_object('value', value, 'count', count)) AS value_counts
+                    FROM counts
+                    GROUP BY facet
+                ) f
+            ), '{}'::jsonb)
+        )
+    $query$,
+        CASE WHEN v_is_file THEN 'mime_type' ELSE 'NULL::TEXT' END,
+        CASE WHEN v_is_file THEN 'size' ELSE 'NULL::BIGINT' END,
+        CASE WHEN v_is_file THEN 'files' ELSE 'folders' END,
+        CASE WHEN v_is_file THEN 'folder_id' ELSE 'parent_id' END,
+        public.search_condition(COALESCE(p_where, '{}'::jsonb)),
+        v_order,
+        CASE WHEN p_order_by = 'relevance' THEN 'ranked' ELSE 'matches' END
+    )
+    INTO v_result
+    USING p_folder_id, p_user_email, p_resource_type, v_terms, p_threshold, p_limit, p_offset;
+
+    RETURN v_result;
+END;
+$$;
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.folders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.file_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trash_purge_runs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.permissions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.shared_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.item_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.file_contents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.saved_search_shares ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.access_events ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies if they exist
 DROP POLICY IF EXISTS "Users can view own folders" ON public.folders;
@@ -96,6 +731,10 @@ DROP POLICY IF EXISTS "Users can update own files" ON public.files;
 DROP POLICY IF EXISTS "Users can delete own files" ON public.files;
 DROP POLICY IF EXISTS "Users can view shared files" ON public.files;
 
+DROP POLICY IF EXISTS "Users can view own file versions" ON public.file_versions;
+
+DROP POLICY IF EXISTS "Users can view own upload sessions" ON public.upload_sessions;
+
 DROP POLICY IF EXISTS "Users can view own permissions" ON public.permissions;
 DROP POLICY IF EXISTS "Users can insert own permissions" ON public.permissions;
 DROP POLICY IF EXISTS "Users can update own permissions" ON public.permissions;
@@ -106,9 +745,12 @@ DROP POLICY IF EXISTS "Users can insert own shared links" ON public.shared_links
 DROP POLICY IF EXISTS "Users can update own shared links" ON public.shared_links;
 DROP POLICY IF EXISTS "Users can delete own shared links" ON public.shared_links;
 
+DROP POLICY IF EXISTS "Users can view own tags" ON public.tags;
+DROP POLICY IF EXISTS "Users can view own item tags" ON public.item_tags;
+
 -- Folder policies
 CREATE POLICY "Users can view own folders" ON public.folders
-    FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+    FOR SELECT USING (owner_email = auth.jwt() ->> 'email' AND is_deleted = false);
 
 CREATE POLICY "Users can insert own folders" ON public.folders
     FOR INSERT WITH CHECK (owner_email = auth.jwt() ->> 'email');
@@ -121,6 +763,7 @@ CREATE POLICY "Users can delete own folders" ON public.folders
 
 CREATE POLICY "Users can view shared folders" ON public.folders
     FOR SELECT USING (
+        is_deleted = false AND
         EXISTS (
             SELECT 1 FROM public.permissions 
             WHERE resource_id = folders.id 
@@ -153,6 +796,20 @@ CREATE POLICY "Users can view shared files" ON public.files
         )
     );
 
+-- File version policies
+CREATE POLICY "Users can view own file versions" ON public.file_versions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.files
+            WHERE files.id = file_versions.file_id
+            AND files.owner_email = auth.jwt() ->> 'email'
+        )
+    );
+
+-- Upload session policies
+CREATE POLICY "Users can view own upload sessions" ON public.upload_sessions
+    FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
 -- Permission policies
 CREATE POLICY "Users can view own permissions" ON public.permissions
     FOR SELECT USING (
@@ -182,6 +839,19 @@ CREATE POLICY "Users can update own shared links" ON public.shared_links
 CREATE POLICY "Users can delete own shared links" ON public.shared_links
     FOR DELETE USING (created_by = auth.jwt() ->> 'email');
 
+-- Tag policies
+CREATE POLICY "Users can view own tags" ON public.tags
+    FOR SELECT USING (owner_email = auth.jwt() ->> 'email');
+
+CREATE POLICY "Users can view own item tags" ON public.item_tags
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.tags
+            WHERE tags.id = item_tags.tag_id
+            AND tags.owner_email = auth.jwt() ->> 'email'
+        )
+    );
+
 -- Storage bucket policies
 INSERT INTO storage.buckets (id, name, public) VALUES ('files', 'files', false)
 ON CONFLICT (id) DO NOTHING;
@@ -8,9 +8,24 @@ import foldersRoutes from "./routes/folders.routes.js";
 import filesRoutes from "./routes/files.routes.js";
 import shareRoutes from "./routes/share.routes.js";
 import searchRoutes from "./routes/search.routes.js";
+import savedSearchesRoutes from "./routes/savedSearches.routes.js";
+import uploadsRoutes from "./routes/uploads.routes.js";
+import tagsRoutes from "./routes/tags.routes.js";
+import { createCommentsRouter } from "./routes/comments.routes.js";
+import activityRoutes from "./routes/activity.routes.js";
+import webhooksRoutes from "./routes/webhooks.routes.js";
+import eventsRoutes from "./routes/events.routes.js";
+import adminRoutes from "./routes/admin.routes.js";
+import { startTrashRetentionJob } from "./jobs/trashRetention.js";
+import { startWebhookRetryJob } from "./jobs/webhookDeliveries.js";
+import { startContentBackfillJob } from "./jobs/contentIndexBackfill.js";
+import { startUploadSessionSweepJob } from "./jobs/uploadSessionSweep.js";
 
 const app = express();
-app.use(cors());
+app.use(cors({
+  // Let browser clients read the tus headers of resumable uploads
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-File-Id'],
+}));
 app.use(express.json());
 
 // Mount externalized routes with proper prefixes
@@ -18,9 +33,18 @@ app.use('/auth', authRoutes);
 app.use('/db', dbRoutes);
 app.use('/storage', storageRoutes);
 app.use('/folders', foldersRoutes);
+app.use('/folders/:id/comments', createCommentsRouter('folder'));
 app.use('/files', filesRoutes);
+app.use('/files/:id/comments', createCommentsRouter('file'));
 app.use('/share', shareRoutes);
+app.use('/search/saved', savedSearchesRoutes);
 app.use('/search', searchRoutes);
+app.use('/uploads', uploadsRoutes);
+app.use('/tags', tagsRoutes);
+app.use('/activity', activityRoutes);
+app.use('/webhooks', webhooksRoutes);
+app.use('/events', eventsRoutes);
+app.use('/admin', adminRoutes);
 
 app.get("/", (req, res) => {
   res.send("Welcome to the DataDock API!");
@@ -28,4 +52,9 @@ app.get("/", (req, res) => {
 
 app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
 
+startTrashRetentionJob();
+startWebhookRetryJob();
+startContentBackfillJob();
+startUploadSessionSweepJob();
+
 
@@ -0,0 +1,52 @@
+import { CONTENT_INDEX_INTERVAL_MINUTES } from '../config/env.js';
+import { backfillContentIndex } from '../utils/contentIndex.js';
+
+let running = false;
+
+// Extract the text of every file that has not been processed yet, one batch at a time.
+// Returns null if a run is already in progress.
+export const runContentBackfill = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const statuses = {};
+    let processed = 0;
+
+    while (true) {
+      const batch = await backfillContentIndex();
+      processed += batch.processed;
+      for (const [status, count] of Object.entries(batch.statuses)) {
+        statuses[status] = (statuses[status] || 0) + count;
+      }
+      if (batch.processed === 0) break;
+    }
+
+    if (processed > 0) {
+      console.log(`Content index backfill: processed ${processed} files`, statuses);
+    }
+
+    return { processed, statuses };
+  } finally {
+    running = false;
+  }
+};
+
+// Start the background backfill job. CONTENT_INDEX_INTERVAL_MINUTES=0 disables it.
+export const startContentBackfillJob = () => {
+  if (!CONTENT_INDEX_INTERVAL_MINUTES || CONTENT_INDEX_INTERVAL_MINUTES <= 0) return null;
+
+  const intervalMs = CONTENT_INDEX_INTERVAL_MINUTES * 60 * 1000;
+  const tick = () => runContentBackfill().catch((error) => {
+    console.error('Error running content index backfill:', error);
+  });
+
+  // First run shortly after startup, then on every interval
+  const startupTimer = setTimeout(tick, 60 * 1000);
+  const timer = setInterval(tick, intervalMs);
+
+  startupTimer.unref();
+  timer.unref();
+
+  return timer;
+};
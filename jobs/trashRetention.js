@@ -0,0 +1,46 @@
+import { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES } from '../config/env.js';
+import { runTrashPurge } from '../utils/trash.js';
+
+let running = false;
+
+// Purge everything that has been in trash longer than the retention window.
+// Returns null if a run is already in progress.
+export const runTrashRetention = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await runTrashPurge({
+      trigger: 'scheduled',
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+
+    console.log(
+      `Trash retention: purged ${result.filesPurged} files and ${result.foldersPurged} folders` +
+      (result.errors.length > 0 ? ` (${result.errors.length} errors)` : '')
+    );
+
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the background retention job. TRASH_PURGE_INTERVAL_MINUTES=0 disables it.
+export const startTrashRetentionJob = () => {
+  if (!TRASH_PURGE_INTERVAL_MINUTES || TRASH_PURGE_INTERVAL_MINUTES <= 0) return null;
+
+  const intervalMs = TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000;
+  const tick = () => runTrashRetention().catch((error) => {
+    console.error('Error running trash retention:', error);
+  });
+
+  // First run shortly after startup, then on every interval
+  const startupTimer = setTimeout(tick, 60 * 1000);
+  const timer = setInterval(tick, intervalMs);
+
+  startupTimer.unref();
+  timer.unref();
+
+  return timer;
+};
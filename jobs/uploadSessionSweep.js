@@ -0,0 +1,42 @@
+import { UPLOAD_SWEEP_INTERVAL_MINUTES } from '../config/env.js';
+import { sweepExpiredUploadSessions } from '../utils/uploadSessions.js';
+
+let running = false;
+
+// Delete expired resumable uploads and their staged chunks.
+// Returns null if a run is already in progress.
+export const runUploadSessionSweep = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await sweepExpiredUploadSessions();
+
+    if (result.removed > 0) {
+      console.log(`Upload session sweep: removed ${result.removed} expired uploads`);
+    }
+
+    return result;
+  } finally {
+    running = false;
+  }
+};
+
+// Start the background sweep job. UPLOAD_SWEEP_INTERVAL_MINUTES=0 disables it.
+export const startUploadSessionSweepJob = () => {
+  if (!UPLOAD_SWEEP_INTERVAL_MINUTES || UPLOAD_SWEEP_INTERVAL_MINUTES <= 0) return null;
+
+  const intervalMs = UPLOAD_SWEEP_INTERVAL_MINUTES * 60 * 1000;
+  const tick = () => runUploadSessionSweep().catch((error) => {
+    console.error('Error sweeping upload sessions:', error);
+  });
+
+  // First run shortly after startup, then on every interval
+  const startupTimer = setTimeout(tick, 60 * 1000);
+  const timer = setInterval(tick, intervalMs);
+
+  startupTimer.unref();
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,28 @@
+import { WEBHOOK_RETRY_INTERVAL_SECONDS } from '../config/env.js';
+import { retryDueDeliveries } from '../utils/webhooks.js';
+
+let running = false;
+
+// Send webhook deliveries whose retry is due. Returns null if a run is already in progress.
+export const runWebhookRetries = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    return await retryDueDeliveries();
+  } finally {
+    running = false;
+  }
+};
+
+// Start the background job that retries failed webhook deliveries
+export const startWebhookRetryJob = () => {
+  const tick = () => runWebhookRetries().catch((error) => {
+    console.error('Error retrying webhook deliveries:', error);
+  });
+
+  const timer = setInterval(tick, WEBHOOK_RETRY_INTERVAL_SECONDS * 1000);
+  timer.unref();
+
+  return timer;
+};
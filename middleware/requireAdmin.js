@@ -0,0 +1,10 @@
+import { ADMIN_EMAILS } from "../config/env.js";
+
+// Must run after requireAuth. Admins are configured through ADMIN_EMAILS.
+export function requireAdmin(req, res, next) {
+  const email = (req.user?.email || "").toLowerCase();
+  if (!ADMIN_EMAILS.includes(email)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  return next();
+}
@@ -1,24 +1,42 @@
 import { supabase } from "../config/supabase.js";
 
+// The bearer token of a request and its user, which is null when the token is invalid or expired
+async function authenticate(req) {
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ")
+    ? authHeader.slice("Bearer ".length)
+    : null;
+  if (!token) return { token: null, user: null };
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return { token, user: null };
+
+  return { token, user: { id: data.user.id, email: data.user.email } };
+}
+
 // Expect header: Authorization: Bearer <access_token>
 export async function requireAuth(req, res, next) {
   try {
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ")
-      ? authHeader.slice("Bearer ".length)
-      : null;
+    const { token, user } = await authenticate(req);
     if (!token) return res.status(401).json({ error: "Missing bearer token" });
-
-    const { data, error } = await supabase.auth.getUser(token);
-    if (error || !data?.user) {
+    if (!user) {
       return res.status(401).json({ error: "Invalid or expired token" });
     }
 
-    req.user = { id: data.user.id, email: data.user.email };
+    req.user = user;
     return next();
   } catch (err) {
     return res.status(401).json({ error: "Unauthorized" });
   }
 }
 
-
+// For routes anyone may use: req.user is the signed-in user when a valid bearer token is
+// sent, and null otherwise
+export async function optionalAuth(req, res, next) {
+  try {
+    req.user = (await authenticate(req)).user;
+  } catch (err) {
+    req.user = null;
+  }
+  return next();
+}
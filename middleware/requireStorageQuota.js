@@ -0,0 +1,41 @@
+import { getStorageQuota, quotaExceededBody } from "../utils/quota.js";
+
+// Check Content-Length against a user's quota before any bytes are accepted
+async function checkStorageQuota(ownerEmail, req, res, next) {
+  try {
+    const storageQuota = await getStorageQuota(ownerEmail);
+    const contentLength = parseInt(req.get("Content-Length"), 10) || 0;
+
+    if (storageQuota.available === 0 || contentLength > storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(storageQuota, contentLength));
+    }
+
+    req.storageQuota = storageQuota;
+    return next();
+  } catch (error) {
+    console.error("Error checking storage quota:", error);
+    return res.status(500).json({ error: "Failed to check storage quota" });
+  }
+}
+
+// Must run after requireAuth and before multer, so oversized requests are
+// rejected before any bytes are accepted. Content-Length includes the multipart
+// overhead; routes check the exact file sizes against req.storageQuota afterwards.
+export async function requireStorageQuota(req, res, next) {
+  return checkStorageQuota(req.user.email, req, res, next);
+}
+
+// requireStorageQuota for uploads charged to another user, such as a new version of a
+// file shared with the uploader. getOwnerEmail(req) resolves whose quota is checked.
+export function requireOwnerStorageQuota(getOwnerEmail) {
+  return async (req, res, next) => {
+    let ownerEmail;
+    try {
+      ownerEmail = await getOwnerEmail(req);
+    } catch (error) {
+      console.error("Error checking storage quota:", error);
+      return res.status(500).json({ error: "Failed to check storage quota" });
+    }
+    return checkStorageQuota(ownerEmail, req, res, next);
+  };
+}
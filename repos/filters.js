@@ -0,0 +1,197 @@
+// Filters understood by every repository implementation.
+// Each key maps to [column, operator]; the Supabase repos turn them into PostgREST
+// filters and the in-memory repos into predicates, so both return the same rows.
+//
+// Operators:
+//   eq         column equals value (null matches NULL)
+//   neq        column differs from value
+//   in         column is one of the values
+//   notIn      column is none of the values
+//   gt/gte/lt/lte range comparisons (numbers and ISO dates)
+//   contains   case-insensitive substring match
+//   startsWith case-insensitive prefix match
+//   visibleTo  { email, ids }: owned by email or id is one of ids
+//   anyOf      a filter of the same table whose eq/in conditions are OR-ed together
+//   expression a tree of { and: [nodes] }, { or: [nodes] }, { not: node } and filters of
+//              the same table (their conditions AND-ed). As in SQL, a condition on a NULL
+//              column is unknown, so it matches neither as is nor negated.
+//   properties list of { key, operator, value } conditions on typed properties
+//              ({ key: { type, value } } in a JSONB column); operator is one of
+//              eq, neq, gt, gte, lt, lte. Number values compare as numbers,
+//              anything else compares as text.
+
+const itemFilters = {
+  id: ['id', 'eq'],
+  ids: ['id', 'in'],
+  excludeIds: ['id', 'notIn'],
+  ownerEmail: ['owner_email', 'eq'],
+  notOwnerEmail: ['owner_email', 'neq'],
+  visibleTo: ['owner_email', 'visibleTo'],
+  isDeleted: ['is_deleted', 'eq'],
+  isStarred: ['is_starred', 'eq'],
+  nameContains: ['name', 'contains'],
+  nameStartsWith: ['name', 'startsWith'],
+  createdFrom: ['created_at', 'gte'],
+  createdTo: ['created_at', 'lte'],
+  createdAfter: ['created_at', 'gt'],
+  createdBefore: ['created_at', 'lt'],
+  updatedFrom: ['updated_at', 'gte'],
+  updatedTo: ['updated_at', 'lte'],
+  updatedAfter: ['updated_at', 'gt'],
+  updatedBefore: ['updated_at', 'lt'],
+  where: [null, 'expression'],
+  deletedWithFolderId: ['deleted_with_folder_id', 'eq'],
+  deletedBefore: ['deleted_at', 'lt']
+};
+
+export const fileFilters = {
+  ...itemFilters,
+  folderId: ['folder_id', 'eq'],
+  folderIds: ['folder_id', 'in'],
+  mimeType: ['mime_type', 'eq'],
+  mimeTypes: ['mime_type', 'in'],
+  mimeTypeStartsWith: ['mime_type', 'startsWith'],
+  size: ['size', 'eq'],
+  minSize: ['size', 'gte'],
+  maxSize: ['size', 'lte'],
+  sizeAbove: ['size', 'gt'],
+  sizeBelow: ['size', 'lt'],
+  properties: ['properties', 'properties'],
+  contentStatus: ['content_status', 'eq']
+};
+
+export const folderFilters = {
+  ...itemFilters,
+  parentId: ['parent_id', 'eq'],
+  parentIds: ['parent_id', 'in']
+};
+
+export const shareFilters = {
+  id: ['id', 'eq'],
+  resourceId: ['resource_id', 'eq'],
+  resourceType: ['resource_type', 'eq'],
+  userEmail: ['user_email', 'eq'],
+  grantedBy: ['granted_by', 'eq']
+};
+
+export const linkFilters = {
+  id: ['id', 'eq'],
+  token: ['link_token', 'eq'],
+  resourceId: ['resource_id', 'eq'],
+  resourceType: ['resource_type', 'eq'],
+  createdBy: ['created_by', 'eq']
+};
+
+export const tagFilters = {
+  id: ['id', 'eq'],
+  ids: ['id', 'in'],
+  ownerEmail: ['owner_email', 'eq'],
+  name: ['name', 'eq']
+};
+
+export const itemTagFilters = {
+  tagId: ['tag_id', 'eq'],
+  tagIds: ['tag_id', 'in'],
+  resourceId: ['resource_id', 'eq'],
+  resourceIds: ['resource_id', 'in'],
+  resourceType: ['resource_type', 'eq']
+};
+
+export const commentFilters = {
+  id: ['id', 'eq'],
+  resourceId: ['resource_id', 'eq'],
+  resourceType: ['resource_type', 'eq'],
+  parentId: ['parent_id', 'eq'],
+  parentIds: ['parent_id', 'in'],
+  authorEmail: ['author_email', 'eq'],
+  isResolved: ['is_resolved', 'eq']
+};
+
+export const activityFilters = {
+  id: ['id', 'eq'],
+  actorEmail: ['actor_email', 'eq'],
+  actions: ['action', 'in'],
+  resourceId: ['resource_id', 'eq'],
+  resourceIds: ['resource_id', 'in'],
+  resourceType: ['resource_type', 'eq'],
+  ownerEmail: ['owner_email', 'eq'],
+  folderId: ['folder_id', 'eq'],
+  createdFrom: ['created_at', 'gte'],
+  createdTo: ['created_at', 'lte'],
+  anyOf: [null, 'anyOf']
+};
+
+export const webhookFilters = {
+  id: ['id', 'eq'],
+  ownerEmail: ['owner_email', 'eq'],
+  ownerEmails: ['owner_email', 'in'],
+  isActive: ['is_active', 'eq']
+};
+
+export const webhookDeliveryFilters = {
+  id: ['id', 'eq'],
+  webhookId: ['webhook_id', 'eq'],
+  status: ['status', 'eq'],
+  dueBefore: ['next_attempt_at', 'lte']
+};
+
+export const fileContentFilters = {
+  id: ['id', 'eq'],
+  fileId: ['file_id', 'eq']
+};
+
+export const savedSearchFilters = {
+  id: ['id', 'eq'],
+  ids: ['id', 'in'],
+  ownerEmail: ['owner_email', 'eq']
+};
+
+export const savedSearchShareFilters = {
+  id: ['id', 'eq'],
+  savedSearchId: ['saved_search_id', 'eq'],
+  savedSearchIds: ['saved_search_id', 'in'],
+  userEmail: ['user_email', 'eq']
+};
+
+export const accessEventFilters = {
+  resourceId: ['resource_id', 'eq'],
+  resourceType: ['resource_type', 'eq'],
+  userEmail: ['user_email', 'eq'],
+  accessType: ['access_type', 'eq']
+};
+
+export const fileVersionFilters = {
+  id: ['id', 'eq'],
+  fileId: ['file_id', 'eq'],
+  versionNumber: ['version_number', 'eq']
+};
+
+export const uploadSessionFilters = {
+  id: ['id', 'eq'],
+  ids: ['id', 'in'],
+  ownerEmail: ['owner_email', 'eq'],
+  status: ['status', 'eq'],
+  statuses: ['status', 'in'],
+  expiresBefore: ['expires_at', 'lt']
+};
+
+export const trashPurgeRunFilters = {
+  id: ['id', 'eq'],
+  trigger: ['trigger', 'eq']
+};
+
+export const userFilters = {
+  id: ['id', 'eq'],
+  email: ['email', 'eq']
+};
+
+// Filter entries that apply: unknown keys are a programming error, undefined values are skipped
+export const getFilterEntries = (filterSpec, filter = {}) => Object.entries(filter)
+  .filter(([, value]) => value !== undefined)
+  .map(([key, value]) => {
+    if (!filterSpec[key]) {
+      throw new Error(`Unknown repository filter "${key}"`);
+    }
+    const [column, operator] = filterSpec[key];
+    return { column, operator, value };
+  });
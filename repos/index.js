@@ -0,0 +1,58 @@
+import { DATA_DRIVER } from '../config/env.js';
+import { createSupabaseRepos } from './supabase.repos.js';
+import { createMemoryRepos } from './memory.repos.js';
+
+// Data access for files, folders, permissions (shares), shared links, tags, item tags, comments,
+// activity, webhooks, webhook deliveries, extracted file contents, saved searches with their shares,
+// access events (opens of files and folders), file versions, resumable upload sessions, trash purge
+// reports and users (with their storage quota overrides).
+// Every repository has the same methods, which return plain rows and throw on errors:
+//   find(filter, { columns, orderBy, ascending, offset, limit })
+//   findAndCount(filter, options)   { rows, count } where count ignores offset/limit
+//   findOne(filter), findById(id)   row or null
+//   create(row), update(id, changes), updateWhere(filter, changes)
+//   remove(id), removeWhere(filter)
+// Filters are objects whose keys are listed in filters.js.
+// fileContentsRepo also has search({ query, visibleTo: { email, ids }, folderIds, offset, limit }), a
+// ranked full-text search returning { rows: [{ file_id, rank, snippet }], count }. folderIds, when
+// given, limits it to files in those folders. Snippet matches are wrapped in \u0002 and \u0003.
+// filesRepo and foldersRepo also have searchNames({ where, terms, userEmail, folderId, threshold, orderBy,
+// ascending, offset, limit }), the name search of GET /search over the live items a user owns or that are
+// shared with them. where is a search expression (see buildSearchExpression) whose nameMatches terms match
+// names containing them or with words at least threshold similar (trigram word similarity, ignoring
+// accents and case); folderId, when given, limits it to items inside that folder. orderBy is relevance
+// (scored against terms), name, created_at or size. Returns { rows: [{ id, relevance }], count, facets }
+// where facets has the [{ value, count }] of every match by mimeType, owner, starred and modifiedYear.
+// storageUsageRepo is not a table: getUsed(ownerEmail) returns the { used, trashed, reserved } bytes
+// counting against a quota and getUsage(ownerEmail, { largestLimit }) the usage report of
+// GET /storage/usage.
+const implementations = {
+  supabase: createSupabaseRepos,
+  memory: createMemoryRepos
+};
+
+if (!implementations[DATA_DRIVER]) {
+  throw new Error(`Unknown DATA_DRIVER "${DATA_DRIVER}" (expected ${Object.keys(implementations).join(' or ')})`);
+}
+
+export const {
+  filesRepo,
+  foldersRepo,
+  sharesRepo,
+  linksRepo,
+  tagsRepo,
+  itemTagsRepo,
+  commentsRepo,
+  activityRepo,
+  webhooksRepo,
+  webhookDeliveriesRepo,
+  fileContentsRepo,
+  savedSearchesRepo,
+  savedSearchSharesRepo,
+  accessEventsRepo,
+  fileVersionsRepo,
+  uploadSessionsRepo,
+  trashPurgeRunsRepo,
+  usersRepo,
+  storageUsageRepo
+} = implementations[DATA_DRIVER]();
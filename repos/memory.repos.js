@@ -0,0 +1,701 @@
+import crypto from 'crypto';
+import {
+  fileFilters,
+  folderFilters,
+  shareFilters,
+  linkFilters,
+  tagFilters,
+  itemTagFilters,
+  commentFilters,
+  activityFilters,
+  webhookFilters,
+  webhookDeliveryFilters,
+  fileContentFilters,
+  savedSearchFilters,
+  savedSearchShareFilters,
+  accessEventFilters,
+  fileVersionFilters,
+  uploadSessionFilters,
+  trashPurgeRunFilters,
+  userFilters,
+  getFilterEntries
+} from './filters.js';
+
+// Column defaults from db/schema.sql
+const fileDefaults = () => ({
+  download_url: null,
+  path: null,
+  is_starred: false,
+  is_deleted: false,
+  deleted_at: null,
+  deleted_with_folder_id: null,
+  current_version: 1,
+  properties: {},
+  content_status: null,
+  updated_at: new Date().toISOString()
+});
+
+const folderDefaults = () => ({
+  parent_id: null,
+  property_schema: null,
+  is_starred: false,
+  is_deleted: false,
+  deleted_at: null,
+  deleted_with_folder_id: null,
+  updated_at: new Date().toISOString()
+});
+
+const linkDefaults = () => ({
+  expires_at: null,
+  access_count: 0,
+  max_accesses: null
+});
+
+const commentDefaults = () => ({
+  parent_id: null,
+  mentions: [],
+  is_resolved: false,
+  resolved_by: null,
+  resolved_at: null,
+  updated_at: new Date().toISOString()
+});
+
+const activityDefaults = () => ({
+  details: {}
+});
+
+const webhookDefaults = () => ({
+  folder_id: null,
+  is_active: true,
+  updated_at: new Date().toISOString()
+});
+
+const webhookDeliveryDefaults = () => ({
+  status: 'pending',
+  attempts: 0,
+  next_attempt_at: null,
+  last_status_code: null,
+  last_error: null,
+  delivered_at: null,
+  redelivery_of: null,
+  updated_at: new Date().toISOString()
+});
+
+const savedSearchDefaults = () => ({
+  sort_by: 'name',
+  sort_order: 'asc',
+  updated_at: new Date().toISOString()
+});
+
+const accessEventDefaults = () => ({
+  user_email: null,
+  link_id: null
+});
+
+const fileVersionDefaults = () => ({
+  original_name: null,
+  mime_type: null,
+  size: null,
+  restored_from: null
+});
+
+const uploadSessionDefaults = () => ({
+  folder_id: null,
+  mime_type: null,
+  upload_offset: 0,
+  status: 'uploading',
+  file_id: null,
+  updated_at: new Date().toISOString()
+});
+
+const trashPurgeRunDefaults = () => ({
+  owner_email: null,
+  retention_days: null,
+  finished_at: null,
+  files_purged: 0,
+  folders_purged: 0,
+  bytes_purged: 0,
+  errors: []
+});
+
+const userDefaults = () => ({
+  storage_quota: null,
+  updated_at: new Date().toISOString()
+});
+
+const tagDefaults = () => ({
+  color: '#9e9e9e',
+  updated_at: new Date().toISOString()
+});
+
+// Compare numbers as numbers, ISO dates as dates and anything else as text
+const compareValues = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  const dateA = Date.parse(a);
+  const dateB = Date.parse(b);
+  if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) return dateA - dateB;
+  return String(a).localeCompare(String(b));
+};
+
+// Value at a column or a JSON path such as "properties->due->value"
+const getColumnValue = (row, column) => column
+  .split(/->>?/)
+  .reduce((value, key) => (value === null || typeof value !== 'object' ? null : value[key] ?? null), row);
+
+// JSONB orders values of different types as strings < numbers < booleans
+const JSON_TYPE_RANK = { string: 0, number: 1, boolean: 2 };
+
+// A typed property condition, compared like the Supabase repos do: number values
+// against the JSONB value, anything else against its text
+const matchesPropertyCondition = (properties, { key, operator, value }) => {
+  const current = properties?.[key]?.value ?? null;
+  if (current === null) return false;
+
+  let result;
+  if (typeof value === 'number') {
+    result = typeof current === 'number'
+      ? current - value
+      : JSON_TYPE_RANK[typeof current] - JSON_TYPE_RANK.number;
+  } else {
+    const text = String(current);
+    result = operator === 'eq' || operator === 'neq'
+      ? Number(text !== String(value))
+      : text.localeCompare(String(value));
+  }
+
+  switch (operator) {
+    case 'eq': return result === 0;
+    case 'neq': return result !== 0;
+    case 'gt': return result > 0;
+    case 'gte': return result >= 0;
+    case 'lt': return result < 0;
+    case 'lte': return result <= 0;
+    default: throw new Error(`Invalid property condition on "${key}"`);
+  }
+};
+
+const matchesCondition = (row, filterSpec, { column, operator, value }) => {
+  const current = row[column] ?? null;
+
+  switch (operator) {
+    case 'eq':
+      return current === value;
+    case 'neq':
+      return current !== null && current !== value;
+    case 'in':
+      return value.includes(current);
+    case 'notIn':
+      return !value.includes(current);
+    case 'gte':
+      return current !== null && compareValues(current, value) >= 0;
+    case 'lte':
+      return current !== null && compareValues(current, value) <= 0;
+    case 'gt':
+      return current !== null && compareValues(current, value) > 0;
+    case 'lt':
+      return current !== null && compareValues(current, value) < 0;
+    case 'contains':
+      return current !== null && String(current).toLowerCase().includes(String(value).toLowerCase());
+    case 'startsWith':
+      return current !== null && String(current).toLowerCase().startsWith(String(value).toLowerCase());
+    case 'visibleTo':
+      return current === value.email || value.ids.includes(row.id);
+    case 'anyOf':
+      return Object.entries(value)
+        .filter(([, anyValue]) => anyValue !== undefined)
+        .some(([key, anyValue]) => matchesFilter(row, filterSpec, { [key]: anyValue }));
+    case 'expression':
+      return evaluateExpression(row, filterSpec, value) === true;
+    case 'properties':
+      return value.every(condition => matchesPropertyCondition(current, condition));
+    default:
+      throw new Error(`Unknown filter operator "${operator}"`);
+  }
+};
+
+// Three-valued like SQL: true, false, or null when a condition is on a NULL column
+const evaluateExpression = (row, filterSpec, node) => {
+  const results = node.not
+    ? [evaluateExpression(row, filterSpec, node.not)]
+    : node.and || node.or
+      ? (node.and || node.or).map(child => evaluateExpression(row, filterSpec, child))
+      : getFilterEntries(filterSpec, node).map(condition => {
+        const unknown = condition.column && (row[condition.column] ?? null) === null
+          && !(condition.operator === 'eq' && condition.value === null);
+        return unknown ? null : matchesCondition(row, filterSpec, condition);
+      });
+
+  if (node.not) return results[0] === null ? null : !results[0];
+
+  // OR is decided by any true result, AND (and a filter's conditions) by any false one
+  const decisive = !!node.or;
+  if (results.includes(decisive)) return decisive;
+  return results.includes(null) ? null : !decisive;
+};
+
+const matchesFilter = (row, filterSpec, filter) => getFilterEntries(filterSpec, filter)
+  .every(condition => matchesCondition(row, filterSpec, condition));
+
+// NULLs sort last in both directions, as the Supabase repos ask for
+const sortRows = (rows, orderBy, ascending) => [...rows].sort((a, b) => {
+  const valueA = getColumnValue(a, orderBy);
+  const valueB = getColumnValue(b, orderBy);
+  if (valueA === null || valueB === null) return (valueA === null) - (valueB === null);
+  const result = compareValues(valueA, valueB);
+  return ascending ? result : -result;
+});
+
+const pickColumns = (row, columns) => {
+  if (columns === '*') return structuredClone(row);
+  return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+};
+
+// Error like the one Postgres raises for a violated UNIQUE constraint
+const uniqueViolation = (columns) => Object.assign(
+  new Error(`duplicate key value violates unique constraint on (${columns.join(', ')})`),
+  { code: '23505' }
+);
+
+// Repository over an array of rows, with the same methods and results as the Supabase repos.
+// unique lists the column sets of UNIQUE constraints, which create enforces.
+const createTableRepo = (rows, filterSpec, defaults = () => ({}), { onRemove, unique = [] } = {}) => {
+  const select = (filter, { orderBy, ascending = true } = {}) => {
+    const matched = rows.filter(row => matchesFilter(row, filterSpec, filter));
+    return orderBy ? sortRows(matched, orderBy, ascending) : matched;
+  };
+
+  const page = (matched, { offset = 0, limit } = {}) => (
+    limit !== undefined ? matched.slice(offset, offset + limit) : matched
+  );
+
+  const removeRows = (removed) => {
+    for (const row of removed) {
+      const index = rows.indexOf(row);
+      if (index !== -1) rows.splice(index, 1);
+    }
+    if (onRemove && removed.length > 0) onRemove(removed);
+  };
+
+  const repo = {
+    async find(filter, { columns = '*', ...options } = {}) {
+      return page(select(filter, options), options).map(row => pickColumns(row, columns));
+    },
+
+    async findAndCount(filter, { columns = '*', ...options } = {}) {
+      const matched = select(filter, options);
+      return {
+        rows: page(matched, options).map(row => pickColumns(row, columns)),
+        count: matched.length
+      };
+    },
+
+    async findOne(filter, { columns = '*' } = {}) {
+      const [row] = select(filter);
+      return row ? pickColumns(row, columns) : null;
+    },
+
+    findById(id, options) {
+      return repo.findOne({ id }, options);
+    },
+
+    async create(row) {
+      const created = {
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...defaults(),
+        ...structuredClone(row)
+      };
+      for (const columns of unique) {
+        if (rows.some(existing => columns.every(column => existing[column] === created[column]))) {
+          throw uniqueViolation(columns);
+        }
+      }
+      rows.push(created);
+      return structuredClone(created);
+    },
+
+    async update(id, changes) {
+      const row = rows.find(r => r.id === id);
+      if (!row) return null;
+      Object.assign(row, structuredClone(changes));
+      return structuredClone(row);
+    },
+
+    async updateWhere(filter, changes) {
+      const matched = select(filter);
+      for (const row of matched) Object.assign(row, structuredClone(changes));
+      return matched.map(row => structuredClone(row));
+    },
+
+    async remove(id) {
+      removeRows(rows.filter(r => r.id === id));
+    },
+
+    async removeWhere(filter) {
+      removeRows(select(filter));
+    }
+  };
+
+  return repo;
+};
+
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SNIPPET_CONTEXT = 80;
+
+// Text around the first match with every match wrapped in \u0002 and \u0003
+const buildSnippet = (content, terms) => {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  const first = content.search(pattern);
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(content.length, first + SNIPPET_CONTEXT * 2);
+
+  return `${start > 0 ? '… ' : ''}${content.slice(start, end)}${end < content.length ? ' …' : ''}`
+    .replace(/\s+/g, ' ')
+    .replace(pattern, '\u0002$1\u0003');
+};
+
+// Stand-in for search_file_contents: every word of the query must appear in the content
+// (no stemming or search operators) and rank grows with how often they appear
+const createContentSearch = (contents, files) => async ({ query, visibleTo, folderIds = null, offset = 0, limit = 20 }) => {
+  const terms = [...new Set(String(query).toLowerCase().match(SEARCH_WORD_PATTERN) || [])];
+  if (terms.length === 0) return { rows: [], count: 0 };
+
+  const visibleIds = new Set(files
+    .filter(file => !file.is_deleted && (file.owner_email === visibleTo.email || visibleTo.ids.includes(file.id)))
+    .filter(file => !folderIds || folderIds.includes(file.folder_id))
+    .map(file => file.id));
+
+  const matches = [];
+  for (const row of contents) {
+    if (!visibleIds.has(row.file_id)) continue;
+
+    const words = row.content.toLowerCase().match(SEARCH_WORD_PATTERN) || [];
+    if (!terms.every(term => words.includes(term))) continue;
+
+    const hits = words.filter(word => terms.includes(word)).length;
+    matches.push({ row, rank: hits / (1 + Math.log(words.length)) });
+  }
+
+  matches.sort((a, b) => b.rank - a.rank || a.row.file_id.localeCompare(b.row.file_id));
+
+  return {
+    rows: matches.slice(offset, offset + limit).map(({ row, rank }) => ({
+      file_id: row.file_id,
+      rank,
+      snippet: buildSnippet(row.content, terms)
+    })),
+    count: matches.length
+  };
+};
+
+// Names compared without accents or case, as immutable_unaccent and lower do
+const foldName = (text) => String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+// Trigrams of each word padded like pg_trgm does ("  w", " wo", "wor", "ord", "rd ")
+const getTrigrams = (text) => {
+  const trigrams = new Set();
+  for (const word of text.match(SEARCH_WORD_PATTERN) || []) {
+    const padded = `  ${word} `;
+    for (let index = 0; index + 3 <= padded.length; index++) trigrams.add(padded.slice(index, index + 3));
+  }
+  return trigrams;
+};
+
+// Stand-in for the nameMatches condition of search_condition: a name containing the term
+// scores 1, otherwise the score is the share of the term's trigrams found in the best run of
+// as many words of the name
+const getNameScore = (name, term) => {
+  const foldedName = foldName(name);
+  const foldedTerm = foldName(term);
+  if (foldedName.includes(foldedTerm)) return 1;
+
+  const termTrigrams = getTrigrams(foldedTerm);
+  if (termTrigrams.size === 0) return 0;
+  const termWordCount = Math.max(1, (foldedTerm.match(SEARCH_WORD_PATTERN) || []).length);
+  const words = foldedName.match(SEARCH_WORD_PATTERN) || [];
+
+  let score = 0;
+  for (let start = 0; start < Math.max(1, words.length - termWordCount + 1); start++) {
+    const extent = getTrigrams(words.slice(start, start + termWordCount).join(' '));
+    const shared = [...termTrigrams].filter(trigram => extent.has(trigram)).length;
+    score = Math.max(score, shared / termTrigrams.size);
+  }
+  return score;
+};
+
+// Search expression with each nameMatches term replaced by the ids of the rows it matches
+const resolveNameMatches = (node, rows, threshold) => {
+  if (node.not) return { not: resolveNameMatches(node.not, rows, threshold) };
+  if (node.and) return { and: node.and.map(child => resolveNameMatches(child, rows, threshold)) };
+  if (node.or) return { or: node.or.map(child => resolveNameMatches(child, rows, threshold)) };
+  if (node.nameMatches === undefined) return node;
+
+  const { nameMatches: term, ...rest } = node;
+  const ids = rows.filter(row => getNameScore(row.name, term) >= threshold).map(row => row.id);
+  return { and: [rest, { ids }] };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stand-in for search_relevance
+const getRelevance = (row, terms, threshold, now) => {
+  const matchScore = terms.length > 0
+    ? terms.reduce((total, term) => {
+      const score = getNameScore(row.name, term);
+      return total + (score >= threshold ? score : 0);
+    }, 0) / terms.length
+    : 0;
+
+  const name = foldName(row.name);
+  const prefixBoost = terms.some(term => name.startsWith(foldName(term))) ? 0.5 : 0;
+  const starredBoost = row.is_starred ? 0.2 : 0;
+  const changedAt = Date.parse(row.updated_at || row.created_at);
+  const recentBoost = Number.isNaN(changedAt) ? 0 : 0.3 * 0.5 ** (Math.max(0, now - changedAt) / DAY_MS / 30);
+
+  return Math.round((matchScore + prefixBoost + starredBoost + recentBoost) * 10000) / 10000;
+};
+
+// Counts of each value as [{ value, count }]
+const countValues = (values) => {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts].map(([value, count]) => ({ value, count }));
+};
+
+// Stand-in for search_items
+const createNameSearch = (rows, filterSpec, resourceType, shares, folders) => async ({
+  where, terms = [], userEmail, folderId = null, threshold, orderBy = 'relevance', ascending = true, offset = 0, limit = 20
+}) => {
+  const scopeColumn = resourceType === 'file' ? 'folder_id' : 'parent_id';
+  let scope = null;
+  if (folderId) {
+    scope = new Set([folderId]);
+    for (let added = [folderId]; added.length > 0;) {
+      added = folders
+        .filter(folder => !folder.is_deleted && added.includes(folder.parent_id) && !scope.has(folder.id))
+        .map(folder => folder.id);
+      for (const id of added) scope.add(id);
+    }
+  }
+
+  const candidates = rows.filter(row => !row.is_deleted
+    && (row.owner_email === userEmail || shares.some(share => share.resource_type === resourceType
+      && share.resource_id === row.id && share.user_email === userEmail))
+    && (!scope || scope.has(row[scopeColumn])));
+  const expression = resolveNameMatches(where || {}, candidates, threshold);
+  const matches = candidates.filter(row => matchesFilter(row, filterSpec, { where: expression }));
+
+  const now = Date.now();
+  const relevance = new Map(matches.map(row => [row, getRelevance(row, terms, threshold, now)]));
+  const ordered = orderBy === 'relevance'
+    ? [...matches].sort((a, b) => relevance.get(b) - relevance.get(a) || String(a.name).localeCompare(String(b.name)))
+    : sortRows(matches, orderBy, ascending);
+
+  return {
+    rows: ordered.slice(offset, offset + limit).map(row => ({ id: row.id, relevance: relevance.get(row) })),
+    count: matches.length,
+    facets: {
+      mimeType: countValues(matches.map(row => row.mime_type ?? null)),
+      owner: countValues(matches.map(row => row.owner_email)),
+      starred: countValues(matches.map(row => Boolean(row.is_starred))),
+      modifiedYear: countValues(matches.map(row => new Date(row.updated_at || row.created_at).getUTCFullYear()))
+    }
+  };
+};
+
+// Families of the usage report, in the order get_storage_usage tests them
+const USAGE_FAMILIES = [
+  ['images', type => type.startsWith('image/')],
+  ['video', type => type.startsWith('video/')],
+  ['audio', type => type.startsWith('audio/')],
+  ['documents', type => type.startsWith('text/')
+    || ['application/pdf', 'application/rtf', 'application/msword', 'application/vnd.ms-excel',
+      'application/vnd.ms-powerpoint'].includes(type)
+    || type.startsWith('application/vnd.openxmlformats-officedocument.')
+    || type.startsWith('application/vnd.oasis.opendocument.')],
+  ['archives', type => ['application/zip', 'application/x-zip-compressed', 'application/gzip', 'application/x-gzip',
+    'application/x-tar', 'application/x-bzip2', 'application/x-7z-compressed', 'application/vnd.rar',
+    'application/x-rar-compressed'].includes(type)]
+];
+
+const getUsageFamily = (mimeType) => USAGE_FAMILIES.find(([, matches]) => matches(mimeType || ''))?.[0] || 'other';
+
+const sumBytes = (rows) => rows.reduce((total, row) => total + (row.size || 0), 0);
+
+// Stand-ins for get_storage_used and get_storage_usage. Older versions count once per storage
+// object, since restores add versions that reuse one.
+const createStorageUsage = (files, folders, fileVersions, uploadSessions) => {
+  const getOldVersions = (ownerEmail) => files
+    .filter(file => file.owner_email === ownerEmail)
+    .flatMap(file => {
+      const byPath = new Map();
+      const versions = fileVersions
+        .filter(version => version.file_id === file.id && version.storage_path !== file.storage_path)
+        .sort((a, b) => a.version_number - b.version_number);
+      for (const version of versions) {
+        if (!byPath.has(version.storage_path)) byPath.set(version.storage_path, version);
+      }
+      return [...byPath.values()].map(version => ({ file, size: version.size || 0 }));
+    });
+
+  const getUsed = async (ownerEmail) => {
+    const owned = files.filter(file => file.owner_email === ownerEmail);
+    const oldVersions = getOldVersions(ownerEmail);
+    const now = new Date();
+
+    return {
+      used: sumBytes(owned) + sumBytes(oldVersions),
+      trashed: sumBytes(owned.filter(file => file.is_deleted)) + sumBytes(oldVersions.filter(({ file }) => file.is_deleted)),
+      reserved: uploadSessions
+        .filter(session => session.owner_email === ownerEmail && session.status === 'uploading'
+          && new Date(session.expires_at) > now)
+        .reduce((total, session) => total + session.upload_length, 0)
+    };
+  };
+
+  const getUsage = async (ownerEmail, { largestLimit = 10 } = {}) => {
+    const owned = files
+      .filter(file => file.owner_email === ownerEmail)
+      .map(file => ({ ...file, size: file.size || 0 }));
+    const live = owned.filter(file => !file.is_deleted);
+    const trashed = owned.filter(file => file.is_deleted);
+    const oldVersions = getOldVersions(ownerEmail);
+    const summarize = (rows) => ({ bytes: sumBytes(rows), files: rows.length });
+    const byBytes = (a, b) => b.bytes - a.bytes;
+
+    const families = new Map();
+    for (const file of live) {
+      const family = getUsageFamily(file.mime_type);
+      families.set(family, [...(families.get(family) || []), file]);
+    }
+
+    // Every folder below a top-level folder, following only folders that are not in the trash
+    const getSubtreeIds = (folderId) => [folderId, ...folders
+      .filter(folder => folder.parent_id === folderId && !folder.is_deleted)
+      .flatMap(folder => getSubtreeIds(folder.id))];
+
+    return {
+      totals: { bytes: sumBytes(owned) + sumBytes(oldVersions), files: owned.length },
+      live: summarize(live),
+      trashed: summarize(trashed),
+      versions: { bytes: sumBytes(oldVersions), count: oldVersions.length },
+      byType: [...families].map(([type, rows]) => ({ type, ...summarize(rows) })).sort(byBytes),
+      largestFiles: [...live]
+        .sort((a, b) => b.size - a.size)
+        .slice(0, largestLimit)
+        .map(({ id, name, mime_type, size, folder_id, updated_at }) => ({ id, name, mime_type, size, folder_id, updated_at })),
+      rootFiles: summarize(live.filter(file => file.folder_id === null)),
+      folders: folders
+        .filter(folder => folder.owner_email === ownerEmail && folder.parent_id === null && !folder.is_deleted)
+        .map(folder => {
+          const subtreeIds = getSubtreeIds(folder.id);
+          return { id: folder.id, name: folder.name, ...summarize(live.filter(file => subtreeIds.includes(file.folder_id))) };
+        })
+        .sort(byBytes)
+    };
+  };
+
+  return { getUsed, getUsage };
+};
+
+// In-memory repositories for running the API without a database, e.g. in integration tests.
+// Deleting a folder removes its subfolders, files and scoped webhooks, deleting a file
+// removes its extracted contents, deleting a tag
+// removes its item tags, deleting a comment removes its replies, deleting a webhook
+// removes its deliveries and deleting a saved search removes its shares, like ON DELETE CASCADE does.
+// Deleting a file also removes its versions.
+export const createMemoryRepos = () => {
+  const files = [];
+  const fileVersions = [];
+  const uploadSessions = [];
+  const folders = [];
+  const shares = [];
+  const itemTags = [];
+  const comments = [];
+  const webhooks = [];
+  const webhookDeliveries = [];
+  const fileContents = [];
+  const savedSearchShares = [];
+
+  const cascadeWebhooks = (removed) => {
+    const removedIds = new Set(removed.map(webhook => webhook.id));
+    const orphanDeliveries = webhookDeliveries.filter(delivery => removedIds.has(delivery.webhook_id));
+    for (const delivery of orphanDeliveries) webhookDeliveries.splice(webhookDeliveries.indexOf(delivery), 1);
+  };
+
+  const cascadeFiles = (removed) => {
+    const removedIds = new Set(removed.map(file => file.id));
+    const orphanContents = fileContents.filter(content => removedIds.has(content.file_id));
+    for (const content of orphanContents) fileContents.splice(fileContents.indexOf(content), 1);
+
+    const orphanVersions = fileVersions.filter(version => removedIds.has(version.file_id));
+    for (const version of orphanVersions) fileVersions.splice(fileVersions.indexOf(version), 1);
+  };
+
+  const cascadeFolders = (removed) => {
+    const removedIds = new Set(removed.map(folder => folder.id));
+    const orphanFiles = files.filter(file => removedIds.has(file.folder_id));
+    for (const file of orphanFiles) files.splice(files.indexOf(file), 1);
+    cascadeFiles(orphanFiles);
+
+    const orphanWebhooks = webhooks.filter(webhook => removedIds.has(webhook.folder_id));
+    for (const webhook of orphanWebhooks) webhooks.splice(webhooks.indexOf(webhook), 1);
+    cascadeWebhooks(orphanWebhooks);
+
+    const orphanFolders = folders.filter(folder => removedIds.has(folder.parent_id));
+    for (const folder of orphanFolders) folders.splice(folders.indexOf(folder), 1);
+    if (orphanFolders.length > 0) cascadeFolders(orphanFolders);
+  };
+
+  const cascadeTags = (removed) => {
+    const removedIds = new Set(removed.map(tag => tag.id));
+    const orphanItemTags = itemTags.filter(itemTag => removedIds.has(itemTag.tag_id));
+    for (const itemTag of orphanItemTags) itemTags.splice(itemTags.indexOf(itemTag), 1);
+  };
+
+  const cascadeSavedSearches = (removed) => {
+    const removedIds = new Set(removed.map(savedSearch => savedSearch.id));
+    const orphanShares = savedSearchShares.filter(share => removedIds.has(share.saved_search_id));
+    for (const share of orphanShares) savedSearchShares.splice(savedSearchShares.indexOf(share), 1);
+  };
+
+  const cascadeComments = (removed) => {
+    const removedIds = new Set(removed.map(comment => comment.id));
+    const replies = comments.filter(comment => removedIds.has(comment.parent_id));
+    for (const reply of replies) comments.splice(comments.indexOf(reply), 1);
+    if (replies.length > 0) cascadeComments(replies);
+  };
+
+  return {
+    filesRepo: {
+      ...createTableRepo(files, fileFilters, fileDefaults, { onRemove: cascadeFiles }),
+      searchNames: createNameSearch(files, fileFilters, 'file', shares, folders)
+    },
+    foldersRepo: {
+      ...createTableRepo(folders, folderFilters, folderDefaults, { onRemove: cascadeFolders }),
+      searchNames: createNameSearch(folders, folderFilters, 'folder', shares, folders)
+    },
+    sharesRepo: createTableRepo(shares, shareFilters),
+    linksRepo: createTableRepo([], linkFilters, linkDefaults),
+    tagsRepo: createTableRepo([], tagFilters, tagDefaults, { onRemove: cascadeTags }),
+    itemTagsRepo: createTableRepo(itemTags, itemTagFilters),
+    commentsRepo: createTableRepo(comments, commentFilters, commentDefaults, { onRemove: cascadeComments }),
+    activityRepo: createTableRepo([], activityFilters, activityDefaults),
+    webhooksRepo: createTableRepo(webhooks, webhookFilters, webhookDefaults, { onRemove: cascadeWebhooks }),
+    webhookDeliveriesRepo: createTableRepo(webhookDeliveries, webhookDeliveryFilters, webhookDeliveryDefaults),
+    fileContentsRepo: {
+      ...createTableRepo(fileContents, fileContentFilters, () => ({ extracted_at: new Date().toISOString() })),
+      search: createContentSearch(fileContents, files)
+    },
+    savedSearchesRepo: createTableRepo([], savedSearchFilters, savedSearchDefaults, { onRemove: cascadeSavedSearches }),
+    savedSearchSharesRepo: createTableRepo(savedSearchShares, savedSearchShareFilters),
+    accessEventsRepo: createTableRepo([], accessEventFilters, accessEventDefaults),
+    fileVersionsRepo: createTableRepo(fileVersions, fileVersionFilters, fileVersionDefaults, {
+      unique: [['file_id', 'version_number']]
+    }),
+    uploadSessionsRepo: createTableRepo(uploadSessions, uploadSessionFilters, uploadSessionDefaults),
+    trashPurgeRunsRepo: createTableRepo([], trashPurgeRunFilters, trashPurgeRunDefaults),
+    usersRepo: createTableRepo([], userFilters, userDefaults, { unique: [['email']] }),
+    storageUsageRepo: createStorageUsage(files, folders, fileVersions, uploadSessions)
+  };
+};
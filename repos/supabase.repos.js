@@ -0,0 +1,310 @@
+import { supabase } from '../config/supabase.js';
+import {
+  fileFilters,
+  folderFilters,
+  shareFilters,
+  linkFilters,
+  tagFilters,
+  itemTagFilters,
+  commentFilters,
+  activityFilters,
+  webhookFilters,
+  webhookDeliveryFilters,
+  fileContentFilters,
+  savedSearchFilters,
+  savedSearchShareFilters,
+  accessEventFilters,
+  fileVersionFilters,
+  uploadSessionFilters,
+  trashPurgeRunFilters,
+  userFilters,
+  getFilterEntries
+} from './filters.js';
+
+// Invalid ids (not a uuid) mean the row cannot exist
+const INVALID_TEXT_REPRESENTATION = '22P02';
+
+const PROPERTY_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte'];
+const PROPERTY_KEY_PATTERN = /^\w+$/;
+
+// Numbers compare as JSONB (numerically), anything else as the text of the value
+const applyPropertyCondition = (query, column, { key, operator, value }) => {
+  if (!PROPERTY_KEY_PATTERN.test(key) || !PROPERTY_OPERATORS.includes(operator)) {
+    throw new Error(`Invalid property condition on "${key}"`);
+  }
+  return typeof value === 'number'
+    ? query[operator](`${column}->${key}->value`, value)
+    : query[operator](`${column}->${key}->>value`, String(value));
+};
+
+// Values in PostgREST logic trees are quoted when they hold reserved characters
+const formatLogicValue = (value) => (/[,.:()"\\\s]/.test(String(value))
+  ? `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+  : String(value));
+
+// PostgREST logic tree syntax for one condition, negated with not. when asked
+const formatCondition = ({ column, operator, value }, negated = false) => {
+  const not = negated ? 'not.' : '';
+
+  switch (operator) {
+    case 'eq':
+      return value === null ? `${column}.${not}is.null` : `${column}.${not}eq.${formatLogicValue(value)}`;
+    case 'neq':
+      return `${column}.${not}neq.${formatLogicValue(value)}`;
+    case 'in':
+      return `${column}.${not}in.(${value.map(formatLogicValue).join(',')})`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return `${column}.${not}${operator}.${formatLogicValue(value)}`;
+    case 'contains':
+      return `${column}.${not}ilike.${formatLogicValue(`*${value}*`)}`;
+    case 'startsWith':
+      return `${column}.${not}ilike.${formatLogicValue(`${value}*`)}`;
+    case 'visibleTo':
+      return `${not}or(${column}.eq.${formatLogicValue(value.email)},id.in.(${value.ids.map(formatLogicValue).join(',')}))`;
+    default:
+      throw new Error(`Filter operator "${operator}" cannot be used in anyOf or an expression`);
+  }
+};
+
+// PostgREST logic tree for an expression filter; not is pushed down to the groups and conditions
+const formatExpression = (filterSpec, node, negated = false) => {
+  const not = negated ? 'not.' : '';
+
+  if (node.not) return formatExpression(filterSpec, node.not, !negated);
+  if (node.and) return `${not}and(${node.and.map(child => formatExpression(filterSpec, child)).join(',')})`;
+  if (node.or) return `${not}or(${node.or.map(child => formatExpression(filterSpec, child)).join(',')})`;
+
+  const conditions = getFilterEntries(filterSpec, node);
+  return conditions.length === 1
+    ? formatCondition(conditions[0], negated)
+    : `${not}and(${conditions.map(condition => formatCondition(condition)).join(',')})`;
+};
+
+const applyFilter = (query, filterSpec, filter) => {
+  for (const { column, operator, value } of getFilterEntries(filterSpec, filter)) {
+    switch (operator) {
+      case 'eq':
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+        break;
+      case 'neq':
+        query = query.neq(column, value);
+        break;
+      case 'in':
+        query = query.in(column, value);
+        break;
+      case 'notIn':
+        if (value.length > 0) query = query.not(column, 'in', `(${value.join(',')})`);
+        break;
+      case 'gte':
+        query = query.gte(column, value);
+        break;
+      case 'lte':
+        query = query.lte(column, value);
+        break;
+      case 'gt':
+        query = query.gt(column, value);
+        break;
+      case 'lt':
+        query = query.lt(column, value);
+        break;
+      case 'contains':
+        query = query.ilike(column, `%${value}%`);
+        break;
+      case 'startsWith':
+        query = query.ilike(column, `${value}%`);
+        break;
+      case 'visibleTo':
+        query = query.or(`${column}.eq.${value.email},id.in.(${value.ids.join(',')})`);
+        break;
+      case 'anyOf':
+        query = query.or(getFilterEntries(filterSpec, value).map(condition => formatCondition(condition)).join(','));
+        break;
+      case 'expression':
+        query = query.or(formatExpression(filterSpec, value));
+        break;
+      case 'properties':
+        for (const condition of value) query = applyPropertyCondition(query, column, condition);
+        break;
+      default:
+        throw new Error(`Unknown filter operator "${operator}"`);
+    }
+  }
+  return query;
+};
+
+const applyOptions = (query, { orderBy, ascending = true, offset = 0, limit } = {}) => {
+  if (orderBy) query = query.order(orderBy, { ascending, nullsFirst: false });
+  if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+  return query;
+};
+
+// Repository over one table. Methods throw on database errors and return plain rows.
+const createTableRepo = (table, filterSpec) => {
+  const repo = {
+    async find(filter, { columns = '*', ...options } = {}) {
+      const query = applyOptions(applyFilter(supabase.from(table).select(columns), filterSpec, filter), options);
+      const { data, error } = await query;
+      if (error) {
+        if (error.code === INVALID_TEXT_REPRESENTATION) return [];
+        throw error;
+      }
+      return data || [];
+    },
+
+    // Rows of one page plus the number of rows matching the filter
+    async findAndCount(filter, { columns = '*', ...options } = {}) {
+      const query = applyOptions(
+        applyFilter(supabase.from(table).select(columns, { count: 'exact' }), filterSpec, filter),
+        options
+      );
+      const { data, error, count } = await query;
+      if (error) {
+        if (error.code === INVALID_TEXT_REPRESENTATION) return { rows: [], count: 0 };
+        throw error;
+      }
+      return { rows: data || [], count: count ?? (data || []).length };
+    },
+
+    async findOne(filter, { columns = '*' } = {}) {
+      const { data, error } = await applyFilter(supabase.from(table).select(columns), filterSpec, filter)
+        .limit(1)
+        .maybeSingle();
+      if (error) {
+        if (error.code === INVALID_TEXT_REPRESENTATION) return null;
+        throw error;
+      }
+      return data;
+    },
+
+    findById(id, options) {
+      return repo.findOne({ id }, options);
+    },
+
+    async create(row) {
+      const { data, error } = await supabase.from(table).insert([row]).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    async update(id, changes) {
+      const { data, error } = await supabase.from(table).update(changes).eq('id', id).select().maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async updateWhere(filter, changes) {
+      const { data, error } = await applyFilter(supabase.from(table).update(changes), filterSpec, filter).select();
+      if (error) throw error;
+      return data || [];
+    },
+
+    async remove(id) {
+      const { error } = await supabase.from(table).delete().eq('id', id);
+      if (error) throw error;
+    },
+
+    async removeWhere(filter) {
+      const { error } = await applyFilter(supabase.from(table).delete(), filterSpec, filter);
+      if (error) throw error;
+    }
+  };
+
+  return repo;
+};
+
+// Ranked search over extracted contents (search_file_contents in db/schema.sql)
+const searchFileContents = async ({ query, visibleTo, folderIds = null, offset = 0, limit = 20 }) => {
+  const { data, error } = await supabase.rpc('search_file_contents', {
+    p_query: query,
+    p_user_email: visibleTo.email,
+    p_file_ids: visibleTo.ids,
+    p_limit: limit,
+    p_offset: offset,
+    p_folder_ids: folderIds
+  });
+  if (error) throw error;
+
+  const rows = data || [];
+  return {
+    rows: rows.map(({ total, ...row }) => row),
+    count: rows.length > 0 ? Number(rows[0].total) : 0
+  };
+};
+
+// Name search with exact counts and facets of every match (search_items in db/schema.sql)
+const createNameSearch = (resourceType) => async ({
+  where, terms = [], userEmail, folderId = null, threshold, orderBy = 'relevance', ascending = true, offset = 0, limit = 20
+}) => {
+  const { data, error } = await supabase.rpc('search_items', {
+    p_resource_type: resourceType,
+    p_user_email: userEmail,
+    p_where: where,
+    p_terms: terms,
+    p_folder_id: folderId,
+    p_threshold: threshold,
+    p_order_by: orderBy,
+    p_ascending: ascending,
+    p_offset: offset,
+    p_limit: limit
+  });
+  if (error) throw error;
+
+  return {
+    rows: data.items.map(item => ({ id: item.id, relevance: Number(item.relevance) })),
+    count: Number(data.total),
+    facets: data.facets
+  };
+};
+
+// Bytes counting against a user's quota (get_storage_used in db/schema.sql)
+const getStorageUsed = async (ownerEmail) => {
+  const { data, error } = await supabase.rpc('get_storage_used', { p_owner_email: ownerEmail }).single();
+  if (error) throw error;
+
+  return {
+    used: Number(data.used_bytes) || 0,
+    trashed: Number(data.trashed_bytes) || 0,
+    reserved: Number(data.reserved_bytes) || 0
+  };
+};
+
+// Usage report of a user (get_storage_usage in db/schema.sql)
+const getStorageUsage = async (ownerEmail, { largestLimit = 10 } = {}) => {
+  const { data, error } = await supabase.rpc('get_storage_usage', {
+    p_owner_email: ownerEmail,
+    p_largest_limit: largestLimit
+  });
+  if (error) throw error;
+  return data;
+};
+
+export const createSupabaseRepos = () => ({
+  filesRepo: { ...createTableRepo('files', fileFilters), searchNames: createNameSearch('file') },
+  foldersRepo: { ...createTableRepo('folders', folderFilters), searchNames: createNameSearch('folder') },
+  sharesRepo: createTableRepo('permissions', shareFilters),
+  linksRepo: createTableRepo('shared_links', linkFilters),
+  tagsRepo: createTableRepo('tags', tagFilters),
+  itemTagsRepo: createTableRepo('item_tags', itemTagFilters),
+  commentsRepo: createTableRepo('comments', commentFilters),
+  activityRepo: createTableRepo('activity', activityFilters),
+  webhooksRepo: createTableRepo('webhooks', webhookFilters),
+  webhookDeliveriesRepo: createTableRepo('webhook_deliveries', webhookDeliveryFilters),
+  fileContentsRepo: {
+    ...createTableRepo('file_contents', fileContentFilters),
+    search: searchFileContents
+  },
+  savedSearchesRepo: createTableRepo('saved_searches', savedSearchFilters),
+  savedSearchSharesRepo: createTableRepo('saved_search_shares', savedSearchShareFilters),
+  accessEventsRepo: createTableRepo('access_events', accessEventFilters),
+  fileVersionsRepo: createTableRepo('file_versions', fileVersionFilters),
+  uploadSessionsRepo: createTableRepo('upload_sessions', uploadSessionFilters),
+  trashPurgeRunsRepo: createTableRepo('trash_purge_runs', trashPurgeRunFilters),
+  usersRepo: createTableRepo('users', userFilters),
+  storageUsageRepo: {
+    getUsed: getStorageUsed,
+    getUsage: getStorageUsage
+  }
+});
@@ -0,0 +1,50 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/requireAuth.js';
+import {
+  parseActivityFilter,
+  getActivityVisibility,
+  findActivityPage,
+  streamActivityExport
+} from '../utils/activity.js';
+
+const router = Router();
+
+// GET /activity - Get my activity and activity on items I own or that are shared with me
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { filter, status, error: filterError } = parseActivityFilter(req.query);
+    if (filterError) {
+      return res.status(status).json({ error: filterError });
+    }
+    
+    const visibility = await getActivityVisibility(req.user.email);
+    
+    res.json(await findActivityPage({ ...filter, anyOf: visibility }, req.query));
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+// GET /activity/export - Download the same activity as JSON Lines
+router.get('/export', requireAuth, async (req, res) => {
+  try {
+    const { filter, status, error: filterError } = parseActivityFilter(req.query);
+    if (filterError) {
+      return res.status(status).json({ error: filterError });
+    }
+    
+    const visibility = await getActivityVisibility(req.user.email);
+    
+    await streamActivityExport(res, { ...filter, anyOf: visibility }, 'activity');
+  } catch (error) {
+    console.error('Error exporting activity:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export activity' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+export default router;
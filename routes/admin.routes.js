@@ -0,0 +1,142 @@
+import { Router } from 'express';
+import { trashPurgeRunsRepo, usersRepo } from '../repos/index.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { runTrashRetention } from '../jobs/trashRetention.js';
+import { runContentBackfill } from '../jobs/contentIndexBackfill.js';
+import { getStorageQuota } from '../utils/quota.js';
+import { parseActivityFilter, streamActivityExport } from '../utils/activity.js';
+
+const router = Router();
+
+// GET /admin/trash-purges - Get reports of trash purge runs
+router.get('/trash-purges', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, trigger } = req.query;
+    
+    const offset = (page - 1) * limit;
+    
+    const { rows: runs, count } = await trashPurgeRunsRepo.findAndCount(
+      { trigger: trigger || undefined },
+      { orderBy: 'started_at', ascending: false, offset, limit: parseInt(limit) }
+    );
+    
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count || runs.length,
+        pages: Math.ceil((count || runs.length) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash purge runs:', error);
+    res.status(500).json({ error: 'Failed to fetch trash purge runs' });
+  }
+});
+
+// POST /admin/trash-purges - Run the retention job now
+router.post('/trash-purges', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await runTrashRetention();
+    
+    if (!result) {
+      return res.status(409).json({ error: 'Trash retention is already running' });
+    }
+    
+    res.json({ 
+      success: true, 
+      run: result.run,
+      message: `Purged ${result.filesPurged} files and ${result.foldersPurged} folders` 
+    });
+  } catch (error) {
+    console.error('Error running trash retention:', error);
+    res.status(500).json({ error: 'Failed to run trash retention' });
+  }
+});
+
+// POST /admin/content-index - Extract the text of every file that has not been indexed yet
+router.post('/content-index', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await runContentBackfill();
+    
+    if (!result) {
+      return res.status(409).json({ error: 'Content index backfill is already running' });
+    }
+    
+    res.json({ 
+      success: true, 
+      statuses: result.statuses,
+      message: `Processed ${result.processed} files` 
+    });
+  } catch (error) {
+    console.error('Error running content index backfill:', error);
+    res.status(500).json({ error: 'Failed to run content index backfill' });
+  }
+});
+
+// GET /admin/quotas/:email - Get a user's storage quota and usage
+router.get('/quotas/:email', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const storageQuota = await getStorageQuota(req.params.email);
+    res.json({ email: req.params.email, ...storageQuota });
+  } catch (error) {
+    console.error('Error fetching storage quota:', error);
+    res.status(500).json({ error: 'Failed to fetch storage quota' });
+  }
+});
+
+// PUT /admin/quotas/:email - Override a user's storage quota (null restores the default)
+router.put('/quotas/:email', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { quota } = req.body;
+    
+    if (quota !== null && (!Number.isInteger(quota) || quota < 0)) {
+      return res.status(400).json({ error: 'quota must be a number of bytes or null' });
+    }
+    
+    const [user] = await usersRepo.updateWhere({ email }, {
+      storage_quota: quota,
+      updated_at: new Date().toISOString()
+    });
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const storageQuota = await getStorageQuota(email);
+    
+    res.json({ 
+      success: true, 
+      email,
+      ...storageQuota,
+      message: quota === null ? 'Storage quota reset to default' : 'Storage quota updated' 
+    });
+  } catch (error) {
+    console.error('Error updating storage quota:', error);
+    res.status(500).json({ error: 'Failed to update storage quota' });
+  }
+});
+
+// GET /admin/activity/export - Download every user's activity as JSON Lines for compliance
+router.get('/activity/export', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { filter, status, error: filterError } = parseActivityFilter(req.query);
+    if (filterError) {
+      return res.status(status).json({ error: filterError });
+    }
+    
+    await streamActivityExport(res, filter, 'activity-all');
+  } catch (error) {
+    console.error('Error exporting activity:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export activity' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+import { Router } from 'express';
+import { commentsRepo } from '../repos/index.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const COMMENT_BODY_MAX_LENGTH = 10000;
+
+// @user@example.com, not preceded by a word character so plain emails in the text are not mentions
+const MENTION_PATTERN = /(?<![\w.])@([\w.+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z0-9-]+)/g;
+
+// Check that the user can see the file or folder the comments belong to
+async function checkResourceAccess(userEmail, resourceType, resourceId) {
+  const { allowed, reason } = await hasPermission(userEmail, resourceType, resourceId, 'viewer');
+  if (reason === 'Resource not found') {
+    return { status: 404, error: `${resourceType === 'file' ? 'File' : 'Folder'} not found` };
+  }
+  if (!allowed) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return null;
+}
+
+// Check a comment body; returns an error message or null
+function validateBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return 'Comment body is required';
+  if (body.length > COMMENT_BODY_MAX_LENGTH) return `Comment must be at most ${COMMENT_BODY_MAX_LENGTH} characters`;
+  return null;
+}
+
+// Split the @mentions in a body into users who can see the resource and everyone else
+async function resolveMentions(body, resourceType, resourceId) {
+  const emails = [...new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+  const mentions = [];
+  const ignoredMentions = [];
+
+  for (const email of emails) {
+    const { allowed } = await hasPermission(email, resourceType, resourceId, 'viewer');
+    (allowed ? mentions : ignoredMentions).push(email);
+  }
+
+  return { mentions, ignoredMentions };
+}
+
+// Group comments into threads: first comments with their replies, oldest first
+function buildThreads(comments) {
+  const threads = comments
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({ ...comment, replies: [] }));
+  const threadsById = new Map(threads.map(thread => [thread.id, thread]));
+
+  for (const comment of comments) {
+    if (comment.parent_id) threadsById.get(comment.parent_id)?.replies.push(comment);
+  }
+
+  return threads;
+}
+
+// Comment routes for one resource type, mounted under /files/:id/comments and /folders/:id/comments.
+// Anyone who can view the resource can read, write and resolve comments; only authors edit and delete theirs.
+export const createCommentsRouter = (resourceType) => {
+  const router = Router({ mergeParams: true });
+
+  // Load a comment on the resource in the URL
+  const findComment = (req) => commentsRepo.findOne({
+    id: req.params.commentId,
+    resourceId: req.params.id,
+    resourceType
+  });
+
+  // GET /:id/comments - Get comment threads (?resolved=true|false)
+  router.get('/', requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { resolved } = req.query;
+
+      const accessError = await checkResourceAccess(req.user.email, resourceType, id);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+
+      const comments = await commentsRepo.find(
+        { resourceId: id, resourceType },
+        { orderBy: 'created_at', ascending: true }
+      );
+
+      let threads = buildThreads(comments);
+      if (resolved === 'true' || resolved === 'false') {
+        threads = threads.filter(thread => thread.is_resolved === (resolved === 'true'));
+      }
+
+      res.json({ comments: threads, total: threads.length });
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  // POST /:id/comments - Add a comment, or a reply with parentId
+  router.post('/', requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { body, parentId } = req.body;
+      const userEmail = req.user.email;
+
+      const accessError = await checkResourceAccess(userEmail, resourceType, id);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+
+      const validationError = validateBody(body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      // Replies to a reply join the same thread
+      let threadId = null;
+      if (parentId) {
+        const parent = await commentsRepo.findOne({ id: parentId, resourceId: id, resourceType });
+        if (!parent) {
+          return res.status(404).json({ error: 'Parent comment not found' });
+        }
+        threadId = parent.parent_id || parent.id;
+      }
+
+      const { mentions, ignoredMentions } = await resolveMentions(body, resourceType, id);
+
+      const comment = await commentsRepo.create({
+        resource_id: id,
+        resource_type: resourceType,
+        parent_id: threadId,
+        author_email: userEmail,
+        body: body.trim(),
+        mentions
+      });
+
+      res.status(201).json({
+        success: true,
+        comment,
+        ignoredMentions,
+        message: 'Comment added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      res.status(500).json({ error: 'Failed to add comment' });
+    }
+  });
+
+  // PUT /:id/comments/:commentId - Edit a comment (author only)
+  router.put('/:commentId', requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { body } = req.body;
+      const userEmail = req.user.email;
+
+      const accessError = await checkResourceAccess(userEmail, resourceType, id);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+
+      const comment = await findComment(req);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (comment.author_email !== userEmail) {
+        return res.status(403).json({ error: 'Only the author can edit this comment' });
+      }
+
+      const validationError = validateBody(body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { mentions, ignoredMentions } = await resolveMentions(body, resourceType, id);
+
+      const updatedComment = await commentsRepo.update(comment.id, {
+        body: body.trim(),
+        mentions,
+        updated_at: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        comment: updatedComment,
+        ignoredMentions,
+        message: 'Comment updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  });
+
+  // DELETE /:id/comments/:commentId - Delete a comment and, for a thread, its replies (author only)
+  router.delete('/:commentId', requireAuth, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userEmail = req.user.email;
+
+      const accessError = await checkResourceAccess(userEmail, resourceType, id);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+
+      const comment = await findComment(req);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (comment.author_email !== userEmail) {
+        return res.status(403).json({ error: 'Only the author can delete this comment' });
+      }
+
+      await commentsRepo.remove(comment.id);
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  // Resolve or reopen a thread; replies follow the state of their thread
+  const setResolved = (isResolved) => async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userEmail = req.user.email;
+
+      const accessError = await checkResourceAccess(userEmail, resourceType, id);
+      if (accessError) {
+        return res.status(accessError.status).json({ error: accessError.error });
+      }
+
+      const comment = await findComment(req);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (comment.parent_id) {
+        return res.status(400).json({ error: 'Only the first comment of a thread can be resolved' });
+      }
+
+      const updatedComment = await commentsRepo.update(comment.id, {
+        is_resolved: isResolved,
+        resolved_by: isResolved ? userEmail : null,
+        resolved_at: isResolved ? new Date().toISOString() : null
+      });
+
+      res.json({
+        success: true,
+        comment: updatedComment,
+        message: `Comment ${isResolved ? 'resolved' : 'reopened'} successfully`
+      });
+    } catch (error) {
+      console.error('Error resolving comment:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  };
+
+  // POST /:id/comments/:commentId/resolve - Resolve a thread
+  router.post('/:commentId/resolve', requireAuth, setResolved(true));
+
+  // POST /:id/comments/:commentId/unresolve - Reopen a thread
+  router.post('/:commentId/unresolve', requireAuth, setResolved(false));
+
+  return router;
+};
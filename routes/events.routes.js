@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { EVENTS_MAX_STREAMS_PER_USER } from '../config/env.js';
+import {
+  countStreams,
+  getStream,
+  openStream,
+  resolveSubscriptions,
+  setSubscriptions
+} from '../utils/events.js';
+
+const router = Router();
+
+// Read folder ids from a comma-separated query value or a list in a request body
+const parseFolderIds = (value) => {
+  if (Array.isArray(value)) return value.filter(id => typeof id === 'string' && id);
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [];
+};
+
+// GET /events - Stream created, updated, moved and deleted events for the given folders
+// as Server-Sent Events (?folderIds=<id>,<id>,root)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    if (countStreams(userEmail) >= EVENTS_MAX_STREAMS_PER_USER) {
+      return res.status(429).json({ error: `At most ${EVENTS_MAX_STREAMS_PER_USER} event streams can be open at once` });
+    }
+
+    const subscriptions = await resolveSubscriptions(userEmail, parseFolderIds(req.query.folderIds));
+    openStream(res, userEmail, subscriptions);
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
+// PUT /events/:streamId/subscriptions - Replace the folders an open stream follows
+router.put('/:streamId/subscriptions', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const stream = getStream(req.params.streamId, userEmail);
+    if (!stream) {
+      return res.status(404).json({ error: 'Event stream not found' });
+    }
+
+    if (!Array.isArray(req.body.folderIds)) {
+      return res.status(400).json({ error: 'folderIds must be a list' });
+    }
+
+    const { folderKeys, ignoredFolderIds } = await resolveSubscriptions(userEmail, parseFolderIds(req.body.folderIds));
+    setSubscriptions(stream, folderKeys);
+
+    res.json({
+      success: true,
+      folderIds: folderKeys,
+      ignoredFolderIds,
+      message: 'Subscriptions updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating event subscriptions:', error);
+    res.status(500).json({ error: 'Failed to update event subscriptions' });
+  }
+});
+
+export default router;
@@ -1,10 +1,29 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { supabase } from '../config/supabase.js';
-import { SUPABASE_BUCKET } from '../config/env.js';
+import { filesRepo, foldersRepo, fileVersionsRepo } from '../repos/index.js';
+import { storage } from '../storage/index.js';
+import { TRASH_RETENTION_DAYS } from '../config/env.js';
 import { requireAuth } from '../middleware/requireAuth.js';
-import { getPermittedIds } from '../utils/permissions.js';
+import { requireStorageQuota, requireOwnerStorageQuota } from '../middleware/requireStorageQuota.js';
+import { getPermittedIds, hasPermission } from '../utils/permissions.js';
+import {
+  ensureBaseVersion,
+  createFileVersion,
+  findFileVersion,
+  applyVersionToFile,
+  getVersionStoragePaths
+} from '../utils/versions.js';
+import { runTrashPurge } from '../utils/trash.js';
+import { getStorageQuota, quotaExceededBody } from '../utils/quota.js';
+import { parseTagFilter, getTaggedIds, attachTags } from '../utils/tags.js';
+import { mergeProperties, checkPropertySchema } from '../utils/properties.js';
+import { recordActivity, parseActivityFilter, findActivityPage } from '../utils/activity.js';
+import { queueContentIndex, copyFileContent } from '../utils/contentIndex.js';
+import { recordAccess, getFileAccessStats } from '../utils/access.js';
+import { createArchiveAccess, collectFolderEntries, createFileEntry, streamArchive } from '../utils/archive.js';
 import crypto from 'crypto';
+import contentDisposition from 'content-disposition';
+import { pipeline } from 'stream/promises';
 
 const router = Router();
 
@@ -22,51 +41,44 @@ router.get('/', requireAuth, async (req, res) => {
     const { page = 1, limit = 20, folderId, search, sortBy = 'name', sortOrder = 'asc', starred } = req.query;
     const userEmail = req.user.email;
     
-    let query = supabase
-      .from('files')
-      .select('*')
-      .eq('is_deleted', false);
-    
-    // Filter by folder
-    if (folderId && folderId !== 'null') {
-      query = query.eq('folder_id', folderId);
-    } else {
-      query = query.is('folder_id', null);
+    const tagFilter = parseTagFilter(req.query);
+    if (tagFilter?.error) {
+      return res.status(tagFilter.status).json({ error: tagFilter.error });
     }
     
     // Filter by owner or shared permissions
     const permittedIds = await getPermittedIds(userEmail, 'file');
-    query = query.or(`owner_email.eq.${userEmail},id.in.(${permittedIds.join(',')})`);
     
-    // Search functionality
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
-    }
-    
-    // Star filter
-    if (starred === 'true') {
-      query = query.eq('is_starred', true);
-    }
+    const filter = {
+      isDeleted: false,
+      // Files directly in the folder, or in the root when no folder is given
+      folderId: folderId && folderId !== 'null' ? folderId : null,
+      visibleTo: { email: userEmail, ids: permittedIds },
+      nameContains: search || undefined,
+      isStarred: starred === 'true' ? true : undefined,
+      ids: tagFilter ? await getTaggedIds(userEmail, 'file', tagFilter) : undefined
+    };
     
     // Sorting
     const orderColumn = sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name';
-    query = query.order(orderColumn, { ascending: sortOrder === 'asc' });
     
     // Pagination
     const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
-    
-    const { data: files, error, count } = await query;
     
-    if (error) throw error;
+    const files = await attachTags(await filesRepo.find(filter, {
+      orderBy: orderColumn,
+      ascending: sortOrder === 'asc',
+      offset,
+      limit: parseInt(limit)
+    }), 'file', userEmail);
     
     res.json({
       files,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: count || files.length,
-        pages: Math.ceil((count || files.length) / limit)
+        total: files.length,
+        pages: Math.ceil(files.length / limit)
       }
     });
   } catch (error) {
@@ -76,7 +88,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // POST /files/upload - Upload file with progress tracking
-router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
+router.post('/upload', requireAuth, requireStorageQuota, upload.single('file'), async (req, res) => {
   try {
     const { folderId } = req.body;
     const file = req.file;
@@ -86,41 +98,40 @@ router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file provided' });
     }
     
+    if (file.size > req.storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(req.storageQuota, file.size));
+    }
+    
     // Generate unique filename
     const fileId = crypto.randomBytes(16).toString('hex');
     const fileExtension = file.originalname.split('.').pop();
     const fileName = `${fileId}.${fileExtension}`;
     
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from(SUPABASE_BUCKET)
-      .upload(fileName, file.buffer, {
-        contentType: file.mimetype,
-        metadata: {
-          originalName: file.originalname,
-          uploadedBy: userEmail
-        }
-      });
+    // Upload to storage
+    const { data: uploadData, error: uploadError } = await storage.upload(fileName, file.buffer, {
+      contentType: file.mimetype,
+      metadata: {
+        originalName: file.originalname,
+        uploadedBy: userEmail
+      }
+    });
     
     if (uploadError) throw uploadError;
     
     // Save file metadata to database
-    const { data: fileData, error: dbError } = await supabase
-      .from('files')
-      .insert([{
-        id: fileId,
-        name: file.originalname,
-        original_name: file.originalname,
-        mime_type: file.mimetype,
-        size: file.size,
-        folder_id: folderId || null,
-        owner_email: userEmail,
-        storage_path: uploadData.path
-      }])
-      .select()
-      .single();
+    const fileData = await filesRepo.create({
+      id: fileId,
+      name: file.originalname,
+      original_name: file.originalname,
+      mime_type: file.mimetype,
+      size: file.size,
+      folder_id: folderId || null,
+      owner_email: userEmail,
+      storage_path: uploadData.path
+    });
     
-    if (dbError) throw dbError;
+    await recordActivity(userEmail, 'file.upload', 'file', fileData);
+    queueContentIndex(fileData, file.buffer);
     
     res.json({ 
       success: true, 
@@ -134,7 +145,7 @@ router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
 });
 
 // POST /files/bulk-upload - Upload multiple files for import
-router.post('/bulk-upload', requireAuth, upload.array('files', 100), async (req, res) => {
+router.post('/bulk-upload', requireAuth, requireStorageQuota, upload.array('files', 100), async (req, res) => {
   try {
     const { folderId } = req.body;
     const userEmail = req.user.email;
@@ -144,15 +155,16 @@ router.post('/bulk-upload', requireAuth, upload.array('files', 100), async (req,
       return res.status(400).json({ error: 'No files provided' });
     }
 
+    const totalSize = req.files.reduce((total, file) => total + file.size, 0);
+    if (totalSize > req.storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(req.storageQuota, totalSize));
+    }
+
     // Check if folder exists and user has access
     if (folderId) {
-      const { data: folder, error: folderError } = await supabase
-        .from('folders')
-        .select('*')
-        .eq('id', folderId)
-        .single();
+      const folder = await foldersRepo.findOne({ id: folderId, isDeleted: false });
       
-      if (folderError || !folder) {
+      if (!folder) {
         return res.status(404).json({ error: 'Folder not found' });
       }
       
@@ -168,48 +180,39 @@ router.post('/bulk-upload', requireAuth, upload.array('files', 100), async (req,
       try {
         // Upload file to storage
         const fileName = `${Date.now()}-${file.originalname}`;
-        const { data: storageData, error: storageError } = await supabase.storage
-          .from(SUPABASE_BUCKET)
-          .upload(fileName, file.buffer, {
-            contentType: file.mimetype,
-            metadata: {
-              originalName: file.originalname,
-              size: file.size
-            }
-          });
+        const { error: storageError } = await storage.upload(fileName, file.buffer, {
+          contentType: file.mimetype,
+          metadata: {
+            originalName: file.originalname,
+            size: file.size
+          }
+        });
 
         if (storageError) {
           console.error(`Error uploading file ${file.originalname}:`, storageError);
           continue;
         }
 
-        // Get public URL
-        const { data: { publicUrl } } = supabase.storage
-          .from('files')
-          .getPublicUrl(fileName);
-
         // Create file record in database
-        const { data: fileRecord, error: dbError } = await supabase
-          .from('files')
-          .insert([{
+        let fileRecord;
+        try {
+          fileRecord = await filesRepo.create({
             name: file.originalname,
             original_name: file.originalname,
             folder_id: folderId || null,
             owner_email: userEmail,
             size: file.size,
             mime_type: file.mimetype,
-            storage_path: fileName,
-            download_url: publicUrl
-          }])
-          .select()
-          .single();
-
-        if (dbError) {
+            storage_path: fileName
+          });
+        } catch (dbError) {
           console.error(`Error creating file record for ${file.originalname}:`, dbError);
           continue;
         }
 
         uploadedFiles.push(fileRecord);
+        await recordActivity(userEmail, 'file.upload', 'file', fileRecord);
+        queueContentIndex(fileRecord, file.buffer);
       } catch (error) {
         console.error(`Error processing file ${file.originalname}:`, error);
       }
@@ -226,21 +229,75 @@ router.post('/bulk-upload', requireAuth, upload.array('files', 100), async (req,
   }
 });
 
-// GET /files/:id/download - Download file
+// Ids of files and folders are uuids, with or without dashes (uploads use 32 hex digits);
+// Postgres rejects a whole query over any other value
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+
+// POST /files/archive - Download a selection of files and folders as a ZIP stream
+router.post('/archive', requireAuth, async (req, res) => {
+  try {
+    const { fileIds = [], folderIds = [], name = 'DataDock' } = req.body;
+    const userEmail = req.user.email;
+    
+    if (!Array.isArray(fileIds) || !Array.isArray(folderIds) || fileIds.length + folderIds.length === 0) {
+      return res.status(400).json({ error: 'fileIds or folderIds are required' });
+    }
+    
+    if (![...fileIds, ...folderIds].every(itemId => typeof itemId === 'string' && UUID_PATTERN.test(itemId))) {
+      return res.status(400).json({ error: 'fileIds and folderIds must be lists of ids' });
+    }
+    
+    const access = await createArchiveAccess(userEmail);
+    const usedNames = new Set();
+    const entries = [];
+    
+    // Items that are trashed or not visible to the user are skipped
+    if (fileIds.length > 0) {
+      const files = await filesRepo.find({ ids: fileIds, isDeleted: false });
+      
+      for (const file of files) {
+        if (access.canViewFile(file)) {
+          entries.push(createFileEntry(file, usedNames));
+        }
+      }
+    }
+    
+    if (folderIds.length > 0) {
+      const folders = await foldersRepo.find({ ids: folderIds, isDeleted: false });
+      
+      for (const folder of folders) {
+        if (access.canViewFolder(folder)) {
+          entries.push(...await collectFolderEntries(folder, '', access, usedNames));
+        }
+      }
+    }
+    
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'No accessible files or folders found' });
+    }
+    
+    await streamArchive(res, entries, name);
+  } catch (error) {
+    console.error('Error creating archive:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create archive' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// GET /files/:id/download - Download file (optionally a specific version)
 router.get('/:id/download', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    const { version } = req.query;
     const userEmail = req.user.email;
     
     // Get file info
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('is_deleted', false)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
     
@@ -252,20 +309,42 @@ router.get('/:id/download', requireAuth, async (req, res) => {
       }
     }
     
+    // Download an older version if requested
+    if (version) {
+      const fileVersion = await findFileVersion(id, version);
+      if (!fileVersion) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      
+      const { data: versionUrl, error: versionUrlError } = await storage
+        .createSignedUrl(fileVersion.storage_path, 60, { download: fileVersion.original_name || true });
+      
+      if (versionUrlError) throw versionUrlError;
+      
+      // Only downloads that will be served count, not requests for missing versions
+      await recordAccess(userEmail, 'download', 'file', file);
+      
+      return res.json({ 
+        downloadUrl: versionUrl.signedUrl, 
+        version: fileVersion.version_number 
+      });
+    }
+    
     // Get signed URL for download
-    const { data: signedUrl, error: urlError } = await supabase.storage
-      .from(SUPABASE_BUCKET)
+    const { data: signedUrl, error: urlError } = await storage
       .createSignedUrl(file.storage_path, 60); // 60 seconds expiry
     
     if (urlError) {
       console.error('Error creating download signed URL:', urlError);
       // If storage fails, try to return the file directly
       if (file.download_url) {
+        await recordAccess(userEmail, 'download', 'file', file);
         return res.json({ downloadUrl: file.download_url });
       }
       throw urlError;
     }
     
+    await recordAccess(userEmail, 'download', 'file', file);
     res.json({ downloadUrl: signedUrl.signedUrl });
   } catch (error) {
     console.error('Error downloading file:', error);
@@ -282,14 +361,9 @@ router.get('/:id/view', requireAuth, async (req, res) => {
     console.log('View request for file ID:', id, 'by user:', userEmail);
     
     // Get file info
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('is_deleted', false)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
       console.log('File not found:', id);
       return res.status(404).json({ error: 'File not found' });
     }
@@ -310,6 +384,8 @@ router.get('/:id/view', requireAuth, async (req, res) => {
       }
     }
     
+    await recordAccess(userEmail, 'view', 'file', file);
+    
     // Try to use download_url first if available
     if (file.download_url) {
       console.log('Using download_url as view URL');
@@ -321,8 +397,7 @@ router.get('/:id/view', requireAuth, async (req, res) => {
       console.log('Attempting to create signed URL for storage path:', file.storage_path);
       
       try {
-        const { data: signedUrl, error: urlError } = await supabase.storage
-          .from(SUPABASE_BUCKET)
+        const { data: signedUrl, error: urlError } = await storage
           .createSignedUrl(file.storage_path, 3600); // 1 hour expiry for viewing
         
         if (urlError) {
@@ -356,6 +431,372 @@ router.get('/:id/view', requireAuth, async (req, res) => {
   }
 });
 
+// GET /files/:id/content - Stream file content through the API (supports Range requests)
+router.get('/:id/content', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version, disposition = 'inline' } = req.query;
+    const userEmail = req.user.email;
+    
+    // Get file info
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    // Check permissions
+    if (file.owner_email !== userEmail) {
+      const permittedIds = await getPermittedIds(userEmail, 'file');
+      if (!permittedIds.includes(id)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+    
+    let content = {
+      storagePath: file.storage_path,
+      name: file.name,
+      mimeType: file.mime_type,
+      size: Number(file.size),
+      versionNumber: file.current_version || 1,
+      lastModified: file.updated_at
+    };
+    
+    // Stream an older version if requested
+    if (version) {
+      const fileVersion = await findFileVersion(id, version);
+      if (!fileVersion) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+      
+      content = {
+        storagePath: fileVersion.storage_path,
+        name: fileVersion.original_name || file.name,
+        mimeType: fileVersion.mime_type,
+        size: Number(fileVersion.size),
+        versionNumber: fileVersion.version_number,
+        lastModified: fileVersion.created_at
+      };
+    }
+    
+    if (!content.storagePath) {
+      return res.status(404).json({ error: 'No file content available' });
+    }
+    
+    // A version's content never changes, so the version number identifies it
+    const etag = `"${id}-v${content.versionNumber}"`;
+    
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-cache',
+      'Content-Type': content.mimeType || 'application/octet-stream',
+      'Content-Disposition': contentDisposition(content.name, {
+        type: disposition === 'attachment' ? 'attachment' : 'inline'
+      }),
+      ETag: etag
+    });
+    
+    if (content.lastModified) {
+      res.set('Last-Modified', new Date(content.lastModified).toUTCString());
+    }
+    
+    // The client already has this exact content (If-None-Match / If-Modified-Since)
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    // Only single byte ranges are honored; anything else gets the full content
+    let range = null;
+    const ifRange = req.get('If-Range');
+    if (req.get('Range') && content.size > 0 && (!ifRange || ifRange === etag)) {
+      const ranges = req.range(content.size);
+      
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${content.size}`);
+        return res.status(416).end();
+      }
+      
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+    
+    if (req.method === 'HEAD') {
+      if (range) {
+        res.status(206).set({
+          'Content-Range': `bytes ${range.start}-${range.end}/${content.size}`,
+          'Content-Length': String(range.end - range.start + 1)
+        });
+      } else if (content.size > 0) {
+        res.set('Content-Length', String(content.size));
+      }
+      return res.end();
+    }
+    
+    // Stop reading from storage if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+    
+    const { data: object, error: streamError } = await storage.stream(content.storagePath, {
+      range,
+      signal: controller.signal
+    });
+    
+    if (streamError) {
+      console.error('Error reading', content.storagePath, 'from storage:', streamError);
+      return res
+        .status(streamError.status === 404 ? 404 : 502)
+        .json({ error: 'File content not available' });
+    }
+    
+    if (range && object.contentRange) {
+      res.status(206).set({
+        'Content-Range': object.contentRange,
+        'Content-Length': String(object.contentLength ?? range.end - range.start + 1)
+      });
+    } else if (object.contentLength !== null) {
+      res.set('Content-Length', String(object.contentLength));
+    }
+    
+    await pipeline(object.body, res);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    
+    console.error('Error streaming file content:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream file content' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// GET /files/:id/versions - Get version history of a file
+router.get('/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+    
+    // Get file info
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    // Check permissions
+    if (file.owner_email !== userEmail) {
+      const permittedIds = await getPermittedIds(userEmail, 'file');
+      if (!permittedIds.includes(id)) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+    
+    await ensureBaseVersion(file);
+    
+    const versions = await fileVersionsRepo.find({ fileId: id }, { orderBy: 'version_number', ascending: false });
+    
+    res.json({
+      versions: versions.map(v => ({
+        ...v,
+        is_current: v.version_number === (file.current_version || 1)
+      })),
+      currentVersion: file.current_version || 1
+    });
+  } catch (error) {
+    console.error('Error fetching file versions:', error);
+    res.status(500).json({ error: 'Failed to fetch file versions' });
+  }
+});
+
+// GET /files/:id/activity - Get the activity history of a file
+router.get('/:id/activity', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { allowed, reason } = await hasPermission(req.user.email, 'file', id, 'viewer');
+    if (reason === 'Resource not found') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const { filter, status, error: filterError } = parseActivityFilter(req.query);
+    if (filterError) {
+      return res.status(status).json({ error: filterError });
+    }
+    
+    res.json(await findActivityPage({ ...filter, resourceType: 'file', resourceId: id }, req.query));
+  } catch (error) {
+    console.error('Error fetching file activity:', error);
+    res.status(500).json({ error: 'Failed to fetch file activity' });
+  }
+});
+
+// GET /files/:id/stats - Get how often a file was viewed and downloaded and when it was last
+// opened (owner only)
+router.get('/:id/stats', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const file = await filesRepo.findOne({ id, ownerEmail: req.user.email, isDeleted: false }, { columns: 'id' });
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    res.json({ fileId: id, stats: await getFileAccessStats(id) });
+  } catch (error) {
+    console.error('Error fetching file stats:', error);
+    res.status(500).json({ error: 'Failed to fetch file stats' });
+  }
+});
+
+// New versions count against the file owner's quota; the route answers 404 for missing files
+const requireVersionQuota = requireOwnerStorageQuota(async (req) => {
+  const file = await filesRepo.findOne({ id: req.params.id, isDeleted: false }, { columns: 'owner_email' });
+  return file?.owner_email ?? req.user.email;
+});
+
+// POST /files/:id/versions - Upload a new version of an existing file
+router.post('/:id/versions', requireAuth, requireVersionQuota, upload.single('file'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const file = req.file;
+    const userEmail = req.user.email;
+    
+    if (!file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+    
+    // Get file info
+    const existingFile = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!existingFile) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    // Uploading a new version requires editor access
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Older versions are kept, so the new one counts fully against the owner's quota
+    if (file.size > req.storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(req.storageQuota, file.size));
+    }
+    
+    await ensureBaseVersion(existingFile);
+    
+    // Every version gets its own storage object
+    const objectId = crypto.randomBytes(16).toString('hex');
+    const fileExtension = file.originalname.split('.').pop();
+    const fileName = `${objectId}.${fileExtension}`;
+    
+    const { data: uploadData, error: uploadError } = await storage.upload(fileName, file.buffer, {
+      contentType: file.mimetype,
+      metadata: {
+        originalName: file.originalname,
+        uploadedBy: userEmail,
+        fileId: id
+      }
+    });
+    
+    if (uploadError) throw uploadError;
+    
+    let version;
+    try {
+      version = await createFileVersion(id, {
+        storage_path: uploadData.path,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size: file.size,
+        uploaded_by: userEmail
+      });
+    } catch (error) {
+      // No version references the new object, so it would never be purged
+      await storage.remove([uploadData.path]);
+      throw error;
+    }
+    
+    const versionNumber = version.version_number;
+    const updatedFile = await applyVersionToFile(id, version);
+    
+    await recordActivity(userEmail, 'file.version_upload', 'file', updatedFile, { versionNumber });
+    queueContentIndex(updatedFile, file.buffer);
+    
+    res.json({ 
+      success: true, 
+      file: updatedFile,
+      version,
+      message: `Version ${versionNumber} uploaded successfully` 
+    });
+  } catch (error) {
+    console.error('Error uploading file version:', error);
+    res.status(500).json({ error: 'Failed to upload file version' });
+  }
+});
+
+// POST /files/:id/versions/:versionId/restore - Make an older version current
+router.post('/:id/versions/:versionId/restore', requireAuth, async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+    const userEmail = req.user.email;
+    
+    // Get file info
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    await ensureBaseVersion(file);
+    
+    const sourceVersion = await findFileVersion(id, versionId);
+    if (!sourceVersion) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    
+    // Restoring adds a new version pointing at the old content, so history is never rewritten
+    const version = await createFileVersion(id, {
+      storage_path: sourceVersion.storage_path,
+      original_name: sourceVersion.original_name,
+      mime_type: sourceVersion.mime_type,
+      size: sourceVersion.size,
+      uploaded_by: userEmail,
+      restored_from: sourceVersion.version_number
+    });
+    
+    const updatedFile = await applyVersionToFile(id, version);
+    
+    await recordActivity(userEmail, 'file.version_restore', 'file', updatedFile, {
+      versionNumber: version.version_number,
+      restoredFrom: sourceVersion.version_number
+    });
+    queueContentIndex(updatedFile);
+    
+    res.json({ 
+      success: true, 
+      file: updatedFile,
+      version,
+      message: `Version ${sourceVersion.version_number} restored successfully` 
+    });
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    res.status(500).json({ error: 'Failed to restore file version' });
+  }
+});
+
 // PUT /files/:id/star - Toggle star status
 router.put('/:id/star', requireAuth, async (req, res) => {
   try {
@@ -363,26 +804,16 @@ router.put('/:id/star', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Get current file
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, ownerEmail: userEmail });
+    
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
     
     // Toggle star status
-    const { data: updatedFile, error: updateError } = await supabase
-      .from('files')
-      .update({ is_starred: !file.is_starred })
-      .eq('id', id)
-      .select()
-      .single();
+    const updatedFile = await filesRepo.update(id, { is_starred: !file.is_starred });
     
-    if (updateError) throw updateError;
+    await recordActivity(userEmail, updatedFile.is_starred ? 'file.star' : 'file.unstar', 'file', updatedFile);
     
     res.json({ 
       success: true, 
@@ -395,6 +826,260 @@ router.put('/:id/star', requireAuth, async (req, res) => {
   }
 });
 
+// Helper to check that a user can add files to a target folder (no folder means their root)
+async function checkTargetFolder(userEmail, folderId) {
+  if (!folderId) return null;
+  
+  const { allowed, reason } = await hasPermission(userEmail, 'folder', folderId, 'editor');
+  if (reason === 'Resource not found') {
+    return { status: 404, error: 'Target folder not found' };
+  }
+  if (!allowed) {
+    return { status: 403, error: 'Access denied to target folder' };
+  }
+  
+  return null;
+}
+
+// PUT /files/:id/rename - Rename file
+router.put('/:id/rename', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    const userEmail = req.user.email;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'File name is required' });
+    }
+    
+    // Get current file
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Rename file
+    const updatedFile = await filesRepo.update(id, { 
+      name: name.trim(),
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'file.rename', 'file', updatedFile, { from: file.name, to: updatedFile.name });
+    
+    res.json({ 
+      success: true, 
+      file: updatedFile,
+      message: 'File renamed successfully' 
+    });
+  } catch (error) {
+    console.error('Error renaming file:', error);
+    res.status(500).json({ error: 'Failed to rename file' });
+  }
+});
+
+// PATCH /files/:id/properties - Set or remove custom properties of a file
+router.patch('/:id/properties', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+    
+    // Get current file
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const { properties, error: propertiesError } = mergeProperties(file.properties, req.body.properties);
+    if (propertiesError) {
+      return res.status(400).json({ error: propertiesError });
+    }
+    
+    // Files in a folder with a property schema must satisfy it
+    if (file.folder_id) {
+      const folder = await foldersRepo.findById(file.folder_id, { columns: 'property_schema' });
+      const schemaError = checkPropertySchema(properties, folder?.property_schema);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+    }
+    
+    const updatedFile = await filesRepo.update(id, { 
+      properties,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'file.properties_update', 'file', updatedFile, {
+      keys: Object.keys(req.body.properties)
+    });
+    
+    res.json({ 
+      success: true, 
+      file: updatedFile,
+      message: 'File properties updated successfully' 
+    });
+  } catch (error) {
+    console.error('Error updating file properties:', error);
+    res.status(500).json({ error: 'Failed to update file properties' });
+  }
+});
+
+// PUT /files/:id/move - Move file to a different folder
+router.put('/:id/move', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newFolderId } = req.body;
+    const userEmail = req.user.email;
+    
+    // Get current file
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const folderCheck = await checkTargetFolder(userEmail, newFolderId);
+    if (folderCheck) {
+      return res.status(folderCheck.status).json({ error: folderCheck.error });
+    }
+    
+    // Move file
+    const updatedFile = await filesRepo.update(id, { 
+      folder_id: newFolderId || null,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'file.move', 'file', updatedFile, {
+      fromFolderId: file.folder_id,
+      toFolderId: updatedFile.folder_id
+    });
+    
+    res.json({ 
+      success: true, 
+      file: updatedFile,
+      message: 'File moved successfully' 
+    });
+  } catch (error) {
+    console.error('Error moving file:', error);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+// POST /files/:id/copy - Copy file (and its storage object) into a folder owned or editable by the user
+router.post('/:id/copy', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { folderId, name } = req.body;
+    const userEmail = req.user.email;
+    
+    // Get source file
+    const file = await filesRepo.findOne({ id, isDeleted: false });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'file', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const folderCheck = await checkTargetFolder(userEmail, folderId);
+    if (folderCheck) {
+      return res.status(folderCheck.status).json({ error: folderCheck.error });
+    }
+    
+    // The copy is owned by the user who makes it
+    const storageQuota = await getStorageQuota(userEmail);
+    if ((Number(file.size) || 0) > storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(storageQuota, Number(file.size) || 0));
+    }
+    
+    // Copies into the same folder get a distinguishable name
+    const targetFolderId = folderId || null;
+    const copyName = name && name.trim()
+      ? name.trim()
+      : targetFolderId === file.folder_id && file.owner_email === userEmail
+        ? `Copy of ${file.name}`
+        : file.name;
+    
+    // Duplicate the storage object so the copy is independent of the source
+    let storagePath = file.storage_path;
+    if (file.storage_path) {
+      const objectId = crypto.randomBytes(16).toString('hex');
+      const fileExtension = (file.original_name || file.name).split('.').pop();
+      storagePath = `${objectId}.${fileExtension}`;
+      
+      const { error: copyError } = await storage.copy(file.storage_path, storagePath);
+      
+      if (copyError) throw copyError;
+    }
+    
+    // The copy belongs to the user making it
+    const copiedFile = await filesRepo.create({
+      name: copyName,
+      original_name: file.original_name || file.name,
+      mime_type: file.mime_type,
+      size: file.size,
+      folder_id: targetFolderId,
+      owner_email: userEmail,
+      storage_path: storagePath,
+      path: file.path,
+      properties: file.properties ?? {}
+    });
+    
+    await recordActivity(userEmail, 'file.copy', 'file', copiedFile, { sourceId: file.id });
+    await copyFileContent(file, copiedFile);
+    
+    res.json({ 
+      success: true, 
+      file: copiedFile,
+      message: 'File copied successfully' 
+    });
+  } catch (error) {
+    console.error('Error copying file:', error);
+    res.status(500).json({ error: 'Failed to copy file' });
+  }
+});
+
+// DELETE /files/trash - Empty trash (permanently delete all trashed files and folders)
+router.delete('/trash', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+    
+    const result = await runTrashPurge({ trigger: 'empty_trash', ownerEmail: userEmail, actorEmail: userEmail });
+    
+    res.json({ 
+      success: result.errors.length === 0, 
+      filesPurged: result.filesPurged,
+      foldersPurged: result.foldersPurged,
+      errors: result.errors,
+      message: result.errors.length === 0
+        ? 'Trash emptied successfully'
+        : `Trash emptied with ${result.errors.length} error(s)` 
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
 // DELETE /files/:id - Move to trash (soft delete)
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
@@ -402,27 +1087,19 @@ router.delete('/:id', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Check if user owns the file
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, ownerEmail: userEmail });
+    
+    if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
     
     // Soft delete
-    const { error: deleteError } = await supabase
-      .from('files')
-      .update({ 
-        is_deleted: true, 
-        deleted_at: new Date().toISOString() 
-      })
-      .eq('id', id);
+    const trashedFile = await filesRepo.update(id, { 
+      is_deleted: true, 
+      deleted_at: new Date().toISOString() 
+    });
     
-    if (deleteError) throw deleteError;
+    await recordActivity(userEmail, 'file.trash', 'file', trashedFile);
     
     res.json({ 
       success: true, 
@@ -441,37 +1118,38 @@ router.post('/:id/restore', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Check if user owns the file
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .eq('is_deleted', true)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, ownerEmail: userEmail, isDeleted: true });
+    
+    if (!file) {
       return res.status(404).json({ error: 'File not found in trash' });
     }
     
-    // Check if file is within 30 days
+    // Check if file is still within the retention window
     const deletedDate = new Date(file.deleted_at);
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const retentionCutoff = new Date();
+    retentionCutoff.setDate(retentionCutoff.getDate() - TRASH_RETENTION_DAYS);
+    
+    if (deletedDate < retentionCutoff) {
+      return res.status(400).json({ error: `File cannot be restored after ${TRASH_RETENTION_DAYS} days` });
+    }
     
-    if (deletedDate < thirtyDaysAgo) {
-      return res.status(400).json({ error: 'File cannot be restored after 30 days' });
+    // Go back to the original folder, or to root if that folder is gone
+    let folderId = file.folder_id;
+    if (folderId) {
+      const folder = await foldersRepo.findOne({ id: folderId, isDeleted: false }, { columns: 'id' });
+      
+      if (!folder) folderId = null;
     }
     
     // Restore file
-    const { error: restoreError } = await supabase
-      .from('files')
-      .update({ 
-        is_deleted: false, 
-        deleted_at: null 
-      })
-      .eq('id', id);
+    const restoredFile = await filesRepo.update(id, { 
+      is_deleted: false, 
+      deleted_at: null,
+      deleted_with_folder_id: null,
+      folder_id: folderId
+    });
     
-    if (restoreError) throw restoreError;
+    await recordActivity(userEmail, 'file.restore', 'file', restoredFile);
     
     res.json({ 
       success: true, 
@@ -490,34 +1168,24 @@ router.delete('/:id/permanent', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Check if user owns the file
-    const { data: file, error: fileError } = await supabase
-      .from('files')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .eq('is_deleted', true)
-      .single();
-    
-    if (fileError || !file) {
+    const file = await filesRepo.findOne({ id, ownerEmail: userEmail, isDeleted: true });
+    
+    if (!file) {
       return res.status(404).json({ error: 'File not found in trash' });
     }
     
-    // Delete from storage
-    const { error: storageError } = await supabase.storage
-      .from('files')
-      .remove([file.storage_path]);
+    // Delete from storage, including every stored version
+    const storagePaths = await getVersionStoragePaths(file);
+    const { error: storageError } = await storage.remove(storagePaths);
     
     if (storageError) {
       console.error('Storage deletion error:', storageError);
     }
     
     // Delete from database
-    const { error: deleteError } = await supabase
-      .from('files')
-      .delete()
-      .eq('id', id);
+    await filesRepo.remove(id);
     
-    if (deleteError) throw deleteError;
+    await recordActivity(userEmail, 'file.purge', 'file', file);
     
     res.json({ 
       success: true, 
@@ -529,7 +1197,7 @@ router.delete('/:id/permanent', requireAuth, async (req, res) => {
   }
 });
 
-// GET /files/trash - Get trash items
+// GET /files/trash - Get trashed files and folders
 router.get('/trash', requireAuth, async (req, res) => {
   try {
     const userEmail = req.user.email;
@@ -537,23 +1205,32 @@ router.get('/trash', requireAuth, async (req, res) => {
     
     const offset = (page - 1) * limit;
     
-    const { data: files, error, count } = await supabase
-      .from('files')
-      .select('*')
-      .eq('owner_email', userEmail)
-      .eq('is_deleted', true)
-      .order('deleted_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    // Items trashed as part of a folder are listed through that folder only
+    const trashFilter = { ownerEmail: userEmail, isDeleted: true, deletedWithFolderId: null };
+    const trashOptions = { orderBy: 'deleted_at', ascending: false, limit: offset + parseInt(limit) };
     
-    if (error) throw error;
+    const { rows: files, count: filesCount } = await filesRepo.findAndCount(trashFilter, trashOptions);
+    const { rows: folders, count: foldersCount } = await foldersRepo.findAndCount(trashFilter, trashOptions);
+    
+    // Merge both lists by deletion date, then take the requested page
+    const items = [
+      ...files.map(file => ({ ...file, type: 'file' })),
+      ...folders.map(folder => ({ ...folder, type: 'folder' }))
+    ]
+      .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at))
+      .slice(offset, offset + parseInt(limit));
+    
+    const total = filesCount + foldersCount;
     
     res.json({
-      files,
+      items,
+      files: items.filter(item => item.type === 'file'),
+      folders: items.filter(item => item.type === 'folder'),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: count || files.length,
-        pages: Math.ceil((count || files.length) / limit)
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -1,9 +1,25 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { supabase } from '../config/supabase.js';
+import { filesRepo, foldersRepo } from '../repos/index.js';
+import { storage } from '../storage/index.js';
 import { requireAuth } from '../middleware/requireAuth.js';
-import { getPermittedIds } from '../utils/permissions.js';
-import { SUPABASE_BUCKET } from '../config/env.js';
+import { requireStorageQuota } from '../middleware/requireStorageQuota.js';
+import { getPermittedIds, hasPermission } from '../utils/permissions.js';
+import {
+  TRASH_RETENTION_DAYS,
+  UPLOAD_TMP_DIR,
+  ZIP_IMPORT_MAX_SIZE
+} from '../config/env.js';
+import { createArchiveAccess, collectFolderEntries, streamArchive } from '../utils/archive.js';
+import { openZipArchive, extractZipArchive } from '../utils/zipImport.js';
+import { getStorageQuota, quotaExceededBody } from '../utils/quota.js';
+import { parseTagFilter, getTaggedIds, attachTags } from '../utils/tags.js';
+import { normalizePropertySchema } from '../utils/properties.js';
+import { recordActivity, parseActivityFilter, findActivityPage } from '../utils/activity.js';
+import { queueContentIndex, copyFileContent } from '../utils/contentIndex.js';
+import { getSubtreeFolderIds } from '../utils/folderTree.js';
+import crypto from 'crypto';
+import fs from 'fs';
 
 // Configure multer for file uploads
 const upload = multer({
@@ -13,6 +29,14 @@ const upload = multer({
   },
 });
 
+// ZIP imports are staged on disk instead of in memory
+const zipUpload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: {
+    fileSize: ZIP_IMPORT_MAX_SIZE,
+  },
+});
+
 const router = Router();
 
 // GET /folders - Get folders with pagination, search, and filtering
@@ -21,50 +45,44 @@ router.get('/', requireAuth, async (req, res) => {
     const { page = 1, limit = 20, parentId, search, sortBy = 'name', sortOrder = 'asc', starred } = req.query;
     const userEmail = req.user.email;
     
-    let query = supabase
-      .from('folders')
-      .select('*');
-    
-    // Filter by parent folder
-    if (parentId && parentId !== 'null') {
-      query = query.eq('parent_id', parentId);
-    } else {
-      query = query.is('parent_id', null);
+    const tagFilter = parseTagFilter(req.query);
+    if (tagFilter?.error) {
+      return res.status(tagFilter.status).json({ error: tagFilter.error });
     }
     
     // Filter by owner or shared permissions
     const permittedIds = await getPermittedIds(userEmail, 'folder');
-    query = query.or(`owner_email.eq.${userEmail},id.in.(${permittedIds.join(',')})`);
     
-    // Search functionality
-    if (search) {
-      query = query.ilike('name', `%${search}%`);
-    }
-    
-    // Star filter
-    if (starred === 'true') {
-      query = query.eq('is_starred', true);
-    }
+    const filter = {
+      isDeleted: false,
+      // Children of the parent folder, or root folders when no parent is given
+      parentId: parentId && parentId !== 'null' ? parentId : null,
+      visibleTo: { email: userEmail, ids: permittedIds },
+      nameContains: search || undefined,
+      isStarred: starred === 'true' ? true : undefined,
+      ids: tagFilter ? await getTaggedIds(userEmail, 'folder', tagFilter) : undefined
+    };
     
     // Sorting
     const orderColumn = sortBy === 'date' ? 'created_at' : 'name';
-    query = query.order(orderColumn, { ascending: sortOrder === 'asc' });
     
     // Pagination
     const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
-    
-    const { data: folders, error, count } = await query;
     
-    if (error) throw error;
+    const folders = await attachTags(await foldersRepo.find(filter, {
+      orderBy: orderColumn,
+      ascending: sortOrder === 'asc',
+      offset,
+      limit: parseInt(limit)
+    }), 'folder', userEmail);
     
     res.json({
       folders,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: count || folders.length,
-        pages: Math.ceil((count || folders.length) / limit)
+        total: folders.length,
+        pages: Math.ceil(folders.length / limit)
       }
     });
   } catch (error) {
@@ -85,13 +103,9 @@ router.post('/', requireAuth, async (req, res) => {
     
     // Check if parent folder exists and user has access
     if (parentId) {
-      const { data: parentFolder, error: parentError } = await supabase
-        .from('folders')
-        .select('*')
-        .eq('id', parentId)
-        .single();
+      const parentFolder = await foldersRepo.findOne({ id: parentId, isDeleted: false });
       
-      if (parentError || !parentFolder) {
+      if (!parentFolder) {
         return res.status(404).json({ error: 'Parent folder not found' });
       }
       
@@ -105,17 +119,13 @@ router.post('/', requireAuth, async (req, res) => {
     }
     
     // Create folder
-    const { data: folder, error } = await supabase
-      .from('folders')
-      .insert([{
-        name,
-        parent_id: parentId || null,
-        owner_email: userEmail
-      }])
-      .select()
-      .single();
+    const folder = await foldersRepo.create({
+      name,
+      parent_id: parentId || null,
+      owner_email: userEmail
+    });
     
-    if (error) throw error;
+    await recordActivity(userEmail, 'folder.create', 'folder', folder);
     
     res.json({ 
       success: true, 
@@ -129,11 +139,16 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // POST /folders/import - Import local folder structure
-router.post('/import', requireAuth, upload.array('files', 100), async (req, res) => {
+router.post('/import', requireAuth, requireStorageQuota, upload.array('files', 100), async (req, res) => {
   try {
     let { name, parentId, structure, importMode = 'structure' } = req.body;
     const userEmail = req.user.email;
     
+    const totalSize = (req.files || []).reduce((total, file) => total + file.size, 0);
+    if (totalSize > req.storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(req.storageQuota, totalSize));
+    }
+    
     // Handle FormData for file uploads
     let uploadedFiles = [];
     if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
@@ -166,31 +181,22 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
           const fileInfo = fileInfos[i] || { name: file.originalname, path: file.originalname };
           
           try {
-            // Upload file to Supabase storage
+            // Upload file to storage
             const fileName = `${Date.now()}-${file.originalname}`;
             let storagePath = fileName;
-            let downloadUrl = null;
             
             try {
-              const { data: storageData, error: storageError } = await supabase.storage
-                .from(SUPABASE_BUCKET)
-                .upload(fileName, file.buffer, {
-                  contentType: file.mimetype,
-                  metadata: {
-                    originalName: file.originalname,
-                    size: file.size
-                  }
-                });
+              const { error: storageError } = await storage.upload(fileName, file.buffer, {
+                contentType: file.mimetype,
+                metadata: {
+                  originalName: file.originalname,
+                  size: file.size
+                }
+              });
 
               if (storageError) {
                 console.error(`Error uploading file ${file.originalname}:`, storageError);
                 // Continue without storage upload, just create database record
-              } else {
-                // Get public URL
-                const { data: { publicUrl } } = supabase.storage
-                  .from(SUPABASE_BUCKET)
-                  .getPublicUrl(fileName);
-                downloadUrl = publicUrl;
               }
             } catch (storageError) {
               console.error(`Error uploading file ${file.originalname}:`, storageError);
@@ -203,8 +209,7 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
               content: file.buffer,
               size: file.size,
               mimeType: file.mimetype,
-              storagePath: storagePath,
-              downloadUrl: downloadUrl
+              storagePath: storagePath
             });
           } catch (error) {
             console.error(`Error processing uploaded file ${file.originalname}:`, error);
@@ -219,13 +224,9 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
     
     // Check if parent folder exists and user has access
     if (parentId) {
-      const { data: parentFolder, error: parentError } = await supabase
-        .from('folders')
-        .select('*')
-        .eq('id', parentId)
-        .single();
+      const parentFolder = await foldersRepo.findOne({ id: parentId, isDeleted: false });
       
-      if (parentError || !parentFolder) {
+      if (!parentFolder) {
         return res.status(404).json({ error: 'Parent folder not found' });
       }
       
@@ -238,17 +239,11 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
     }
     
     // Create main folder
-    const { data: mainFolder, error: mainFolderError } = await supabase
-      .from('folders')
-      .insert([{
-        name,
-        parent_id: parentId || null,
-        owner_email: userEmail
-      }])
-      .select()
-      .single();
-    
-    if (mainFolderError) throw mainFolderError;
+    const mainFolder = await foldersRepo.create({
+      name,
+      parent_id: parentId || null,
+      owner_email: userEmail
+    });
     
     if (importMode === 'files') {
       // Import folder structure and files
@@ -258,32 +253,31 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
       const directFiles = [];
       for (const uploadedFile of uploadedFiles) {
         try {
-                     const { data: file, error: fileError } = await supabase
-             .from('files')
-             .insert([{
-               name: uploadedFile.name,
-               folder_id: mainFolder.id,
-               owner_email: userEmail,
-               size: uploadedFile.size,
-               mime_type: uploadedFile.mimeType,
-               original_name: uploadedFile.name,
-               path: uploadedFile.path || uploadedFile.name, // Ensure path is provided
-               storage_path: uploadedFile.storagePath
-               // download_url: uploadedFile.downloadUrl // Commented out until schema is updated
-             }])
-             .select()
-             .single();
+          const file = await filesRepo.create({
+            name: uploadedFile.name,
+            folder_id: mainFolder.id,
+            owner_email: userEmail,
+            size: uploadedFile.size,
+            mime_type: uploadedFile.mimeType,
+            original_name: uploadedFile.name,
+            path: uploadedFile.path || uploadedFile.name, // Ensure path is provided
+            storage_path: uploadedFile.storagePath
+            // download_url: uploadedFile.downloadUrl // Commented out until schema is updated
+          });
           
-          if (fileError) {
-            console.error(`Error creating direct file record ${uploadedFile.name}:`, fileError);
-          } else {
-            directFiles.push(file);
-          }
+          directFiles.push(file);
+          queueContentIndex(file);
         } catch (error) {
+          console.error(`Error creating direct file record ${uploadedFile.name}:`, error);
           console.error(`Error processing direct file ${uploadedFile.name}:`, error);
         }
       }
       
+      await recordActivity(userEmail, 'folder.import', 'folder', mainFolder, {
+        folders: importedFolders.length,
+        files: importedFiles.length + directFiles.length
+      });
+      
       res.json({ 
         success: true, 
         folder: mainFolder,
@@ -295,6 +289,11 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
       // Import folder structure only
       const importedFolders = await importFolderStructure(structure, mainFolder.id, userEmail);
       
+      await recordActivity(userEmail, 'folder.import', 'folder', mainFolder, {
+        folders: importedFolders.length,
+        files: 0
+      });
+      
       res.json({ 
         success: true, 
         folder: mainFolder,
@@ -308,6 +307,86 @@ router.post('/import', requireAuth, upload.array('files', 100), async (req, res)
   }
 });
 
+// POST /folders/import/zip - Upload a .zip and extract it into a new folder tree
+router.post('/import/zip', requireAuth, requireStorageQuota, zipUpload.single('file'), async (req, res) => {
+  const zipPath = req.file?.path;
+  
+  try {
+    const { parentId, name } = req.body;
+    const file = req.file;
+    const userEmail = req.user.email;
+    
+    if (!file) {
+      return res.status(400).json({ error: 'No zip file provided' });
+    }
+    
+    // Check parent folder exists and user can add to it
+    if (parentId) {
+      const { allowed, reason } = await hasPermission(userEmail, 'folder', parentId, 'editor');
+      if (reason === 'Resource not found') {
+        return res.status(404).json({ error: 'Parent folder not found' });
+      }
+      if (!allowed) {
+        return res.status(403).json({ error: 'Access denied to parent folder' });
+      }
+    }
+    
+    // Reject invalid archives and zip bombs before creating anything
+    const archive = await openZipArchive(file.path);
+    if (archive.error) {
+      return res.status(archive.status).json({ error: archive.error });
+    }
+    
+    // Extracted files count against the quota at their uncompressed size
+    if (archive.totalUncompressed > req.storageQuota.available) {
+      archive.zipfile.close();
+      return res.status(413).json(quotaExceededBody(req.storageQuota, archive.totalUncompressed));
+    }
+    
+    const folderName = (name && name.trim()) || file.originalname.replace(/\.zip$/i, '') || 'Imported';
+    
+    let mainFolder;
+    try {
+      mainFolder = await foldersRepo.create({
+        name: folderName,
+        parent_id: parentId || null,
+        owner_email: userEmail
+      });
+    } catch (mainFolderError) {
+      archive.zipfile.close();
+      throw mainFolderError;
+    }
+    
+    const results = await extractZipArchive(archive, mainFolder.id, userEmail);
+    
+    const summary = {
+      folders: results.filter(r => r.type === 'folder' && r.status === 'created').length,
+      files: results.filter(r => r.type === 'file' && r.status === 'created').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length
+    };
+    
+    await recordActivity(userEmail, 'folder.import_zip', 'folder', mainFolder, summary);
+    
+    res.json({ 
+      success: summary.failed === 0, 
+      folder: mainFolder,
+      summary,
+      results,
+      message: summary.failed === 0
+        ? 'Zip archive imported successfully'
+        : `Zip archive imported with ${summary.failed} failed entr${summary.failed === 1 ? 'y' : 'ies'}`
+    });
+  } catch (error) {
+    console.error('Error importing zip archive:', error);
+    res.status(500).json({ error: 'Failed to import zip archive' });
+  } finally {
+    if (zipPath) {
+      fs.promises.rm(zipPath, { force: true }).catch(() => {});
+    }
+  }
+});
+
 // Helper function to recursively import folder structure
 async function importFolderStructure(structure, parentId, userEmail) {
   const importedFolders = [];
@@ -316,17 +395,14 @@ async function importFolderStructure(structure, parentId, userEmail) {
     try {
       if (item.type === 'folder') {
         // Create subfolder
-        const { data: subfolder, error: subfolderError } = await supabase
-          .from('folders')
-          .insert([{
+        let subfolder;
+        try {
+          subfolder = await foldersRepo.create({
             name: item.name,
             parent_id: parentId,
             owner_email: userEmail
-          }])
-          .select()
-          .single();
-        
-        if (subfolderError) {
+          });
+        } catch (subfolderError) {
           console.error(`Error creating subfolder ${item.name}:`, subfolderError);
           continue;
         }
@@ -357,17 +433,14 @@ async function importFolderStructureWithFiles(structure, parentId, userEmail, fi
     try {
       if (item.type === 'folder') {
         // Create subfolder
-        const { data: subfolder, error: subfolderError } = await supabase
-          .from('folders')
-          .insert([{
+        let subfolder;
+        try {
+          subfolder = await foldersRepo.create({
             name: item.name,
             parent_id: parentId,
             owner_email: userEmail
-          }])
-          .select()
-          .single();
-        
-        if (subfolderError) {
+          });
+        } catch (subfolderError) {
           console.error(`Error creating subfolder ${item.name}:`, subfolderError);
           continue;
         }
@@ -393,54 +466,39 @@ async function importFolderStructureWithFiles(structure, parentId, userEmail, fi
         if (fileData && fileData.storagePath) {
           // File was already uploaded to storage, just create database record
           try {
-                         const { data: file, error: fileError } = await supabase
-               .from('files')
-               .insert([{
-                 name: item.name,
-                 folder_id: parentId,
-                 owner_email: userEmail,
-                 size: fileData.size || item.size || 0,
-                 mime_type: fileData.mimeType || item.mimeType || 'application/octet-stream',
-                 original_name: item.name,
-                 path: item.path || item.name, // Ensure path is provided
-                 storage_path: fileData.storagePath
-                 // download_url: fileData.downloadUrl // Commented out until schema is updated
-               }])
-               .select()
-               .single();
+            const file = await filesRepo.create({
+              name: item.name,
+              folder_id: parentId,
+              owner_email: userEmail,
+              size: fileData.size || item.size || 0,
+              mime_type: fileData.mimeType || item.mimeType || 'application/octet-stream',
+              original_name: item.name,
+              path: item.path || item.name, // Ensure path is provided
+              storage_path: fileData.storagePath
+              // download_url: fileData.downloadUrl // Commented out until schema is updated
+            });
             
-            if (fileError) {
-              console.error(`Error creating file record ${item.name}:`, fileError);
-            } else {
-              importedFiles.push(file);
-            }
+            importedFiles.push(file);
+            queueContentIndex(file);
           } catch (fileError) {
-            console.error(`Error processing file ${item.name}:`, fileError);
+            console.error(`Error creating file record ${item.name}:`, fileError);
           }
         } else {
           // Create file record without content (for structure-only import)
           try {
-                         const { data: file, error: fileError } = await supabase
-               .from('files')
-               .insert([{
-                 name: item.name,
-                 folder_id: parentId,
-                 owner_email: userEmail,
-                 size: item.size || 0,
-                 mime_type: item.mimeType || 'application/octet-stream',
-                 original_name: item.name,
-                 path: item.path || item.name // Ensure path is provided
-               }])
-               .select()
-               .single();
+            const file = await filesRepo.create({
+              name: item.name,
+              folder_id: parentId,
+              owner_email: userEmail,
+              size: item.size || 0,
+              mime_type: item.mimeType || 'application/octet-stream',
+              original_name: item.name,
+              path: item.path || item.name // Ensure path is provided
+            });
             
-            if (fileError) {
-              console.error(`Error creating file record ${item.name}:`, fileError);
-            } else {
-              importedFiles.push(file);
-            }
+            importedFiles.push(file);
           } catch (fileError) {
-            console.error(`Error processing file ${item.name}:`, fileError);
+            console.error(`Error creating file record ${item.name}:`, fileError);
           }
         }
       }
@@ -452,6 +510,216 @@ async function importFolderStructureWithFiles(structure, parentId, userEmail, fi
   return { importedFolders, importedFiles };
 }
 
+// Helper to check whether a folder sits inside another folder's subtree (or is that folder)
+async function isInSubtree(folderId, ancestorId) {
+  let currentId = folderId;
+  const visited = new Set();
+  
+  while (currentId && !visited.has(currentId)) {
+    if (currentId === ancestorId) return true;
+    visited.add(currentId);
+    
+    const current = await foldersRepo.findById(currentId, { columns: 'parent_id' });
+    
+    if (!current) break;
+    currentId = current.parent_id;
+  }
+  
+  return false;
+}
+
+// Helper to pick a folder name that is free under the given parent ("Name", "Name (1)", ...).
+// Inside a folder every sibling counts, whoever owns it; at the top level only the user's own.
+async function getAvailableFolderName(name, parentId, userEmail) {
+  const siblings = await foldersRepo.find(
+    parentId
+      ? { isDeleted: false, nameStartsWith: name, parentId }
+      : { ownerEmail: userEmail, isDeleted: false, nameStartsWith: name, parentId: null },
+    { columns: 'name' }
+  );
+  
+  const taken = new Set(siblings.map(f => f.name));
+  if (!taken.has(name)) return name;
+  
+  let counter = 1;
+  while (taken.has(`${name} (${counter})`)) counter++;
+  return `${name} (${counter})`;
+}
+
+// Helper to total the size of the live files in a folder subtree
+async function getSubtreeSize(rootId) {
+  const folderIds = await getSubtreeFolderIds(rootId);
+  
+  const files = await filesRepo.find({ folderIds, isDeleted: false }, { columns: 'size' });
+  
+  return files.reduce((total, file) => total + (Number(file.size) || 0), 0);
+}
+
+// Helper to recursively copy a folder, its subfolders and files (including storage objects)
+async function copyFolderTree(sourceFolder, parentId, userEmail, name, report) {
+  const newFolder = await foldersRepo.create({
+    name,
+    parent_id: parentId,
+    owner_email: userEmail,
+    property_schema: sourceFolder.property_schema ?? null
+  });
+  
+  report.folders[sourceFolder.id] = newFolder.id;
+  
+  // Copy files in this folder
+  const files = await filesRepo.find({ folderId: sourceFolder.id, isDeleted: false });
+  
+  for (const file of files) {
+    try {
+      let storagePath = file.storage_path;
+      if (file.storage_path) {
+        const objectId = crypto.randomBytes(16).toString('hex');
+        const fileExtension = (file.original_name || file.name).split('.').pop();
+        storagePath = `${objectId}.${fileExtension}`;
+        
+        const { error: copyError } = await storage.copy(file.storage_path, storagePath);
+        
+        if (copyError) throw copyError;
+      }
+      
+      const newFile = await filesRepo.create({
+        name: file.name,
+        original_name: file.original_name || file.name,
+        mime_type: file.mime_type,
+        size: file.size,
+        folder_id: newFolder.id,
+        owner_email: userEmail,
+        storage_path: storagePath,
+        path: file.path,
+        properties: file.properties ?? {}
+      });
+      
+      report.files[file.id] = newFile.id;
+      await copyFileContent(file, newFile);
+    } catch (error) {
+      console.error(`Error copying file ${file.name}:`, error);
+      report.failed.push({ type: 'file', id: file.id, name: file.name, error: error.message });
+    }
+  }
+  
+  // Recursively copy subfolders
+  const subfolders = await foldersRepo.find({ parentId: sourceFolder.id, isDeleted: false });
+  
+  for (const subfolder of subfolders) {
+    try {
+      await copyFolderTree(subfolder, newFolder.id, userEmail, subfolder.name, report);
+    } catch (error) {
+      console.error(`Error copying subfolder ${subfolder.name}:`, error);
+      report.failed.push({ type: 'folder', id: subfolder.id, name: subfolder.name, error: error.message });
+    }
+  }
+  
+  return newFolder;
+}
+
+// POST /folders/:id/copy - Deep copy a folder tree into another folder
+router.post('/:id/copy', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { parentId } = req.body;
+    const userEmail = req.user.email;
+    const targetParentId = parentId || null;
+    
+    // Get source folder
+    const folder = await foldersRepo.findOne({ id, isDeleted: false });
+    
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    
+    const { allowed } = await hasPermission(userEmail, 'folder', id, 'editor');
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Check target parent exists and user can add to it
+    if (targetParentId) {
+      const { allowed: parentAllowed, reason } = await hasPermission(userEmail, 'folder', targetParentId, 'editor');
+      if (reason === 'Resource not found') {
+        return res.status(404).json({ error: 'Target folder not found' });
+      }
+      if (!parentAllowed) {
+        return res.status(403).json({ error: 'Access denied to target folder' });
+      }
+      
+      // Prevent copying a folder into its own subtree
+      if (await isInSubtree(targetParentId, id)) {
+        return res.status(400).json({ error: 'Cannot copy folder into itself or its subfolders' });
+      }
+    }
+    
+    // The copied files are owned by the user who makes the copy
+    const copySize = await getSubtreeSize(id);
+    const storageQuota = await getStorageQuota(userEmail);
+    if (copySize > storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(storageQuota, copySize));
+    }
+    
+    const name = await getAvailableFolderName(folder.name, targetParentId, userEmail);
+    const report = { folders: {}, files: {}, failed: [] };
+    
+    const newFolder = await copyFolderTree(folder, targetParentId, userEmail, name, report);
+    
+    await recordActivity(userEmail, 'folder.copy', 'folder', newFolder, {
+      sourceId: folder.id,
+      folders: Object.keys(report.folders).length,
+      files: Object.keys(report.files).length,
+      failed: report.failed.length
+    });
+    
+    res.json({ 
+      success: report.failed.length === 0, 
+      folder: newFolder,
+      mapping: {
+        folders: report.folders,
+        files: report.files
+      },
+      failed: report.failed,
+      message: report.failed.length === 0
+        ? 'Folder copied successfully'
+        : `Folder copied with ${report.failed.length} error(s)`
+    });
+  } catch (error) {
+    console.error('Error copying folder:', error);
+    res.status(500).json({ error: 'Failed to copy folder' });
+  }
+});
+
+// GET /folders/:id/archive - Download folder as a ZIP stream
+router.get('/:id/archive', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+    
+    const folder = await foldersRepo.findOne({ id, isDeleted: false });
+    
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    
+    const access = await createArchiveAccess(userEmail);
+    if (!access.canViewFolder(folder)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const entries = await collectFolderEntries(folder, '', access);
+    
+    await streamArchive(res, entries, folder.name);
+  } catch (error) {
+    console.error('Error archiving folder:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to archive folder' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
 // GET /folders/:id/breadcrumbs - Get folder breadcrumbs
 router.get('/:id/breadcrumbs', requireAuth, async (req, res) => {
   try {
@@ -459,13 +727,9 @@ router.get('/:id/breadcrumbs', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Check if user has access to this folder
-    const { data: folder, error: folderError } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const folder = await foldersRepo.findOne({ id, isDeleted: false });
     
-    if (folderError || !folder) {
+    if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
     
@@ -487,14 +751,7 @@ router.get('/:id/breadcrumbs', requireAuth, async (req, res) => {
       });
       
       if (currentFolder.parent_id) {
-        const { data: parent, error: parentError } = await supabase
-          .from('folders')
-          .select('*')
-          .eq('id', currentFolder.parent_id)
-          .single();
-        
-        if (parentError) break;
-        currentFolder = parent;
+        currentFolder = await foldersRepo.findById(currentFolder.parent_id);
       } else {
         break;
       }
@@ -507,6 +764,31 @@ router.get('/:id/breadcrumbs', requireAuth, async (req, res) => {
   }
 });
 
+// GET /folders/:id/activity - Get the activity history of a folder and the items directly in it
+router.get('/:id/activity', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const { allowed, reason } = await hasPermission(req.user.email, 'folder', id, 'viewer');
+    if (reason === 'Resource not found') {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (!allowed) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const { filter, status, error: filterError } = parseActivityFilter(req.query);
+    if (filterError) {
+      return res.status(status).json({ error: filterError });
+    }
+    
+    res.json(await findActivityPage({ ...filter, anyOf: { resourceId: id, folderId: id } }, req.query));
+  } catch (error) {
+    console.error('Error fetching folder activity:', error);
+    res.status(500).json({ error: 'Failed to fetch folder activity' });
+  }
+});
+
 // PUT /folders/:id/star - Toggle star status
 router.put('/:id/star', requireAuth, async (req, res) => {
   try {
@@ -514,26 +796,16 @@ router.put('/:id/star', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Get current folder
-    const { data: folder, error: folderError } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (folderError || !folder) {
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: false });
+    
+    if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
     
     // Toggle star status
-    const { data: updatedFolder, error: updateError } = await supabase
-      .from('folders')
-      .update({ is_starred: !folder.is_starred })
-      .eq('id', id)
-      .select()
-      .single();
+    const updatedFolder = await foldersRepo.update(id, { is_starred: !folder.is_starred });
     
-    if (updateError) throw updateError;
+    await recordActivity(userEmail, updatedFolder.is_starred ? 'folder.star' : 'folder.unstar', 'folder', updatedFolder);
     
     res.json({ 
       success: true, 
@@ -554,26 +826,17 @@ router.put('/:id/move', requireAuth, async (req, res) => {
     const userEmail = req.user.email;
     
     // Get current folder
-    const { data: folder, error: folderError } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (folderError || !folder) {
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: false });
+    
+    if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
     
     // Check if new parent exists and user has access
     if (newParentId) {
-      const { data: newParent, error: parentError } = await supabase
-        .from('folders')
-        .select('*')
-        .eq('id', newParentId)
-        .single();
+      const newParent = await foldersRepo.findOne({ id: newParentId, isDeleted: false });
       
-      if (parentError || !newParent) {
+      if (!newParent) {
         return res.status(404).json({ error: 'New parent folder not found' });
       }
       
@@ -591,17 +854,15 @@ router.put('/:id/move', requireAuth, async (req, res) => {
     }
     
     // Move folder
-    const { data: updatedFolder, error: updateError } = await supabase
-      .from('folders')
-      .update({ 
-        parent_id: newParentId || null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
+    const updatedFolder = await foldersRepo.update(id, { 
+      parent_id: newParentId || null,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'folder.move', 'folder', updatedFolder, {
+      fromParentId: folder.parent_id,
+      toParentId: updatedFolder.parent_id
+    });
     
     res.json({ 
       success: true, 
@@ -626,29 +887,19 @@ router.put('/:id/rename', requireAuth, async (req, res) => {
     }
     
     // Get current folder
-    const { data: folder, error: folderError } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (folderError || !folder) {
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: false });
+    
+    if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
     
     // Rename folder
-    const { data: updatedFolder, error: updateError } = await supabase
-      .from('folders')
-      .update({ 
-        name,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
-    
-    if (updateError) throw updateError;
+    const updatedFolder = await foldersRepo.update(id, { 
+      name,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'folder.rename', 'folder', updatedFolder, { from: folder.name, to: name });
     
     res.json({ 
       success: true, 
@@ -661,49 +912,89 @@ router.put('/:id/rename', requireAuth, async (req, res) => {
   }
 });
 
-// DELETE /folders/:id - Delete folder (moves contents to trash)
+// PUT /folders/:id/property-schema - Set or clear the property schema for files in a folder
+router.put('/:id/property-schema', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+    
+    const { schema, error: schemaError } = normalizePropertySchema(req.body.schema);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
+    
+    // Get current folder
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: false });
+    
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    
+    // Existing files are checked the next time their properties change
+    const updatedFolder = await foldersRepo.update(id, { 
+      property_schema: schema,
+      updated_at: new Date().toISOString()
+    });
+    
+    await recordActivity(userEmail, 'folder.property_schema_update', 'folder', updatedFolder, {
+      keys: (schema || []).map(field => field.key)
+    });
+    
+    res.json({ 
+      success: true, 
+      folder: updatedFolder,
+      message: schema ? 'Property schema updated successfully' : 'Property schema removed successfully'
+    });
+  } catch (error) {
+    console.error('Error updating property schema:', error);
+    res.status(500).json({ error: 'Failed to update property schema' });
+  }
+});
+
+// DELETE /folders/:id - Move folder and its whole subtree to trash
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const userEmail = req.user.email;
     
     // Get current folder
-    const { data: folder, error: folderError } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('id', id)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (folderError || !folder) {
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: false });
+    
+    if (!folder) {
       return res.status(404).json({ error: 'Folder not found' });
     }
     
-    // Move all files in this folder to trash
-    const { error: filesError } = await supabase
-      .from('files')
-      .update({ 
-        is_deleted: true, 
-        deleted_at: new Date().toISOString() 
-      })
-      .eq('folder_id', id)
-      .eq('owner_email', userEmail);
+    const folderIds = await getSubtreeFolderIds(id);
+    const deletedAt = new Date().toISOString();
+    
+    // Items trashed along with this folder remember it, so restoring the
+    // folder brings back exactly what this delete removed
+    await filesRepo.updateWhere({ folderIds, isDeleted: false }, { 
+      is_deleted: true, 
+      deleted_at: deletedAt,
+      deleted_with_folder_id: id
+    });
     
-    if (filesError) {
-      console.error('Error moving files to trash:', filesError);
+    const subfolderIds = folderIds.filter(folderId => folderId !== id);
+    if (subfolderIds.length > 0) {
+      await foldersRepo.updateWhere({ ids: subfolderIds }, { 
+        is_deleted: true, 
+        deleted_at: deletedAt,
+        deleted_with_folder_id: id
+      });
     }
     
-    // Delete folder
-    const { error: deleteError } = await supabase
-      .from('folders')
-      .delete()
-      .eq('id', id);
+    const trashedFolder = await foldersRepo.update(id, { 
+      is_deleted: true, 
+      deleted_at: deletedAt,
+      deleted_with_folder_id: null
+    });
     
-    if (deleteError) throw deleteError;
+    await recordActivity(userEmail, 'folder.trash', 'folder', trashedFolder);
     
     res.json({ 
       success: true, 
-      message: 'Folder deleted successfully' 
+      message: 'Folder moved to trash successfully' 
     });
   } catch (error) {
     console.error('Error deleting folder:', error);
@@ -711,6 +1002,73 @@ router.delete('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// POST /folders/:id/restore - Restore folder and its subtree from trash
+router.post('/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+    
+    // Check if user owns the folder
+    const folder = await foldersRepo.findOne({ id, ownerEmail: userEmail, isDeleted: true });
+    
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found in trash' });
+    }
+    
+    if (folder.deleted_with_folder_id) {
+      return res.status(400).json({ error: 'Folder was deleted with its parent folder; restore the parent instead' });
+    }
+    
+    // Check if folder is still within the retention window
+    const deletedDate = new Date(folder.deleted_at);
+    const retentionCutoff = new Date();
+    retentionCutoff.setDate(retentionCutoff.getDate() - TRASH_RETENTION_DAYS);
+    
+    if (deletedDate < retentionCutoff) {
+      return res.status(400).json({ error: `Folder cannot be restored after ${TRASH_RETENTION_DAYS} days` });
+    }
+    
+    // Go back to the original parent, or to root if that parent is gone
+    let parentId = folder.parent_id;
+    if (parentId) {
+      const parent = await foldersRepo.findOne({ id: parentId, isDeleted: false }, { columns: 'id' });
+      
+      if (!parent) parentId = null;
+    }
+    
+    const restoredFolder = await foldersRepo.update(id, { 
+      is_deleted: false, 
+      deleted_at: null,
+      parent_id: parentId,
+      updated_at: new Date().toISOString()
+    });
+    
+    await foldersRepo.updateWhere({ deletedWithFolderId: id }, { 
+      is_deleted: false, 
+      deleted_at: null,
+      deleted_with_folder_id: null
+    });
+    
+    await filesRepo.updateWhere({ deletedWithFolderId: id }, { 
+      is_deleted: false, 
+      deleted_at: null,
+      deleted_with_folder_id: null
+    });
+    
+    await recordActivity(userEmail, 'folder.restore', 'folder', restoredFolder);
+    
+    res.json({ 
+      success: true, 
+      folder: restoredFolder,
+      restoredToRoot: !!folder.parent_id && !parentId,
+      message: 'Folder restored successfully' 
+    });
+  } catch (error) {
+    console.error('Error restoring folder:', error);
+    res.status(500).json({ error: 'Failed to restore folder' });
+  }
+});
+
 // GET /folders/starred - Get starred folders
 router.get('/starred', requireAuth, async (req, res) => {
   try {
@@ -719,23 +1077,18 @@ router.get('/starred', requireAuth, async (req, res) => {
     
     const offset = (page - 1) * limit;
     
-    const { data: folders, error, count } = await supabase
-      .from('folders')
-      .select('*')
-      .eq('owner_email', userEmail)
-      .eq('is_starred', true)
-      .order('updated_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-    
-    if (error) throw error;
+    const folders = await attachTags(await foldersRepo.find(
+      { ownerEmail: userEmail, isStarred: true, isDeleted: false },
+      { orderBy: 'updated_at', ascending: false, offset, limit: parseInt(limit) }
+    ), 'folder', userEmail);
     
     res.json({
       folders,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: count || folders.length,
-        pages: Math.ceil((count || folders.length) / limit)
+        total: folders.length,
+        pages: Math.ceil(folders.length / limit)
       }
     });
   } catch (error) {
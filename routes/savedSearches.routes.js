@@ -0,0 +1,337 @@
+import { Router } from 'express';
+import { savedSearchesRepo, savedSearchSharesRepo } from '../repos/index.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { getPropertyOrderColumn } from '../utils/properties.js';
+import {
+  ADVANCED_SEARCH_PARAMS,
+  SORT_FIELDS,
+  parseAdvancedSearch,
+  runAdvancedSearch
+} from '../utils/advancedSearch.js';
+
+const router = Router();
+
+const NAME_MAX_LENGTH = 255;
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Turn a filters object into parameters as GET /search/advanced reads them from a query string:
+// lists become comma-separated and numbers and booleans become text.
+// Returns { params } or { status, error }.
+function normalizeFilters(filters) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { status: 400, error: 'filters must be an object' };
+  }
+
+  const params = {};
+  for (const [name, value] of Object.entries(filters)) {
+    if (name === 'query' || (!ADVANCED_SEARCH_PARAMS.includes(name) && !name.startsWith('prop.'))) {
+      return { status: 400, error: `Unknown filter "${name}". Use prop.<key> or: ${ADVANCED_SEARCH_PARAMS.filter(param => param !== 'query').join(', ')}` };
+    }
+    if (value === undefined || value === null) continue;
+
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(item => ['string', 'number', 'boolean'].includes(typeof item))) {
+      return { status: 400, error: `Filter "${name}" must be text, a number, true or false, or a list of them` };
+    }
+    params[name] = values.map(String).join(',');
+  }
+
+  return { params };
+}
+
+// Check name, query, filters, sortBy and sortOrder from a request body and turn them into row
+// changes. The query and filters are checked as GET /search/advanced would check them.
+// Returns { changes } or { status, error }.
+function readSavedSearch(body, { current = null } = {}) {
+  const { name, query, filters, sortBy, sortOrder } = body || {};
+  const changes = {};
+
+  if (name !== undefined || !current) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { status: 400, error: 'Saved search name is required' };
+    }
+    if (name.trim().length > NAME_MAX_LENGTH) {
+      return { status: 400, error: `Saved search name must be at most ${NAME_MAX_LENGTH} characters` };
+    }
+    changes.name = name.trim();
+  }
+
+  if (query !== undefined && query !== null && typeof query !== 'string') {
+    return { status: 400, error: 'query must be text' };
+  }
+
+  if (query !== undefined || filters !== undefined || !current) {
+    const { query: currentQuery, ...currentFilters } = current?.params || {};
+
+    const normalized = filters !== undefined ? normalizeFilters(filters) : { params: currentFilters };
+    if (normalized.error) {
+      return { status: normalized.status, error: normalized.error };
+    }
+
+    const nextQuery = query !== undefined ? query : currentQuery;
+    const params = { ...(nextQuery ? { query: nextQuery } : {}), ...normalized.params };
+
+    const { status, error } = parseAdvancedSearch(params);
+    if (error) {
+      return { status, error };
+    }
+    changes.params = params;
+  }
+
+  if (sortBy !== undefined) {
+    if (!SORT_FIELDS.includes(sortBy) && !getPropertyOrderColumn(sortBy)) {
+      return { status: 400, error: `sortBy must be prop.<key> or one of: ${SORT_FIELDS.join(', ')}` };
+    }
+    changes.sort_by = sortBy;
+  }
+
+  if (sortOrder !== undefined) {
+    if (!SORT_ORDERS.includes(sortOrder)) {
+      return { status: 400, error: `sortOrder must be one of: ${SORT_ORDERS.join(', ')}` };
+    }
+    changes.sort_order = sortOrder;
+  }
+
+  return { changes };
+}
+
+// A saved search the user owns or that is shared with them, or null
+async function findAccessibleSavedSearch(id, userEmail) {
+  const savedSearch = await savedSearchesRepo.findById(id);
+  if (!savedSearch) return null;
+  if (savedSearch.owner_email === userEmail) return savedSearch;
+
+  const share = await savedSearchSharesRepo.findOne({ savedSearchId: id, userEmail }, { columns: 'id' });
+  return share ? savedSearch : null;
+}
+
+// GET /search/saved - Get the user's saved searches and those shared with them
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const savedSearches = await savedSearchesRepo.find(
+      { ownerEmail: userEmail },
+      { orderBy: 'name', ascending: true }
+    );
+
+    const shares = await savedSearchSharesRepo.find({ userEmail }, { columns: 'saved_search_id' });
+    const sharedWithMe = shares.length > 0
+      ? await savedSearchesRepo.find(
+        { ids: shares.map(share => share.saved_search_id) },
+        { orderBy: 'name', ascending: true }
+      )
+      : [];
+
+    res.json({ savedSearches, sharedWithMe });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// POST /search/saved - Save a named search: a query, GET /search/advanced filters and a sort
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const { changes, status, error } = readSavedSearch(req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const savedSearch = await savedSearchesRepo.create({
+      owner_email: userEmail,
+      sort_by: 'name',
+      sort_order: 'asc',
+      ...changes
+    });
+
+    res.status(201).json({
+      success: true,
+      savedSearch,
+      message: 'Search saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// GET /search/saved/:id - Get a saved search; its owner also gets the users it is shared with
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const savedSearch = await findAccessibleSavedSearch(req.params.id, userEmail);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const shares = savedSearch.owner_email === userEmail
+      ? await savedSearchSharesRepo.find({ savedSearchId: savedSearch.id }, { orderBy: 'created_at', ascending: true })
+      : undefined;
+
+    res.json({ savedSearch, shares });
+  } catch (error) {
+    console.error('Error fetching saved search:', error);
+    res.status(500).json({ error: 'Failed to fetch saved search' });
+  }
+});
+
+// GET /search/saved/:id/results - Run a saved search as a smart folder. Results are computed
+// now, with the permissions of the user running it.
+router.get('/:id/results', requireAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const userEmail = req.user.email;
+
+    const savedSearch = await findAccessibleSavedSearch(req.params.id, userEmail);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { criteria, status, error } = parseAdvancedSearch(savedSearch.params || {});
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { results, pagination } = await runAdvancedSearch(userEmail, criteria, {
+      sortBy: savedSearch.sort_by,
+      sortOrder: savedSearch.sort_order,
+      page,
+      limit
+    });
+
+    res.json({ savedSearch, results, pagination });
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({ error: 'Failed to run saved search' });
+  }
+});
+
+// PUT /search/saved/:id - Update a saved search's name, query, filters or sort
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const savedSearch = await savedSearchesRepo.findOne({ id, ownerEmail: req.user.email });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { changes, status, error } = readSavedSearch(req.body, { current: savedSearch });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const updatedSavedSearch = await savedSearchesRepo.update(id, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      savedSearch: updatedSavedSearch,
+      message: 'Saved search updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// DELETE /search/saved/:id - Delete a saved search and its shares
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const savedSearch = await savedSearchesRepo.findOne({ id, ownerEmail: req.user.email }, { columns: 'id' });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await savedSearchesRepo.remove(id);
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// POST /search/saved/:id/shares - Share a saved search with a user, who can then list and run it.
+// Sharing the search does not share the items it finds.
+router.post('/:id/shares', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userEmail } = req.body || {};
+    const grantedBy = req.user.email;
+
+    if (typeof userEmail !== 'string' || !userEmail.trim()) {
+      return res.status(400).json({ error: 'userEmail is required' });
+    }
+    if (userEmail.trim() === grantedBy) {
+      return res.status(400).json({ error: 'A saved search cannot be shared with its owner' });
+    }
+
+    const savedSearch = await savedSearchesRepo.findOne({ id, ownerEmail: grantedBy }, { columns: 'id' });
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const existingShare = await savedSearchSharesRepo.findOne({ savedSearchId: id, userEmail: userEmail.trim() });
+    if (existingShare) {
+      return res.json({
+        success: true,
+        share: existingShare,
+        message: 'Saved search is already shared with this user'
+      });
+    }
+
+    const share = await savedSearchSharesRepo.create({
+      saved_search_id: id,
+      user_email: userEmail.trim(),
+      granted_by: grantedBy
+    });
+
+    res.status(201).json({
+      success: true,
+      share,
+      message: 'Saved search shared successfully'
+    });
+  } catch (error) {
+    console.error('Error sharing saved search:', error);
+    res.status(500).json({ error: 'Failed to share saved search' });
+  }
+});
+
+// DELETE /search/saved/:id/shares/:shareId - Stop sharing a saved search. The owner can remove
+// any share and a user their own.
+router.delete('/:id/shares/:shareId', requireAuth, async (req, res) => {
+  try {
+    const { id, shareId } = req.params;
+    const userEmail = req.user.email;
+
+    const share = await savedSearchSharesRepo.findOne({ id: shareId, savedSearchId: id });
+    const savedSearch = share && await savedSearchesRepo.findById(id);
+    if (!share || !savedSearch || (savedSearch.owner_email !== userEmail && share.user_email !== userEmail)) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await savedSearchSharesRepo.remove(shareId);
+
+    res.json({
+      success: true,
+      message: 'Share removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing saved search share:', error);
+    res.status(500).json({ error: 'Failed to remove saved search share' });
+  }
+});
+
+export default router;
@@ -1,17 +1,105 @@
 import { Router } from 'express';
-import { supabase } from '../config/supabase.js';
+import { filesRepo, foldersRepo, fileContentsRepo } from '../repos/index.js';
 import { requireAuth } from '../middleware/requireAuth.js';
-import { getPermittedIds } from '../utils/permissions.js';
+import { getPermittedIds, hasPermission } from '../utils/permissions.js';
+import { SEARCH_FUZZY_THRESHOLD } from '../config/env.js';
+import { attachTags } from '../utils/tags.js';
+import { parseAdvancedSearch, runAdvancedSearch } from '../utils/advancedSearch.js';
+import { formatSnippet } from '../utils/contentIndex.js';
+import { parseSearchQuery, buildSearchExpression, getSearchTerms } from '../utils/searchQuery.js';
+import { combineFacets } from '../utils/searchFacets.js';
+import { getSubtreeFolderIds } from '../utils/folderTree.js';
+import { findRecentlyAccessed } from '../utils/access.js';
 
 const router = Router();
 
-// GET /search - Global search across files and folders
+// What GET /search matches the query against
+const SEARCH_TARGETS = ['name', 'content'];
+
+// Files whose extracted text matches the query, best match first, each with its rank and
+// an HTML snippet. scopeFolderIds limits the search to files in those folders.
+// Returns { files, total }.
+async function searchFileContents(userEmail, searchTerm, { scopeFolderIds, offset, limit }) {
+  const permittedFileIds = await getPermittedIds(userEmail, 'file');
+
+  const { rows: matches, count } = await fileContentsRepo.search({
+    query: searchTerm,
+    visibleTo: { email: userEmail, ids: permittedFileIds },
+    folderIds: scopeFolderIds,
+    offset,
+    limit
+  });
+
+  const files = matches.length > 0
+    ? await filesRepo.find({ ids: matches.map(match => match.file_id) })
+    : [];
+  const filesById = new Map(files.map(file => [file.id, file]));
+
+  const rankedFiles = matches
+    .filter(match => filesById.has(match.file_id))
+    .map(match => ({
+      ...filesById.get(match.file_id),
+      rank: match.rank,
+      snippet: formatSnippet(match.snippet)
+    }));
+
+  return { files: await attachTags(rankedFiles, 'file', userEmail), total: count };
+}
+
+// Rows of the items of a searchNames page, in page order and with their relevance
+async function loadSearchPage(repo, page) {
+  const rows = page.length > 0 ? await repo.find({ ids: page.map(match => match.id) }) : [];
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+
+  return page
+    .filter(match => rowsById.has(match.id))
+    .map(match => ({ ...rowsById.get(match.id), relevance: match.relevance }));
+}
+
+// Files or folders matching a parsed name search that the user can see, with their tags.
+// Terms match names fuzzily and ignoring accents, and every item gets a relevance score.
+// folderId limits the search to items inside that folder. Returns { items, count, facets }
+// with the exact number and facet counts of every match (see searchNames in repos/index.js),
+// or null facets when nothing can match.
+async function searchNames(resourceType, tree, userEmail, { terms, lookups, starred, folderId, sortBy, sortOrder, offset, limit }) {
+  const repo = resourceType === 'file' ? filesRepo : foldersRepo;
+  
+  const expression = await buildSearchExpression(tree, resourceType, userEmail, { lookups, fuzzyNames: true });
+  if (!expression) return { items: [], count: 0, facets: null };
+  
+  const where = expression === true ? {} : expression;
+  const orderBy = sortBy === 'relevance' ? 'relevance'
+    : sortBy === 'date' ? 'created_at' : sortBy === 'size' && resourceType === 'file' ? 'size' : 'name';
+  
+  const { rows: page, count, facets } = await repo.searchNames({
+    where: starred !== undefined ? { and: [where, { isStarred: starred }] } : where,
+    terms,
+    userEmail,
+    folderId,
+    threshold: SEARCH_FUZZY_THRESHOLD,
+    orderBy,
+    ascending: sortOrder === 'asc',
+    offset,
+    limit
+  });
+  
+  const items = await loadSearchPage(repo, page);
+  return { items: await attachTags(items, resourceType, userEmail), count, facets };
+}
+
+// GET /search - Global search across files and folders by name, with the search box syntax
+// of utils/searchQuery.js (report type:pdf -draft owner:me) and typo-tolerant matching ranked
+// by relevance, or across file contents with ?in=content (with highlighted snippets).
+// ?folderId limits the search to everything inside that folder. Name searches also return
+// facet counts of all their matches.
 router.get('/', requireAuth, async (req, res) => {
   try {
     const { 
       query, 
+      in: searchIn = 'name',
+      folderId,
       type = 'all', 
-      sortBy = 'name', 
+      sortBy, 
       sortOrder = 'asc', 
       starred,
       page = 1, 
@@ -23,6 +111,21 @@ router.get('/', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
+    if (!SEARCH_TARGETS.includes(searchIn)) {
+      return res.status(400).json({ error: `in must be one of: ${SEARCH_TARGETS.join(', ')}` });
+    }
+    
+    // Scope the search to the folders below folderId, which the user must be able to see.
+    // Name searches apply the scope themselves; content searches take the folder ids
+    let scopeFolderIds;
+    if (folderId) {
+      const { allowed } = await hasPermission(userEmail, 'folder', folderId);
+      if (!allowed) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      if (searchIn === 'content') scopeFolderIds = await getSubtreeFolderIds(folderId);
+    }
+    
     const searchTerm = query.trim();
     const offset = (page - 1) * limit;
     const results = {
@@ -31,78 +134,71 @@ router.get('/', requireAuth, async (req, res) => {
       total: 0
     };
     
-    // Search files
-    if (type === 'all' || type === 'files') {
-      let fileQuery = supabase
-        .from('files')
-        .select('*')
-        .eq('is_deleted', false)
-        .ilike('name', `%${searchTerm}%`);
-      
-      // Filter by owner or shared permissions
-      const permittedFileIds = await getPermittedIds(userEmail, 'file');
-      fileQuery = fileQuery.or(`owner_email.eq.${userEmail},id.in.(${permittedFileIds.join(',')})`);
-      
-      // Star filter
-      if (starred === 'true') {
-        fileQuery = fileQuery.eq('is_starred', true);
+    // Name searches understand the filter syntax; content searches pass the text to the
+    // full-text search, which has its own quotes, - and OR
+    let tree = null;
+    if (searchIn === 'name') {
+      const parsed = parseSearchQuery(searchTerm);
+      if (parsed.error) {
+        return res.status(parsed.status).json({ error: parsed.error, position: parsed.position });
       }
+      tree = parsed.tree;
+    }
+    
+    // Search file contents; folders have none
+    if (searchIn === 'content') {
+      const { files, total } = await searchFileContents(userEmail, searchTerm, { scopeFolderIds, offset, limit: parseInt(limit) });
       
-      // Sorting
-      const fileOrderColumn = sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name';
-      fileQuery = fileQuery.order(fileOrderColumn, { ascending: sortOrder === 'asc' });
-      
-      // Pagination
-      fileQuery = fileQuery.range(offset, offset + limit - 1);
-      
-      const { data: files, error: filesError, count: filesCount } = await fileQuery;
-      
-      if (filesError) throw filesError;
-      
-      results.files = files || [];
-      results.total += filesCount || files.length;
+      results.files = files;
+      results.total = total;
+    }
+    
+    // Relevance is the default order when the query has words to match
+    const terms = tree ? getSearchTerms(tree) : [];
+    const nameSearch = {
+      terms,
+      lookups: new Map(),
+      starred: starred === 'true' ? true : undefined,
+      folderId,
+      sortBy: sortBy || (terms.length > 0 ? 'relevance' : 'name'),
+      sortOrder,
+      offset,
+      limit: parseInt(limit)
+    };
+    
+    // Exact counts and facets of every match of each type
+    const searches = { files: null, folders: null };
+    
+    // Search files
+    if (tree && (type === 'all' || type === 'files')) {
+      searches.files = await searchNames('file', tree, userEmail, nameSearch);
+      results.files = searches.files.items;
+      results.total += searches.files.count;
     }
     
     // Search folders
-    if (type === 'all' || type === 'folders') {
-      let folderQuery = supabase
-        .from('folders')
-        .select('*')
-        .ilike('name', `%${searchTerm}%`);
-      
-      // Filter by owner or shared permissions
-      const permittedFolderIds = await getPermittedIds(userEmail, 'folder');
-      folderQuery = folderQuery.or(`owner_email.eq.${userEmail},id.in.(${permittedFolderIds.join(',')})`);
-      
-      // Star filter
-      if (starred === 'true') {
-        folderQuery = folderQuery.eq('is_starred', true);
-      }
-      
-      // Sorting
-      const folderOrderColumn = sortBy === 'date' ? 'created_at' : 'name';
-      folderQuery = folderQuery.order(folderOrderColumn, { ascending: sortOrder === 'asc' });
-      
-      // Pagination
-      folderQuery = folderQuery.range(offset, offset + limit - 1);
-      
-      const { data: folders, error: foldersError, count: foldersCount } = await folderQuery;
-      
-      if (foldersError) throw foldersError;
-      
-      results.folders = folders || [];
-      results.total += foldersCount || folders.length;
+    if (tree && (type === 'all' || type === 'folders')) {
+      searches.folders = await searchNames('folder', tree, userEmail, nameSearch);
+      results.folders = searches.folders.items;
+      results.total += searches.folders.count;
     }
     
+    // Files and folders are paged side by side, so the longer list sets the number of pages
+    const pagedTotal = tree ? Math.max(searches.files?.count || 0, searches.folders?.count || 0) : results.total;
+    
     res.json({
       results,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         total: results.total,
-        pages: Math.ceil(results.total / limit)
+        pages: Math.ceil(pagedTotal / limit)
       },
-      searchTerm
+      facets: tree ? combineFacets(searches.files, searches.folders) : undefined,
+      searchTerm,
+      searchIn,
+      folderId,
+      sortBy: searchIn === 'name' ? nameSearch.sortBy : undefined
     });
   } catch (error) {
     console.error('Error searching:', error);
@@ -131,49 +227,28 @@ router.get('/starred', requireAuth, async (req, res) => {
     
     // Get starred files
     if (type === 'all' || type === 'files') {
-      let fileQuery = supabase
-        .from('files')
-        .select('*')
-        .eq('owner_email', userEmail)
-        .eq('is_starred', true)
-        .eq('is_deleted', false);
-      
-      // Sorting
       const fileOrderColumn = sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name';
-      fileQuery = fileQuery.order(fileOrderColumn, { ascending: sortOrder === 'asc' });
-      
-      // Pagination
-      fileQuery = fileQuery.range(offset, offset + limit - 1);
       
-      const { data: files, error: filesError, count: filesCount } = await fileQuery;
+      const files = await filesRepo.find(
+        { ownerEmail: userEmail, isStarred: true, isDeleted: false },
+        { orderBy: fileOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+      );
       
-      if (filesError) throw filesError;
-      
-      results.files = files || [];
-      results.total += filesCount || files.length;
+      results.files = await attachTags(files, 'file', userEmail);
+      results.total += files.length;
     }
     
     // Get starred folders
     if (type === 'all' || type === 'folders') {
-      let folderQuery = supabase
-        .from('folders')
-        .select('*')
-        .eq('owner_email', userEmail)
-        .eq('is_starred', true);
-      
-      // Sorting
       const folderOrderColumn = sortBy === 'date' ? 'created_at' : 'name';
-      folderQuery = folderQuery.order(folderOrderColumn, { ascending: sortOrder === 'asc' });
       
-      // Pagination
-      folderQuery = folderQuery.range(offset, offset + limit - 1);
+      const folders = await foldersRepo.find(
+        { ownerEmail: userEmail, isStarred: true, isDeleted: false },
+        { orderBy: folderOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+      );
       
-      const { data: folders, error: foldersError, count: foldersCount } = await folderQuery;
-      
-      if (foldersError) throw foldersError;
-      
-      results.folders = folders || [];
-      results.total += foldersCount || folders.length;
+      results.folders = await attachTags(folders, 'folder', userEmail);
+      results.total += folders.length;
     }
     
     res.json({
@@ -191,7 +266,8 @@ router.get('/starred', requireAuth, async (req, res) => {
   }
 });
 
-// GET /search/recent - Get recently accessed items
+// GET /search/recent - Get the items the user opened most recently (viewed, downloaded or
+// visited through a share link), their own or shared with them, newest first
 router.get('/recent', requireAuth, async (req, res) => {
   try {
     const { 
@@ -208,32 +284,17 @@ router.get('/recent', requireAuth, async (req, res) => {
     
     // Get recent files
     if (type === 'all' || type === 'files') {
-      const { data: files, error: filesError } = await supabase
-        .from('files')
-        .select('*')
-        .eq('owner_email', userEmail)
-        .eq('is_deleted', false)
-        .order('updated_at', { ascending: false })
-        .limit(parseInt(limit));
+      const files = await findRecentlyAccessed(userEmail, 'file', parseInt(limit));
       
-      if (filesError) throw filesError;
-      
-      results.files = files || [];
+      results.files = await attachTags(files, 'file', userEmail);
       results.total += files.length;
     }
     
     // Get recent folders
     if (type === 'all' || type === 'folders') {
-      const { data: folders, error: foldersError } = await supabase
-        .from('folders')
-        .select('*')
-        .eq('owner_email', userEmail)
-        .order('updated_at', { ascending: false })
-        .limit(parseInt(limit));
-      
-      if (foldersError) throw foldersError;
+      const folders = await findRecentlyAccessed(userEmail, 'folder', parseInt(limit));
       
-      results.folders = folders || [];
+      results.folders = await attachTags(folders, 'folder', userEmail);
       results.total += folders.length;
     }
     
@@ -244,6 +305,21 @@ router.get('/recent', requireAuth, async (req, res) => {
   }
 });
 
+// The user's own files or folders whose names match a term, even with typos or without
+// accents, most relevant first
+async function suggestNames(resourceType, searchTerm, userEmail, limit) {
+  const repo = resourceType === 'file' ? filesRepo : foldersRepo;
+  
+  const { rows: page } = await repo.searchNames({
+    where: { nameMatches: searchTerm, ownerEmail: userEmail },
+    terms: [searchTerm],
+    userEmail,
+    threshold: SEARCH_FUZZY_THRESHOLD,
+    limit
+  });
+  return loadSearchPage(repo, page);
+}
+
 // GET /search/suggestions - Get search suggestions
 router.get('/suggestions', requireAuth, async (req, res) => {
   try {
@@ -258,32 +334,18 @@ router.get('/suggestions', requireAuth, async (req, res) => {
     const suggestions = [];
     
     // Get file name suggestions
-    const { data: fileSuggestions, error: filesError } = await supabase
-      .from('files')
-      .select('name')
-      .eq('owner_email', userEmail)
-      .eq('is_deleted', false)
-      .ilike('name', `%${searchTerm}%`)
-      .limit(parseInt(limit));
-    
-    if (!filesError && fileSuggestions) {
-      suggestions.push(...fileSuggestions.map(f => ({ type: 'file', name: f.name })));
-    }
+    const fileSuggestions = await suggestNames('file', searchTerm, userEmail, parseInt(limit)).catch(() => []);
+    
+    suggestions.push(...fileSuggestions.map(f => ({ type: 'file', name: f.name, relevance: f.relevance })));
     
     // Get folder name suggestions
-    const { data: folderSuggestions, error: foldersError } = await supabase
-      .from('folders')
-      .select('name')
-      .eq('owner_email', userEmail)
-      .ilike('name', `%${searchTerm}%`)
-      .limit(parseInt(limit));
-    
-    if (!foldersError && folderSuggestions) {
-      suggestions.push(...folderSuggestions.map(f => ({ type: 'folder', name: f.name })));
-    }
+    const folderSuggestions = await suggestNames('folder', searchTerm, userEmail, parseInt(limit)).catch(() => []);
+    
+    suggestions.push(...folderSuggestions.map(f => ({ type: 'folder', name: f.name, relevance: f.relevance })));
     
-    // Remove duplicates and limit results
+    // Remove duplicates and limit results, most relevant first
     const uniqueSuggestions = suggestions
+      .sort((a, b) => b.relevance - a.relevance)
       .filter((suggestion, index, self) => 
         index === self.findIndex(s => s.name === suggestion.name)
       )
@@ -307,6 +369,9 @@ router.get('/advanced', requireAuth, async (req, res) => {
       dateFrom,
       dateTo,
       starred,
+      tags,
+      tagMode,
+      scope = 'owned',
       sortBy = 'name',
       sortOrder = 'asc',
       page = 1,
@@ -314,112 +379,16 @@ router.get('/advanced', requireAuth, async (req, res) => {
     } = req.query;
     const userEmail = req.user.email;
     
-    const offset = (page - 1) * limit;
-    const results = {
-      files: [],
-      folders: [],
-      total: 0
-    };
-    
-    // Build file query
-    let fileQuery = supabase
-      .from('files')
-      .select('*')
-      .eq('owner_email', userEmail)
-      .eq('is_deleted', false);
-    
-    // Add search term
-    if (query && query.trim().length > 0) {
-      fileQuery = fileQuery.ilike('name', `%${query.trim()}%`);
-    }
-    
-    // Add file type filter
-    if (fileTypes) {
-      const types = fileTypes.split(',');
-      fileQuery = fileQuery.in('mime_type', types);
-    }
-    
-    // Add size filters
-    if (minSize) {
-      fileQuery = fileQuery.gte('size', parseInt(minSize));
-    }
-    if (maxSize) {
-      fileQuery = fileQuery.lte('size', parseInt(maxSize));
-    }
-    
-    // Add date filters
-    if (dateFrom) {
-      fileQuery = fileQuery.gte('created_at', dateFrom);
-    }
-    if (dateTo) {
-      fileQuery = fileQuery.lte('created_at', dateTo);
-    }
-    
-    // Add star filter
-    if (starred === 'true') {
-      fileQuery = fileQuery.eq('is_starred', true);
-    }
-    
-    // Sorting
-    const fileOrderColumn = sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name';
-    fileQuery = fileQuery.order(fileOrderColumn, { ascending: sortOrder === 'asc' });
-    
-    // Pagination
-    fileQuery = fileQuery.range(offset, offset + limit - 1);
-    
-    const { data: files, error: filesError, count: filesCount } = await fileQuery;
-    
-    if (filesError) throw filesError;
-    
-    results.files = files || [];
-    results.total += filesCount || files.length;
-    
-    // Build folder query (simpler filters for folders)
-    let folderQuery = supabase
-      .from('folders')
-      .select('*')
-      .eq('owner_email', userEmail);
-    
-    // Add search term
-    if (query && query.trim().length > 0) {
-      folderQuery = folderQuery.ilike('name', `%${query.trim()}%`);
-    }
-    
-    // Add date filters
-    if (dateFrom) {
-      folderQuery = folderQuery.gte('created_at', dateFrom);
-    }
-    if (dateTo) {
-      folderQuery = folderQuery.lte('created_at', dateTo);
-    }
-    
-    // Add star filter
-    if (starred === 'true') {
-      folderQuery = folderQuery.eq('is_starred', true);
+    const { criteria, status, error } = parseAdvancedSearch(req.query);
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    // Sorting
-    const folderOrderColumn = sortBy === 'date' ? 'created_at' : 'name';
-    folderQuery = folderQuery.order(folderOrderColumn, { ascending: sortOrder === 'asc' });
-    
-    // Pagination
-    folderQuery = folderQuery.range(offset, offset + limit - 1);
-    
-    const { data: folders, error: foldersError, count: foldersCount } = await folderQuery;
-    
-    if (foldersError) throw foldersError;
-    
-    results.folders = folders || [];
-    results.total += foldersCount || folders.length;
+    const { results, pagination } = await runAdvancedSearch(userEmail, criteria, { sortBy, sortOrder, page, limit });
     
     res.json({
       results,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: results.total,
-        pages: Math.ceil(results.total / limit)
-      },
+      pagination,
       filters: {
         query,
         fileTypes,
@@ -427,7 +396,11 @@ router.get('/advanced', requireAuth, async (req, res) => {
         maxSize,
         dateFrom,
         dateTo,
-        starred
+        starred,
+        tags,
+        tagMode,
+        scope,
+        properties: criteria.propertyConditions
       }
     });
   } catch (error) {
@@ -460,26 +433,15 @@ router.get('/shared', requireAuth, async (req, res) => {
       const permittedFileIds = await getPermittedIds(userEmail, 'file');
       
       if (permittedFileIds.length > 0) {
-        let fileQuery = supabase
-          .from('files')
-          .select('*')
-          .eq('is_deleted', false)
-          .not('owner_email', 'eq', userEmail)
-          .in('id', permittedFileIds);
-        
-        // Sorting
         const fileOrderColumn = sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name';
-        fileQuery = fileQuery.order(fileOrderColumn, { ascending: sortOrder === 'asc' });
-        
-        // Pagination
-        fileQuery = fileQuery.range(offset, offset + limit - 1);
-        
-        const { data: files, error: filesError, count: filesCount } = await fileQuery;
         
-        if (filesError) throw filesError;
+        const files = await filesRepo.find(
+          { isDeleted: false, notOwnerEmail: userEmail, ids: permittedFileIds },
+          { orderBy: fileOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+        );
         
-        results.files = files || [];
-        results.total += filesCount || files.length;
+        results.files = await attachTags(files, 'file', userEmail);
+        results.total += files.length;
       }
     }
     
@@ -488,25 +450,15 @@ router.get('/shared', requireAuth, async (req, res) => {
       const permittedFolderIds = await getPermittedIds(userEmail, 'folder');
       
       if (permittedFolderIds.length > 0) {
-        let folderQuery = supabase
-          .from('folders')
-          .select('*')
-          .not('owner_email', 'eq', userEmail)
-          .in('id', permittedFolderIds);
-        
-        // Sorting
         const folderOrderColumn = sortBy === 'date' ? 'created_at' : 'name';
-        folderQuery = folderQuery.order(folderOrderColumn, { ascending: sortOrder === 'asc' });
-        
-        // Pagination
-        folderQuery = folderQuery.range(offset, offset + limit - 1);
-        
-        const { data: folders, error: foldersError, count: foldersCount } = await folderQuery;
         
-        if (foldersError) throw foldersError;
+        const folders = await foldersRepo.find(
+          { isDeleted: false, notOwnerEmail: userEmail, ids: permittedFolderIds },
+          { orderBy: folderOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+        );
         
-        results.folders = folders || [];
-        results.total += foldersCount || folders.length;
+        results.folders = await attachTags(folders, 'folder', userEmail);
+        results.total += folders.length;
       }
     }
     
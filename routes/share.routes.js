@@ -1,7 +1,9 @@
 import { Router } from 'express';
-import { supabase } from '../config/supabase.js';
-import { requireAuth } from '../middleware/requireAuth.js';
-import { getPermittedIds } from '../utils/permissions.js';
+import { filesRepo, foldersRepo, sharesRepo, linksRepo } from '../repos/index.js';
+import { requireAuth, optionalAuth } from '../middleware/requireAuth.js';
+import { createArchiveAccess, collectFolderEntries, streamArchive } from '../utils/archive.js';
+import { recordActivity } from '../utils/activity.js';
+import { recordAccess } from '../utils/access.js';
 
 const router = Router();
 
@@ -24,44 +26,24 @@ router.post('/user', requireAuth, async (req, res) => {
     }
     
     // Check if resource exists and user owns it
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('*')
-      .eq('id', resourceId)
-      .eq('owner_email', grantedBy)
-      .single();
-    
-    if (resourceError || !resource) {
+    const resourceRepo = resourceType === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findOne({ id: resourceId, ownerEmail: grantedBy });
+    
+    if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
     
     // Check if permission already exists
-    const { data: existingPermission, error: checkError } = await supabase
-      .from('permissions')
-      .select('*')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType)
-      .eq('user_email', userEmail)
-      .single();
-    
-    if (checkError && checkError.code !== 'PGRST116') {
-      throw checkError;
-    }
+    const existingPermission = await sharesRepo.findOne({ resourceId, resourceType, userEmail });
     
     if (existingPermission) {
       // Update existing permission
-      const { data: updatedPermission, error: updateError } = await supabase
-        .from('permissions')
-        .update({ 
-          permission_type: permissionType,
-          granted_by: grantedBy
-        })
-        .eq('id', existingPermission.id)
-        .select()
-        .single();
+      const updatedPermission = await sharesRepo.update(existingPermission.id, { 
+        permission_type: permissionType,
+        granted_by: grantedBy
+      });
       
-      if (updateError) throw updateError;
+      await recordActivity(grantedBy, 'share.update', resourceType, resource, { userEmail, permissionType });
       
       res.json({ 
         success: true, 
@@ -70,19 +52,15 @@ router.post('/user', requireAuth, async (req, res) => {
       });
     } else {
       // Create new permission
-      const { data: newPermission, error: createError } = await supabase
-        .from('permissions')
-        .insert([{
-          resource_id: resourceId,
-          resource_type: resourceType,
-          user_email: userEmail,
-          permission_type: permissionType,
-          granted_by: grantedBy
-        }])
-        .select()
-        .single();
+      const newPermission = await sharesRepo.create({
+        resource_id: resourceId,
+        resource_type: resourceType,
+        user_email: userEmail,
+        permission_type: permissionType,
+        granted_by: grantedBy
+      });
       
-      if (createError) throw createError;
+      await recordActivity(grantedBy, 'share.grant', resourceType, resource, { userEmail, permissionType });
       
       res.json({ 
         success: true, 
@@ -103,24 +81,21 @@ router.delete('/user/:id', requireAuth, async (req, res) => {
     const grantedBy = req.user.email;
     
     // Check if permission exists and user granted it
-    const { data: permission, error: permissionError } = await supabase
-      .from('permissions')
-      .select('*')
-      .eq('id', id)
-      .eq('granted_by', grantedBy)
-      .single();
-    
-    if (permissionError || !permission) {
+    const permission = await sharesRepo.findOne({ id, grantedBy });
+    
+    if (!permission) {
       return res.status(404).json({ error: 'Permission not found' });
     }
     
     // Delete permission
-    const { error: deleteError } = await supabase
-      .from('permissions')
-      .delete()
-      .eq('id', id);
+    await sharesRepo.remove(id);
     
-    if (deleteError) throw deleteError;
+    const resourceRepo = permission.resource_type === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findById(permission.resource_id);
+    await recordActivity(grantedBy, 'share.revoke', permission.resource_type, resource || { id: permission.resource_id }, {
+      userEmail: permission.user_email,
+      permissionType: permission.permission_type
+    });
     
     res.json({ 
       success: true, 
@@ -144,28 +119,17 @@ router.get('/user/:resourceId', requireAuth, async (req, res) => {
     }
     
     // Check if user owns the resource
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('*')
-      .eq('id', resourceId)
-      .eq('owner_email', userEmail)
-      .single();
-    
-    if (resourceError || !resource) {
+    const resourceRepo = resourceType === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findOne({ id: resourceId, ownerEmail: userEmail });
+    
+    if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
     
     // Get all permissions for this resource
-    const { data: permissions, error: permissionsError } = await supabase
-      .from('permissions')
-      .select('*')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType);
-    
-    if (permissionsError) throw permissionsError;
+    const permissions = await sharesRepo.find({ resourceId, resourceType });
     
-    res.json({ permissions: permissions || [] });
+    res.json({ permissions });
   } catch (error) {
     console.error('Error fetching permissions:', error);
     res.status(500).json({ error: 'Failed to fetch permissions' });
@@ -187,15 +151,10 @@ router.post('/link', requireAuth, async (req, res) => {
     }
     
     // Check if resource exists and user owns it
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('*')
-      .eq('id', resourceId)
-      .eq('owner_email', createdBy)
-      .single();
-    
-    if (resourceError || !resource) {
+    const resourceRepo = resourceType === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findOne({ id: resourceId, ownerEmail: createdBy });
+    
+    if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
     
@@ -203,20 +162,20 @@ router.post('/link', requireAuth, async (req, res) => {
     const linkToken = crypto.randomUUID();
     
     // Create shared link
-    const { data: sharedLink, error: createError } = await supabase
-      .from('shared_links')
-      .insert([{
-        resource_id: resourceId,
-        resource_type: resourceType,
-        link_token: linkToken,
-        expires_at: expiresAt || null,
-        max_accesses: maxAccesses || null,
-        created_by: createdBy
-      }])
-      .select()
-      .single();
+    const sharedLink = await linksRepo.create({
+      resource_id: resourceId,
+      resource_type: resourceType,
+      link_token: linkToken,
+      expires_at: expiresAt || null,
+      max_accesses: maxAccesses || null,
+      created_by: createdBy
+    });
     
-    if (createError) throw createError;
+    await recordActivity(createdBy, 'link.create', resourceType, resource, {
+      linkId: sharedLink.id,
+      expiresAt: sharedLink.expires_at,
+      maxAccesses: sharedLink.max_accesses
+    });
     
     // Generate the public URL
     const publicUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shared/${linkToken}`;
@@ -235,55 +194,58 @@ router.post('/link', requireAuth, async (req, res) => {
   }
 });
 
-// GET /share/link/:token - Access shared resource via token
-router.get('/link/:token', async (req, res) => {
+// Helper to load a shared link and check it can still be used
+async function getUsableSharedLink(token) {
+  const sharedLink = await linksRepo.findOne({ token });
+  
+  if (!sharedLink) {
+    return { status: 404, error: 'Shared link not found' };
+  }
+  
+  // Check if link has expired
+  if (sharedLink.expires_at && new Date(sharedLink.expires_at) < new Date()) {
+    return { status: 410, error: 'Shared link has expired' };
+  }
+  
+  // Check if max accesses reached
+  if (sharedLink.max_accesses && sharedLink.access_count >= sharedLink.max_accesses) {
+    return { status: 410, error: 'Shared link access limit reached' };
+  }
+  
+  return { sharedLink };
+}
+
+// GET /share/link/:token - Access shared resource via token. Signed-in visitors (with a
+// bearer token) get the access in their recent items.
+router.get('/link/:token', optionalAuth, async (req, res) => {
   try {
     const { token } = req.params;
     
-    // Get shared link
-    const { data: sharedLink, error: linkError } = await supabase
-      .from('shared_links')
-      .select('*')
-      .eq('link_token', token)
-      .single();
-    
-    if (linkError || !sharedLink) {
-      return res.status(404).json({ error: 'Shared link not found' });
-    }
-    
-    // Check if link has expired
-    if (sharedLink.expires_at && new Date(sharedLink.expires_at) < new Date()) {
-      return res.status(410).json({ error: 'Shared link has expired' });
-    }
-    
-    // Check if max accesses reached
-    if (sharedLink.max_accesses && sharedLink.access_count >= sharedLink.max_accesses) {
-      return res.status(410).json({ error: 'Shared link access limit reached' });
+    const { sharedLink, status, error: linkError } = await getUsableSharedLink(token);
+    if (!sharedLink) {
+      return res.status(status).json({ error: linkError });
     }
     
     // Increment access count
-    await supabase
-      .from('shared_links')
-      .update({ access_count: sharedLink.access_count + 1 })
-      .eq('id', sharedLink.id);
+    await linksRepo.update(sharedLink.id, { access_count: sharedLink.access_count + 1 });
     
     // Get resource details
-    const tableName = sharedLink.resource_type === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('*')
-      .eq('id', sharedLink.resource_id)
-      .single();
-    
-    if (resourceError || !resource) {
+    const resourceRepo = sharedLink.resource_type === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findById(sharedLink.resource_id);
+    
+    if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
     
-    // For files, check if they're not deleted
-    if (sharedLink.resource_type === 'file' && resource.is_deleted) {
-      return res.status(404).json({ error: 'File not found' });
+    // Check the file or folder is not in trash
+    if (resource.is_deleted) {
+      return res.status(404).json({ error: 'Resource not found' });
     }
     
+    // Link visitors are anonymous in the activity log, so the access has no actor
+    await recordActivity(null, 'link.access', sharedLink.resource_type, resource, { linkId: sharedLink.id });
+    await recordAccess(req.user?.email ?? null, 'view', sharedLink.resource_type, resource, { linkId: sharedLink.id });
+    
     res.json({ 
       resource,
       sharedLink: {
@@ -297,6 +259,47 @@ router.get('/link/:token', async (req, res) => {
   }
 });
 
+// GET /share/link/:token/archive - Download a shared folder as a ZIP stream
+router.get('/link/:token/archive', optionalAuth, async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    const { sharedLink, status, error: linkError } = await getUsableSharedLink(token);
+    if (!sharedLink) {
+      return res.status(status).json({ error: linkError });
+    }
+    
+    if (sharedLink.resource_type !== 'folder') {
+      return res.status(400).json({ error: 'Only shared folders can be archived' });
+    }
+    
+    const folder = await foldersRepo.findOne({ id: sharedLink.resource_id, isDeleted: false });
+    
+    if (!folder) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+    
+    // Increment access count
+    await linksRepo.update(sharedLink.id, { access_count: sharedLink.access_count + 1 });
+    
+    await recordActivity(null, 'link.access', 'folder', folder, { linkId: sharedLink.id, archive: true });
+    await recordAccess(req.user?.email ?? null, 'download', 'folder', folder, { linkId: sharedLink.id });
+    
+    // Link visitors get the folder as the person who shared it sees it
+    const access = await createArchiveAccess(sharedLink.created_by);
+    const entries = await collectFolderEntries(folder, '', access);
+    
+    await streamArchive(res, entries, folder.name);
+  } catch (error) {
+    console.error('Error archiving shared folder:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to archive shared folder' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
 // DELETE /share/link/:id - Delete shared link
 router.delete('/link/:id', requireAuth, async (req, res) => {
   try {
@@ -304,24 +307,20 @@ router.delete('/link/:id', requireAuth, async (req, res) => {
     const createdBy = req.user.email;
     
     // Check if shared link exists and user created it
-    const { data: sharedLink, error: linkError } = await supabase
-      .from('shared_links')
-      .select('*')
-      .eq('id', id)
-      .eq('created_by', createdBy)
-      .single();
-    
-    if (linkError || !sharedLink) {
+    const sharedLink = await linksRepo.findOne({ id, createdBy });
+    
+    if (!sharedLink) {
       return res.status(404).json({ error: 'Shared link not found' });
     }
     
     // Delete shared link
-    const { error: deleteError } = await supabase
-      .from('shared_links')
-      .delete()
-      .eq('id', id);
+    await linksRepo.remove(id);
     
-    if (deleteError) throw deleteError;
+    const resourceRepo = sharedLink.resource_type === 'file' ? filesRepo : foldersRepo;
+    const resource = await resourceRepo.findById(sharedLink.resource_id);
+    await recordActivity(createdBy, 'link.delete', sharedLink.resource_type, resource || { id: sharedLink.resource_id }, {
+      linkId: sharedLink.id
+    });
     
     res.json({ 
       success: true, 
@@ -341,17 +340,13 @@ router.get('/links', requireAuth, async (req, res) => {
     
     const offset = (page - 1) * limit;
     
-    const { data: sharedLinks, error, count } = await supabase
-      .from('shared_links')
-      .select('*')
-      .eq('created_by', createdBy)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-    
-    if (error) throw error;
+    const { rows: sharedLinks, count } = await linksRepo.findAndCount(
+      { createdBy },
+      { orderBy: 'created_at', ascending: false, offset, limit: parseInt(limit) }
+    );
     
     // Add public URLs to each link
-    const linksWithUrls = (sharedLinks || []).map(link => ({
+    const linksWithUrls = sharedLinks.map(link => ({
       ...link,
       publicUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shared/${link.link_token}`
     }));
@@ -361,8 +356,8 @@ router.get('/links', requireAuth, async (req, res) => {
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: count || linksWithUrls.length,
-        pages: Math.ceil((count || linksWithUrls.length) / limit)
+        total: count,
+        pages: Math.ceil(count / limit)
       }
     });
   } catch (error) {
@@ -1,24 +1,32 @@
 import { Router } from 'express';
 import multer from 'multer';
-import { supabase } from '../config/supabase.js';
-import { SUPABASE_BUCKET } from '../config/env.js';
+import mime from 'mime-types';
+import contentDisposition from 'content-disposition';
+import { pipeline } from 'stream/promises';
+import { filesRepo, storageUsageRepo } from '../repos/index.js';
+import { storage } from '../storage/index.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { requireStorageQuota } from '../middleware/requireStorageQuota.js';
 import { hasPermission } from '../utils/permissions.js';
+import { getStorageQuota, quotaExceededBody } from '../utils/quota.js';
+import { recordActivity } from '../utils/activity.js';
+import { queueContentIndex } from '../utils/contentIndex.js';
 
 const router = Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
 // STORAGE — Upload File
-router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
+router.post('/upload', requireAuth, requireStorageQuota, upload.single('file'), async (req, res) => {
   try {
     const file = req.file;
     if (!file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (file.size > req.storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(req.storageQuota, file.size));
+    }
     const path = `uploads/${Date.now()}-${file.originalname}`;
-    const { data, error } = await supabase.storage
-      .from(SUPABASE_BUCKET)
-      .upload(path, file.buffer, { contentType: file.mimetype });
+    const { data, error } = await storage.upload(path, file.buffer, { contentType: file.mimetype });
     if (error) return res.status(400).json({ error: error.message });
     // Save file metadata to DB (Day 3)
     // If uploading into a folder, ensure editor permission
@@ -36,12 +44,14 @@ router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
       folder_id: folderId,
       owner_email: req.user.email,
     };
-    const { data: row, error: dbErr } = await supabase
-      .from('files')
-      .insert([insert])
-      .select('*')
-      .single();
-    if (dbErr) return res.status(400).json({ error: dbErr.message });
+    let row;
+    try {
+      row = await filesRepo.create(insert);
+    } catch (dbErr) {
+      return res.status(400).json({ error: dbErr.message });
+    }
+    await recordActivity(req.user.email, 'file.upload', 'file', row);
+    queueContentIndex(row, file.buffer);
 
     res.json({ path: data.path, file: row });
   } catch (error) {
@@ -54,7 +64,7 @@ router.post('/upload', requireAuth, upload.single('file'), async (req, res) => {
 // STORAGE — List Files
 router.get('/files', requireAuth, async (_req, res) => {
   try {
-    const { data, error } = await supabase.storage.from(SUPABASE_BUCKET).list('uploads');
+    const { data, error } = await storage.list('uploads');
     if (error) return res.status(400).json({ error: error.message });
     res.json(data);
   } catch (error) {
@@ -70,8 +80,9 @@ router.delete('/files/:fileName', requireAuth, async (req, res) => {
     const { fileName } = req.params;
     if (!fileName) return res.status(400).json({ error: 'fileName is required' });
     const filePath = `uploads/${fileName}`;
-    const { data, error } = await supabase.storage.from(SUPABASE_BUCKET).remove([filePath]);
+    const { data, error } = await storage.remove([filePath]);
     if (error) return res.status(400).json({ error: error.message });
+    await recordActivity(req.user.email, 'object.delete', 'object', { name: filePath });
     res.json({ deleted: data });
   } catch (error) {
     // eslint-disable-next-line no-console
@@ -80,21 +91,82 @@ router.delete('/files/:fileName', requireAuth, async (req, res) => {
   }
 });
 
+// STORAGE — Serve an object through a signed URL (local driver only; no auth, the signature is the credential)
+router.get('/objects/*', async (req, res) => {
+  try {
+    const storagePath = req.params[0];
+    if (!storage.verifySignedUrl || !storage.verifySignedUrl(storagePath, req.query)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    const { data: object, error } = await storage.stream(storagePath);
+    if (error) return res.status(error.status === 404 ? 404 : 400).json({ error: error.message });
+
+    res.set({
+      'Content-Type': mime.lookup(storagePath) || 'application/octet-stream',
+      'Content-Length': String(object.contentLength),
+    });
+    if (req.query.download) {
+      res.set('Content-Disposition', contentDisposition(req.query.download));
+    }
+
+    await pipeline(object.body, res);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error serving storage object:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// STORAGE — Usage (totals, type breakdown, largest files and top-level folder sizes)
+router.get('/usage', requireAuth, async (req, res) => {
+  try {
+    const largest = Math.min(Math.max(parseInt(req.query.largest) || 10, 1), 100);
+    let data;
+    try {
+      data = await storageUsageRepo.getUsage(req.user.email, { largestLimit: largest });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json(data);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching storage usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// STORAGE — Quota (trashed files count until they are purged)
+router.get('/quota', requireAuth, async (req, res) => {
+  try {
+    const storageQuota = await getStorageQuota(req.user.email);
+    res.json(storageQuota);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Error fetching storage quota:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
 
 // Day 3: list file metadata from DB
 router.get('/files/meta', requireAuth, async (req, res) => {
   try {
     const folderId = req.query.folderId || null;
-    let q = supabase
-      .from('files')
-      .select('*')
-      .eq('owner_email', req.user.email)
-      .is('deleted_at', null)
-      .order('created_at', { ascending: false });
-    if (folderId) q = q.eq('folder_id', folderId);
-    const { data, error } = await q;
-    if (error) return res.status(400).json({ error: error.message });
+    let data;
+    try {
+      data = await filesRepo.find(
+        { ownerEmail: req.user.email, isDeleted: false, folderId: folderId || undefined },
+        { orderBy: 'created_at', ascending: false }
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
     res.json(data);
   } catch (error) {
     // eslint-disable-next-line no-console
@@ -0,0 +1,235 @@
+import { Router } from 'express';
+import { filesRepo, foldersRepo, tagsRepo, itemTagsRepo } from '../repos/index.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { getPermittedIds } from '../utils/permissions.js';
+import { TAG_COLOR_PATTERN, TAG_NAME_MAX_LENGTH } from '../utils/tags.js';
+
+const router = Router();
+
+// Check a tag name and color from a request body; returns an error message or null
+function validateTag({ name, color }, { partial = false } = {}) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) return 'Tag name is required';
+    if (name.trim().length > TAG_NAME_MAX_LENGTH) return `Tag name must be at most ${TAG_NAME_MAX_LENGTH} characters`;
+  }
+  if (color !== undefined && color !== null && !TAG_COLOR_PATTERN.test(color)) {
+    return 'Tag color must be a hex color such as #1e88e5';
+  }
+  return null;
+}
+
+// Read { tagIds, fileIds, folderIds } for the bulk tag and untag endpoints and load the user's tags.
+// Returns { tags, fileIds, folderIds } or { status, error }.
+async function readBulkRequest(body, userEmail) {
+  const { tagIds = [], fileIds = [], folderIds = [] } = body || {};
+
+  if (!Array.isArray(tagIds) || tagIds.length === 0) {
+    return { status: 400, error: 'tagIds are required' };
+  }
+  if (!Array.isArray(fileIds) || !Array.isArray(folderIds) || fileIds.length + folderIds.length === 0) {
+    return { status: 400, error: 'fileIds or folderIds are required' };
+  }
+
+  const tags = await tagsRepo.find({ ids: [...new Set(tagIds)], ownerEmail: userEmail });
+  if (tags.length !== new Set(tagIds).size) {
+    return { status: 404, error: 'Tag not found' };
+  }
+
+  return { tags, fileIds, folderIds };
+}
+
+// Attach tags to the items of one type that the user can see; returns the ids that were skipped
+async function tagItems(tags, resourceType, ids, userEmail) {
+  if (ids.length === 0) return [];
+
+  const repo = resourceType === 'file' ? filesRepo : foldersRepo;
+  const permittedIds = await getPermittedIds(userEmail, resourceType);
+  const items = await repo.find(
+    { ids, isDeleted: false, visibleTo: { email: userEmail, ids: permittedIds } },
+    { columns: 'id' }
+  );
+  const itemIds = items.map(item => item.id);
+
+  const tagIds = tags.map(tag => tag.id);
+  const existing = itemIds.length > 0
+    ? await itemTagsRepo.find({ tagIds, resourceType, resourceIds: itemIds }, { columns: 'tag_id, resource_id' })
+    : [];
+  const existingKeys = new Set(existing.map(itemTag => `${itemTag.tag_id}:${itemTag.resource_id}`));
+
+  for (const tagId of tagIds) {
+    for (const resourceId of itemIds) {
+      if (existingKeys.has(`${tagId}:${resourceId}`)) continue;
+      await itemTagsRepo.create({ tag_id: tagId, resource_id: resourceId, resource_type: resourceType });
+    }
+  }
+
+  return ids.filter(id => !itemIds.includes(id));
+}
+
+// GET /tags - Get the user's tags
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const tags = await tagsRepo.find(
+      { ownerEmail: req.user.email },
+      { orderBy: 'name', ascending: true }
+    );
+
+    res.json({ tags });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// POST /tags - Create a tag
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, color } = req.body;
+    const userEmail = req.user.email;
+
+    const validationError = validateTag({ name, color });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingTag = await tagsRepo.findOne({ ownerEmail: userEmail, name: name.trim() });
+    if (existingTag) {
+      return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+
+    const tag = await tagsRepo.create({
+      owner_email: userEmail,
+      name: name.trim(),
+      ...(color ? { color } : {})
+    });
+
+    res.json({
+      success: true,
+      tag,
+      message: 'Tag created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(500).json({ error: 'Failed to create tag' });
+  }
+});
+
+// POST /tags/items - Attach tags to files and folders in bulk
+router.post('/items', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const request = await readBulkRequest(req.body, userEmail);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error });
+    }
+
+    // Trashed items and items the user cannot see are skipped
+    const skippedFileIds = await tagItems(request.tags, 'file', request.fileIds, userEmail);
+    const skippedFolderIds = await tagItems(request.tags, 'folder', request.folderIds, userEmail);
+
+    res.json({
+      success: true,
+      skipped: { fileIds: skippedFileIds, folderIds: skippedFolderIds },
+      message: 'Items tagged successfully'
+    });
+  } catch (error) {
+    console.error('Error tagging items:', error);
+    res.status(500).json({ error: 'Failed to tag items' });
+  }
+});
+
+// DELETE /tags/items - Remove tags from files and folders in bulk
+router.delete('/items', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const request = await readBulkRequest(req.body, userEmail);
+    if (request.error) {
+      return res.status(request.status).json({ error: request.error });
+    }
+
+    const tagIds = request.tags.map(tag => tag.id);
+    if (request.fileIds.length > 0) {
+      await itemTagsRepo.removeWhere({ tagIds, resourceType: 'file', resourceIds: request.fileIds });
+    }
+    if (request.folderIds.length > 0) {
+      await itemTagsRepo.removeWhere({ tagIds, resourceType: 'folder', resourceIds: request.folderIds });
+    }
+
+    res.json({
+      success: true,
+      message: 'Items untagged successfully'
+    });
+  } catch (error) {
+    console.error('Error untagging items:', error);
+    res.status(500).json({ error: 'Failed to untag items' });
+  }
+});
+
+// PUT /tags/:id - Rename or recolor a tag
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, color } = req.body;
+    const userEmail = req.user.email;
+
+    const tag = await tagsRepo.findOne({ id, ownerEmail: userEmail });
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const validationError = validateTag({ name, color }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const changes = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined && name.trim() !== tag.name) {
+      const existingTag = await tagsRepo.findOne({ ownerEmail: userEmail, name: name.trim() });
+      if (existingTag) {
+        return res.status(409).json({ error: 'A tag with this name already exists' });
+      }
+      changes.name = name.trim();
+    }
+    if (color) {
+      changes.color = color;
+    }
+
+    const updatedTag = await tagsRepo.update(id, changes);
+
+    res.json({
+      success: true,
+      tag: updatedTag,
+      message: 'Tag updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+// DELETE /tags/:id - Delete a tag and remove it from every item
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const tag = await tagsRepo.findOne({ id, ownerEmail: req.user.email });
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await tagsRepo.remove(id);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+});
+
+export default router;
@@ -0,0 +1,357 @@
+import { Router } from 'express';
+import fs from 'fs';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { filesRepo, uploadSessionsRepo } from '../repos/index.js';
+import {
+  UPLOAD_TMP_DIR,
+  UPLOAD_MAX_SIZE,
+  UPLOAD_SESSION_TTL_HOURS
+} from '../config/env.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { hasPermission } from '../utils/permissions.js';
+import { storage } from '../storage/index.js';
+import { getStorageQuota, quotaExceededBody } from '../utils/quota.js';
+import { recordActivity } from '../utils/activity.js';
+import { queueContentIndex } from '../utils/contentIndex.js';
+import { getUploadTempPath } from '../utils/uploadSessions.js';
+
+// Resumable uploads following the tus 1.0.0 protocol (core + creation + termination)
+const TUS_VERSION = '1.0.0';
+
+const router = Router();
+
+// Sessions currently receiving a chunk in this process
+const activeUploads = new Set();
+
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  next();
+});
+
+// Parse the tus Upload-Metadata header: "key base64value,key base64value"
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+
+  return metadata;
+}
+
+function formatSession(session) {
+  return {
+    ...session,
+    progress: session.upload_length > 0
+      ? Math.round((session.upload_offset / session.upload_length) * 100)
+      : 100
+  };
+}
+
+// Load an upload session owned by the user, cleaning up if it has expired
+async function getSession(id, userEmail) {
+  const session = await uploadSessionsRepo.findOne({ id, ownerEmail: userEmail });
+
+  if (!session) return { session: null };
+
+  if (session.status === 'uploading' && new Date(session.expires_at) < new Date()) {
+    await fs.promises.rm(getUploadTempPath(session.id), { force: true });
+    await uploadSessionsRepo.update(session.id, { status: 'expired', updated_at: new Date().toISOString() });
+    return { session: { ...session, status: 'expired' }, expired: true };
+  }
+
+  return { session };
+}
+
+// Move a fully received upload into storage and create its files row
+async function completeUpload(session) {
+  const tempPath = getUploadTempPath(session.id);
+  const objectId = crypto.randomBytes(16).toString('hex');
+  const fileExtension = session.file_name.split('.').pop();
+  const fileName = `${objectId}.${fileExtension}`;
+
+  const { data: uploadData, error: uploadError } = await storage.upload(fileName, fs.createReadStream(tempPath), {
+    contentType: session.mime_type,
+    metadata: {
+      originalName: session.file_name,
+      uploadedBy: session.owner_email
+    }
+  });
+
+  if (uploadError) throw uploadError;
+
+  const fileData = await filesRepo.create({
+    name: session.file_name,
+    original_name: session.file_name,
+    mime_type: session.mime_type,
+    size: session.upload_length,
+    folder_id: session.folder_id,
+    owner_email: session.owner_email,
+    storage_path: uploadData.path
+  });
+
+  await recordActivity(session.owner_email, 'file.upload', 'file', fileData, { resumable: true });
+  queueContentIndex(fileData);
+
+  const completedSession = await uploadSessionsRepo.update(session.id, {
+    status: 'completed',
+    file_id: fileData.id,
+    updated_at: new Date().toISOString()
+  });
+
+  await fs.promises.rm(tempPath, { force: true });
+
+  return { session: completedSession, file: fileData };
+}
+
+// POST /uploads - Create a resumable upload session
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+    const uploadLength = parseInt(req.get('Upload-Length'), 10);
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const fileName = metadata.filename || metadata.name;
+    const folderId = metadata.folderId || null;
+
+    if (Number.isNaN(uploadLength) || uploadLength < 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (uploadLength > UPLOAD_MAX_SIZE) {
+      return res.status(413).json({ error: 'Upload exceeds maximum size', maxSize: UPLOAD_MAX_SIZE });
+    }
+
+    if (!fileName) {
+      return res.status(400).json({ error: 'filename is required in Upload-Metadata' });
+    }
+
+    // Uploading into a folder requires editor permission
+    if (folderId) {
+      const { allowed } = await hasPermission(userEmail, 'folder', folderId, 'editor');
+      if (!allowed) {
+        return res.status(403).json({ error: 'Access denied to folder' });
+      }
+    }
+
+    // Unfinished sessions reserve their full Upload-Length against the quota
+    const storageQuota = await getStorageQuota(userEmail);
+    if (uploadLength > storageQuota.available) {
+      return res.status(413).json(quotaExceededBody(storageQuota, uploadLength));
+    }
+
+    const expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    const session = await uploadSessionsRepo.create({
+      owner_email: userEmail,
+      folder_id: folderId,
+      file_name: fileName,
+      mime_type: metadata.filetype || metadata.type || 'application/octet-stream',
+      upload_length: uploadLength,
+      upload_offset: 0,
+      status: 'uploading',
+      expires_at: expiresAt.toISOString()
+    });
+
+    await fs.promises.mkdir(UPLOAD_TMP_DIR, { recursive: true });
+    await fs.promises.writeFile(getUploadTempPath(session.id), '');
+
+    let result = { session, file: null };
+    if (uploadLength === 0) {
+      result = await completeUpload(session);
+    }
+
+    res
+      .status(201)
+      .set({
+        Location: `${req.baseUrl}/${session.id}`,
+        'Upload-Offset': '0',
+        'Upload-Expires': expiresAt.toUTCString()
+      })
+      .json({
+        success: true,
+        upload: formatSession(result.session),
+        file: result.file
+      });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({ error: 'Failed to create upload session' });
+  }
+});
+
+// HEAD /uploads/:id - Get the current offset of an upload
+router.head('/:id', requireAuth, async (req, res) => {
+  try {
+    const { session, expired } = await getSession(req.params.id, req.user.email);
+
+    if (!session) return res.status(404).end();
+    if (expired || session.status === 'expired') return res.status(410).end();
+
+    res
+      .status(200)
+      .set({
+        'Upload-Offset': String(session.upload_offset),
+        'Upload-Length': String(session.upload_length),
+        'Upload-Expires': new Date(session.expires_at).toUTCString(),
+        'Cache-Control': 'no-store'
+      })
+      .end();
+  } catch (error) {
+    console.error('Error fetching upload offset:', error);
+    res.status(500).end();
+  }
+});
+
+// GET /uploads/:id - Get upload progress and the resulting file once complete
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const { session } = await getSession(req.params.id, req.user.email);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const file = session.file_id ? await filesRepo.findById(session.file_id) : null;
+
+    res.json({ upload: formatSession(session), file });
+  } catch (error) {
+    console.error('Error fetching upload:', error);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+// PATCH /uploads/:id - Append a chunk at the given offset
+router.patch('/:id', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  let locked = false;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const uploadOffset = parseInt(req.get('Upload-Offset'), 10);
+    if (Number.isNaN(uploadOffset)) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+
+    if (activeUploads.has(id)) {
+      return res.status(423).json({ error: 'Upload is already receiving a chunk' });
+    }
+
+    // Lock before reading the session, so the offset checked below cannot be one that a
+    // chunk still being received is about to move
+    activeUploads.add(id);
+    locked = true;
+
+    const { session, expired } = await getSession(id, req.user.email);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (expired || session.status === 'expired') {
+      return res.status(410).json({ error: 'Upload has expired' });
+    }
+
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed' });
+    }
+
+    if (uploadOffset !== session.upload_offset) {
+      return res
+        .status(409)
+        .set('Upload-Offset', String(session.upload_offset))
+        .json({ error: 'Upload-Offset does not match current offset' });
+    }
+
+    const tempPath = getUploadTempPath(id);
+    const remaining = session.upload_length - session.upload_offset;
+    let received = 0;
+    let streamError = null;
+
+    // Reject any bytes beyond the declared Upload-Length
+    const limiter = new Transform({
+      transform(chunk, _encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(new Error('Chunk exceeds Upload-Length'));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(req, limiter, fs.createWriteStream(tempPath, { flags: 'a' }));
+    } catch (err) {
+      // Keep whatever arrived; the client resumes from the stored offset
+      streamError = err;
+    }
+
+    const { size } = await fs.promises.stat(tempPath);
+    const newOffset = Math.min(size, session.upload_length);
+
+    const updatedSession = await uploadSessionsRepo.update(id, {
+      upload_offset: newOffset,
+      updated_at: new Date().toISOString()
+    });
+
+    if (streamError && received > remaining) {
+      return res
+        .status(413)
+        .set('Upload-Offset', String(newOffset))
+        .json({ error: 'Chunk exceeds Upload-Length' });
+    }
+
+    if (newOffset === session.upload_length) {
+      const { file } = await completeUpload(updatedSession);
+      res.set('Upload-File-Id', file.id);
+    }
+
+    res
+      .status(204)
+      .set({
+        'Upload-Offset': String(newOffset),
+        'Upload-Expires': new Date(session.expires_at).toUTCString()
+      })
+      .end();
+  } catch (error) {
+    console.error('Error receiving upload chunk:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to receive upload chunk' });
+    }
+  } finally {
+    if (locked) activeUploads.delete(id);
+  }
+});
+
+// DELETE /uploads/:id - Abort an upload and discard received chunks
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { session } = await getSession(id, req.user.email);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    if (session.status === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed' });
+    }
+
+    await fs.promises.rm(getUploadTempPath(id), { force: true });
+
+    await uploadSessionsRepo.remove(id);
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error terminating upload:', error);
+    res.status(500).json({ error: 'Failed to terminate upload' });
+  }
+});
+
+export default router;
@@ -0,0 +1,240 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import { foldersRepo, webhooksRepo, webhookDeliveriesRepo } from '../repos/index.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { WEBHOOK_EVENTS, checkWebhookTarget, queueDelivery } from '../utils/webhooks.js';
+
+const router = Router();
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const SECRET_MIN_LENGTH = 16;
+
+// Webhooks are returned without their secret, which is only shown when it is created
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+// Check url, events, folderId and secret from a request body and turn them into row changes.
+// Returns { changes } or { status, error }.
+async function readWebhook(body, userEmail, { partial = false } = {}) {
+  const { url, events, folderId, secret, isActive } = body || {};
+  const changes = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { status: 400, error: 'url must be an http or https URL' };
+    }
+    const targetError = await checkWebhookTarget(parsed.toString());
+    if (targetError) {
+      return { status: 400, error: `url is not allowed: ${targetError}` };
+    }
+    changes.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return { status: 400, error: 'events must be a non-empty list' };
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { status: 400, error: `Unknown events: ${unknown.join(', ')}. Use * or: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    changes.events = [...new Set(events)];
+  }
+
+  if (folderId !== undefined) {
+    if (folderId !== null) {
+      const folder = await foldersRepo.findOne({ id: folderId, ownerEmail: userEmail }, { columns: 'id' });
+      if (!folder) {
+        return { status: 404, error: 'Folder not found' };
+      }
+    }
+    changes.folder_id = folderId;
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < SECRET_MIN_LENGTH) {
+      return { status: 400, error: `secret must be at least ${SECRET_MIN_LENGTH} characters` };
+    }
+    changes.secret = secret;
+  }
+
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      return { status: 400, error: 'isActive must be true or false' };
+    }
+    changes.is_active = isActive;
+  }
+
+  return { changes };
+}
+
+// GET /webhooks - Get the user's webhooks
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const webhooks = await webhooksRepo.find(
+      { ownerEmail: req.user.email },
+      { orderBy: 'created_at', ascending: true }
+    );
+
+    res.json({ webhooks: webhooks.map(withoutSecret), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// POST /webhooks - Register a webhook. A secret is generated unless one is given,
+// and is only returned in this response.
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const userEmail = req.user.email;
+
+    const { changes, status, error } = await readWebhook(req.body, userEmail);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const webhook = await webhooksRepo.create({
+      owner_email: userEmail,
+      secret: crypto.randomBytes(32).toString('hex'),
+      ...changes
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook,
+      message: 'Webhook created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// PUT /webhooks/:id - Update a webhook's url, events, folder scope, secret or isActive
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userEmail = req.user.email;
+
+    const webhook = await webhooksRepo.findOne({ id, ownerEmail: userEmail });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { changes, status, error } = await readWebhook(req.body, userEmail, { partial: true });
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const updatedWebhook = await webhooksRepo.update(id, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      webhook: withoutSecret(updatedWebhook),
+      message: 'Webhook updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// DELETE /webhooks/:id - Delete a webhook and its delivery log
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const webhook = await webhooksRepo.findOne({ id, ownerEmail: req.user.email });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await webhooksRepo.remove(id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// GET /webhooks/:id/deliveries - Get a webhook's delivery log, newest first (?status=)
+router.get('/:id/deliveries', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const webhook = await webhooksRepo.findOne({ id, ownerEmail: req.user.email }, { columns: 'id' });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { rows: deliveries, count } = await webhookDeliveriesRepo.findAndCount(
+      { webhookId: id, status: status || undefined },
+      { orderBy: 'created_at', ascending: false, offset, limit: parseInt(limit) }
+    );
+
+    res.json({
+      deliveries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery's payload again
+// as a new delivery and return it after the first attempt
+router.post('/:id/deliveries/:deliveryId/redeliver', requireAuth, async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+
+    const webhook = await webhooksRepo.findOne({ id, ownerEmail: req.user.email });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const original = await webhookDeliveriesRepo.findOne({ id: deliveryId, webhookId: id });
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const { delivery, attempt } = await queueDelivery(webhook, original.event, original.payload, {
+      redeliveryOf: original.id
+    });
+
+    res.status(201).json({
+      success: true,
+      delivery: (await attempt) || delivery,
+      message: 'Delivery queued successfully'
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+export default router;
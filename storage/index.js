@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import {
+  STORAGE_DRIVER,
+  SUPABASE_BUCKET,
+  STORAGE_LOCAL_DIR,
+  STORAGE_PUBLIC_URL,
+  STORAGE_SIGNING_SECRET
+} from '../config/env.js';
+import { createSupabaseDriver } from './supabase.driver.js';
+import { createLocalDriver } from './local.driver.js';
+
+// Every driver implements the same operations, returning { data, error } like the Supabase client:
+//   upload(path, body, { contentType, metadata })   body is a Buffer or a readable stream
+//   stream(path, { range: { start, end }, signal }) data is { body, contentLength, contentRange }
+//   createSignedUrl(path, expiresIn, { download })  data is { signedUrl }
+//   copy(fromPath, toPath)
+//   remove(paths)
+//   list(prefix)
+const drivers = {
+  supabase: () => createSupabaseDriver({ bucket: SUPABASE_BUCKET }),
+  local: () => createLocalDriver({
+    rootDir: STORAGE_LOCAL_DIR,
+    publicUrl: STORAGE_PUBLIC_URL,
+    // Without a configured secret, signed URLs stop working when the server restarts
+    signingSecret: STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex')
+  })
+};
+
+if (!drivers[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected ${Object.keys(drivers).join(' or ')})`);
+}
+
+export const storage = drivers[STORAGE_DRIVER]();
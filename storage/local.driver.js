@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+const storageError = (message, status) => Object.assign(new Error(message), { status });
+
+// Storage driver that keeps objects as files under rootDir.
+// Signed URLs point at GET /storage/objects/*, which checks the signature before serving the file.
+export const createLocalDriver = ({ rootDir, publicUrl, signingSecret }) => {
+  const root = path.resolve(rootDir);
+
+  // Storage paths are relative to the root and must not escape it
+  const resolvePath = (storagePath) => {
+    const resolved = path.resolve(root, storagePath);
+    if (!storagePath || path.isAbsolute(storagePath) || !resolved.startsWith(root + path.sep)) {
+      throw storageError(`Invalid storage path: ${storagePath}`, 400);
+    }
+    return resolved;
+  };
+
+  const sign = (storagePath, expires, download) => crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${storagePath}\n${expires}\n${download}`)
+    .digest('hex');
+
+  return {
+    name: 'local',
+
+    // Metadata is not kept on disk; content types are derived from the file name when served
+    async upload(storagePath, body) {
+      try {
+        const filePath = resolvePath(storagePath);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        const source = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+
+        try {
+          await pipeline(source, fs.createWriteStream(filePath, { flags: 'wx' }));
+        } catch (error) {
+          if (error.code === 'EEXIST') {
+            return { data: null, error: storageError('The resource already exists', 409) };
+          }
+          await fs.promises.rm(filePath, { force: true });
+          throw error;
+        }
+
+        return { data: { path: storagePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async stream(storagePath, { range, signal } = {}) {
+      try {
+        const filePath = resolvePath(storagePath);
+        const { size } = await fs.promises.stat(filePath);
+
+        if (range) {
+          const end = Math.min(range.end, size - 1);
+          return {
+            data: {
+              body: fs.createReadStream(filePath, { start: range.start, end, signal }),
+              contentLength: end - range.start + 1,
+              contentRange: `bytes ${range.start}-${end}/${size}`
+            },
+            error: null
+          };
+        }
+
+        return {
+          data: {
+            body: fs.createReadStream(filePath, { signal }),
+            contentLength: size,
+            contentRange: null
+          },
+          error: null
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return { data: null, error: storageError('Object not found', 404) };
+        }
+        return { data: null, error };
+      }
+    },
+
+    async createSignedUrl(storagePath, expiresIn, { download } = {}) {
+      try {
+        resolvePath(storagePath);
+
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const downloadName = download === true ? path.basename(storagePath) : download || '';
+        const encodedPath = storagePath.split('/').map(encodeURIComponent).join('/');
+        const params = new URLSearchParams({ expires: String(expires) });
+
+        if (downloadName) params.set('download', downloadName);
+        params.set('token', sign(storagePath, expires, downloadName));
+
+        return { data: { signedUrl: `${publicUrl}/storage/objects/${encodedPath}?${params}` }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    // Check the query of a URL created by createSignedUrl
+    verifySignedUrl(storagePath, { expires, download = '', token } = {}) {
+      if (!expires || !token || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+      const expected = Buffer.from(sign(storagePath, expires, download));
+      const actual = Buffer.from(String(token));
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+
+    async copy(fromPath, toPath) {
+      try {
+        const destination = resolvePath(toPath);
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        await fs.promises.copyFile(resolvePath(fromPath), destination, fs.constants.COPYFILE_EXCL);
+        return { data: { path: toPath }, error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return { data: null, error: storageError('Object not found', 404) };
+        }
+        return { data: null, error };
+      }
+    },
+
+    async remove(storagePaths) {
+      try {
+        const removed = [];
+        for (const storagePath of storagePaths) {
+          try {
+            await fs.promises.unlink(resolvePath(storagePath));
+            removed.push({ name: storagePath });
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+        return { data: removed, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    async list(prefix = '') {
+      try {
+        const dirPath = prefix ? resolvePath(prefix) : root;
+        const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        const objects = [];
+
+        for (const entry of entries) {
+          if (!entry.isFile()) {
+            objects.push({ name: entry.name, id: null, metadata: null });
+            continue;
+          }
+
+          const stats = await fs.promises.stat(path.join(dirPath, entry.name));
+          objects.push({
+            name: entry.name,
+            id: entry.name,
+            created_at: stats.birthtime.toISOString(),
+            updated_at: stats.mtime.toISOString(),
+            metadata: { size: stats.size }
+          });
+        }
+
+        return { data: objects, error: null };
+      } catch (error) {
+        if (error.code === 'ENOENT') return { data: [], error: null };
+        return { data: null, error };
+      }
+    }
+  };
+};
@@ -0,0 +1,104 @@
+import { Readable } from 'stream';
+import { supabase } from '../config/supabase.js';
+import { SUPABASE_URL, SUPABASE_KEY } from '../config/env.js';
+
+const storageError = (message, status) => Object.assign(new Error(message), { status });
+
+// Storage driver backed by a Supabase Storage bucket
+export const createSupabaseDriver = ({ bucket }) => {
+  const objectUrl = (storagePath) => {
+    const encodedPath = storagePath.split('/').map(encodeURIComponent).join('/');
+    return `${SUPABASE_URL}/storage/v1/object/${bucket}/${encodedPath}`;
+  };
+
+  const authHeaders = {
+    Authorization: `Bearer ${SUPABASE_KEY}`,
+    apikey: SUPABASE_KEY
+  };
+
+  return {
+    name: 'supabase',
+
+    // Objects are sent straight to the storage API so Node streams are not buffered in memory.
+    // supabase.storage.upload() drops the `duplex` fetch option, so it cannot send streams.
+    async upload(storagePath, body, { contentType, metadata } = {}) {
+      const headers = {
+        ...authHeaders,
+        'Content-Type': contentType || 'application/octet-stream',
+        'Cache-Control': 'max-age=3600',
+        'x-upsert': 'false'
+      };
+
+      if (metadata) {
+        headers['x-metadata'] = Buffer.from(JSON.stringify(metadata)).toString('base64');
+      }
+
+      try {
+        const response = await fetch(objectUrl(storagePath), {
+          method: 'POST',
+          headers,
+          body,
+          duplex: 'half'
+        });
+
+        if (!response.ok) {
+          const details = await response.json().catch(() => ({}));
+          return {
+            data: null,
+            error: storageError(
+              details.message || details.error || `Storage upload failed with status ${response.status}`,
+              response.status
+            )
+          };
+        }
+
+        return { data: { path: storagePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    // supabase.storage.download() buffers the whole object and cannot request byte ranges
+    async stream(storagePath, { range, signal } = {}) {
+      const headers = { ...authHeaders };
+      if (range) {
+        headers.Range = `bytes=${range.start}-${range.end}`;
+      }
+
+      const response = await fetch(objectUrl(storagePath), { headers, signal });
+
+      if (!response.ok || !response.body) {
+        // The storage API answers 400 for objects that do not exist
+        const status = response.status === 400 ? 404 : response.status;
+        return { data: null, error: storageError(`Storage responded with status ${response.status}`, status) };
+      }
+
+      const contentLength = response.headers.get('content-length');
+
+      return {
+        data: {
+          body: Readable.fromWeb(response.body),
+          contentLength: contentLength !== null ? Number(contentLength) : null,
+          contentRange: response.status === 206 ? response.headers.get('content-range') : null
+        },
+        error: null
+      };
+    },
+
+    createSignedUrl(storagePath, expiresIn, options) {
+      return supabase.storage.from(bucket).createSignedUrl(storagePath, expiresIn, options);
+    },
+
+    copy(fromPath, toPath) {
+      return supabase.storage.from(bucket).copy(fromPath, toPath);
+    },
+
+    remove(storagePaths) {
+      return supabase.storage.from(bucket).remove(storagePaths);
+    },
+
+    list(prefix) {
+      return supabase.storage.from(bucket).list(prefix);
+    }
+  };
+};
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, fileForm, removeTmpDir } from './helpers.js';
+
+const { default: filesRoutes } = await import('../routes/files.routes.js');
+
+const OWNER = 'files-owner@example.com';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/files': filesRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+test('an archive of malformed ids is rejected instead of failing the query', async () => {
+  const malformed = await app.request(OWNER, 'POST', '/files/archive', { json: { fileIds: ['not-a-uuid'] } });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'fileIds and folderIds must be lists of ids');
+
+  const unknown = await app.request(OWNER, 'POST', '/files/archive', {
+    json: { folderIds: ['00000000-0000-4000-8000-000000000000'] }
+  });
+  assert.equal(unknown.status, 404);
+
+  // Uploaded files have ids of 32 hex digits, which Postgres takes as uuids
+  const uploaded = await app.request(OWNER, 'POST', '/files/upload', { body: fileForm('zipped.txt', 'zip me') });
+  const archive = await app.request(OWNER, 'POST', '/files/archive', { json: { fileIds: [uploaded.body.file.id] } });
+  assert.equal(archive.status, 200);
+  assert.equal(archive.headers.get('Content-Type'), 'application/zip');
+});
+
+test('content is served in byte ranges, with 416 for ranges past the end', async () => {
+  const content = '0123456789abcdefghij';
+  const uploaded = await app.request(OWNER, 'POST', '/files/upload', { body: fileForm('range.txt', content) });
+  const contentPath = `/files/${uploaded.body.file.id}/content`;
+  const getRange = (range) => app.request(OWNER, 'GET', contentPath, { headers: { Range: range } });
+
+  const full = await app.request(OWNER, 'GET', contentPath);
+  assert.equal(full.status, 200);
+  assert.equal(full.body, content);
+  assert.equal(full.headers.get('Accept-Ranges'), 'bytes');
+
+  const first = await getRange('bytes=0-9');
+  assert.equal(first.status, 206);
+  assert.equal(first.body, '0123456789');
+  assert.equal(first.headers.get('Content-Range'), `bytes 0-9/${content.length}`);
+
+  const suffix = await getRange('bytes=-5');
+  assert.equal(suffix.status, 206);
+  assert.equal(suffix.body, 'fghij');
+  assert.equal(suffix.headers.get('Content-Range'), `bytes 15-19/${content.length}`);
+
+  const unsatisfiable = await getRange('bytes=50-60');
+  assert.equal(unsatisfiable.status, 416);
+  assert.equal(unsatisfiable.headers.get('Content-Range'), `bytes */${content.length}`);
+});
+
+test('content revalidates with its ETag', async () => {
+  const uploaded = await app.request(OWNER, 'POST', '/files/upload', { body: fileForm('cached.txt', 'cache me') });
+  const contentPath = `/files/${uploaded.body.file.id}/content`;
+
+  const first = await app.request(OWNER, 'GET', contentPath);
+  const etag = first.headers.get('ETag');
+  assert.ok(etag);
+
+  // fetch adds Cache-Control: no-cache to requests with their own If-None-Match, which a
+  // browser revalidating its cache does not send
+  const revalidate = () => app.request(OWNER, 'GET', contentPath, {
+    headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' }
+  });
+
+  const cached = await revalidate();
+  assert.equal(cached.status, 304);
+  assert.equal(cached.body, null);
+
+  // A range for other content is ignored and the whole file sent
+  const stale = await app.request(OWNER, 'GET', contentPath, { headers: { Range: 'bytes=0-3', 'If-Range': '"other"' } });
+  assert.equal(stale.status, 200);
+  assert.equal(stale.body, 'cache me');
+
+  await app.request(OWNER, 'POST', `/files/${uploaded.body.file.id}/versions`, { body: fileForm('cached.txt', 'changed') });
+  const changed = await revalidate();
+  assert.equal(changed.status, 200);
+  assert.equal(changed.body, 'changed');
+});
@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, removeTmpDir } from './helpers.js';
+
+const { default: foldersRoutes } = await import('../routes/folders.routes.js');
+const { foldersRepo, sharesRepo } = await import('../repos/index.js');
+
+const OWNER = 'team-lead@example.com';
+const EDITOR = 'team-editor@example.com';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/folders': foldersRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+test('a folder copied into someone else\'s folder gets a name free among all its siblings', async () => {
+  const team = await foldersRepo.create({ name: 'Team', owner_email: OWNER });
+  await foldersRepo.create({ name: 'Specs', owner_email: OWNER, parent_id: team.id });
+  await sharesRepo.create({
+    resource_id: team.id,
+    resource_type: 'folder',
+    user_email: EDITOR,
+    permission_type: 'editor',
+    granted_by: OWNER
+  });
+  const specs = await foldersRepo.create({ name: 'Specs', owner_email: EDITOR });
+
+  const copied = await app.request(EDITOR, 'POST', `/folders/${specs.id}/copy`, { json: { parentId: team.id } });
+  assert.equal(copied.status, 200);
+
+  const names = (await foldersRepo.find({ parentId: team.id, isDeleted: false })).map(folder => folder.name).sort();
+  assert.deepEqual(names, ['Specs', 'Specs (1)']);
+});
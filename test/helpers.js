@@ -0,0 +1,62 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Route tests run on the in-memory repositories and the local storage driver, in temporary
+// directories. Bearer tokens are taken as the email of the signed-in user.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'datadock-test-'));
+
+process.env.DATA_DRIVER = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = path.join(tmpDir, 'storage');
+process.env.UPLOAD_TMP_DIR = path.join(tmpDir, 'uploads');
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_KEY ||= 'test';
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { default: express } = await import('express');
+const { supabase } = await import('../config/supabase.js');
+
+supabase.auth.getUser = async (token) => ({ data: { user: { id: token, email: token } }, error: null });
+
+// Start an app with the given routers ({ '/files': router }) on a free port
+export const startApp = async (routes) => {
+  const app = express();
+  app.use(express.json());
+  for (const [prefix, router] of Object.entries(routes)) app.use(prefix, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  // fetch as a user: request('alice@example.com', 'GET', '/files'). JSON bodies are parsed,
+  // others come back as text
+  const request = async (userEmail, method, urlPath, { json, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(userEmail ? { Authorization: `Bearer ${userEmail}` } : {}),
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: json !== undefined ? JSON.stringify(json) : body
+    });
+    const text = await response.text();
+    const isJson = response.headers.get('Content-Type')?.includes('application/json');
+    return { status: response.status, headers: response.headers, body: text && isJson ? JSON.parse(text) : text || null };
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, close };
+};
+
+// Multipart body with one file field
+export const fileForm = (name, content, type = 'text/plain') => {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type }), name);
+  return form;
+};
+
+export const removeTmpDir = () => fs.promises.rm(tmpDir, { recursive: true, force: true });
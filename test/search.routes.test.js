@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, removeTmpDir } from './helpers.js';
+
+const { default: searchRoutes } = await import('../routes/search.routes.js');
+const { filesRepo, foldersRepo, sharesRepo } = await import('../repos/index.js');
+
+const OWNER = 'searcher@example.com';
+const OTHER = 'colleague@example.com';
+
+let app;
+let project;
+let hidden;
+
+const createFile = (name, mimeType, ownerEmail, folderId = null, changes = {}) => filesRepo.create({
+  name,
+  original_name: name,
+  mime_type: mimeType,
+  size: 100,
+  owner_email: ownerEmail,
+  folder_id: folderId,
+  storage_path: `${ownerEmail}/${name}`,
+  ...changes
+});
+
+before(async () => {
+  app = await startApp({ '/search': searchRoutes });
+
+  project = await foldersRepo.create({ name: 'Project', owner_email: OWNER });
+  const drafts = await foldersRepo.create({ name: 'Drafts', owner_email: OWNER, parent_id: project.id });
+  hidden = await foldersRepo.create({ name: 'Hidden', owner_email: OTHER });
+
+  await createFile('Quarterly report.pdf', 'application/pdf', OWNER, null, { is_starred: true });
+  await createFile('report draft.docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', OWNER, drafts.id);
+  await createFile('holiday.jpg', 'image/jpeg', OWNER);
+  await createFile('secret report.txt', 'text/plain', OTHER, hidden.id);
+
+  const shared = await createFile('Annual Report.txt', 'text/plain', OTHER);
+  await sharesRepo.create({
+    resource_id: shared.id,
+    resource_type: 'file',
+    user_email: OWNER,
+    permission_type: 'viewer',
+    granted_by: OTHER
+  });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+const search = (query, params = {}) => app.request(OWNER, 'GET', `/search?${new URLSearchParams({ query, ...params })}`);
+
+const byValue = (counts) => [...counts].sort((a, b) => String(a.value).localeCompare(String(b.value)));
+
+test('a mistyped name search counts and facets every visible match', async () => {
+  const { status, body } = await search('reprt', { limit: '1' });
+  assert.equal(status, 200);
+
+  assert.equal(body.results.files.length, 1);
+  assert.ok(body.results.files[0].relevance > 0);
+  assert.deepEqual(body.pagination, { page: 1, limit: 1, total: 3, pages: 3 });
+
+  assert.deepEqual(byValue(body.facets.type), [
+    { value: 'pdf', count: 1 },
+    { value: 'text', count: 1 },
+    { value: 'word', count: 1 }
+  ]);
+  assert.deepEqual(body.facets.owner, [{ value: OWNER, count: 2 }, { value: OTHER, count: 1 }]);
+  assert.deepEqual(body.facets.starred, [{ value: true, count: 1 }, { value: false, count: 2 }]);
+  assert.deepEqual(body.facets.modifiedYear, [{ value: new Date().getUTCFullYear(), count: 3 }]);
+});
+
+test('relevance orders every match before paging', async () => {
+  const { body } = await search('reprt');
+  const relevance = body.results.files.map(file => file.relevance);
+
+  assert.equal(relevance.length, 3);
+  assert.deepEqual(relevance, [...relevance].sort((a, b) => b - a));
+  // Starred items rank higher
+  assert.equal(body.results.files[0].name, 'Quarterly report.pdf');
+});
+
+test('filters and excluded words apply to the counts', async () => {
+  const excluded = await search('reprt -draft');
+  assert.deepEqual(excluded.body.results.files.map(file => file.name).sort(), ['Annual Report.txt', 'Quarterly report.pdf']);
+  assert.equal(excluded.body.pagination.total, 2);
+
+  const starred = await search('reprt', { starred: 'true' });
+  assert.equal(starred.body.pagination.total, 1);
+  assert.deepEqual(starred.body.facets.starred, [{ value: true, count: 1 }]);
+});
+
+test('a folder scope limits the search to everything inside it', async () => {
+  const { body } = await search('reprt', { folderId: project.id });
+  assert.deepEqual(body.results.files.map(file => file.name), ['report draft.docx']);
+  assert.equal(body.pagination.total, 1);
+  assert.deepEqual(body.facets.type, [{ value: 'word', count: 1 }]);
+
+  const withFolders = await search('draft', { folderId: project.id });
+  assert.deepEqual(withFolders.body.results.folders.map(folder => folder.name), ['Drafts']);
+  assert.equal(withFolders.body.pagination.total, 2);
+  assert.deepEqual(byValue(withFolders.body.facets.type), [{ value: 'folder', count: 1 }, { value: 'word', count: 1 }]);
+
+  assert.equal((await search('reprt', { folderId: hidden.id })).status, 404);
+});
+
+test('suggestions only name the user\'s own items', async () => {
+  const { body } = await app.request(OWNER, 'GET', '/search/suggestions?query=reprt');
+  assert.deepEqual(body.suggestions.map(suggestion => suggestion.name).sort(), ['Quarterly report.pdf', 'report draft.docx']);
+});
+
+test('syntax errors return 400 with the position of the problem', async () => {
+  const { status, body } = await search('report (draft');
+  assert.equal(status, 400);
+  assert.equal(body.position, 'report (draft'.length);
+  assert.match(body.error, /Missing "\)"/);
+});
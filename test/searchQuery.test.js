@@ -0,0 +1,105 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { removeTmpDir } from './helpers.js';
+
+const { parseSearchQuery, buildSearchExpression } = await import('../utils/searchQuery.js');
+const { foldersRepo } = await import('../repos/index.js');
+
+const USER = 'query-user@example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+after(async () => {
+  await removeTmpDir();
+});
+
+const compile = (query, resourceType = 'file') => (
+  buildSearchExpression(parseSearchQuery(query).tree, resourceType, USER)
+);
+
+test('words, phrases, negation and OR groups parse into a tree', () => {
+  assert.deepEqual(parseSearchQuery('report -draft (pdf OR "slide deck")').tree, {
+    type: 'and',
+    children: [
+      { type: 'text', value: 'report' },
+      { type: 'not', child: { type: 'text', value: 'draft' } },
+      { type: 'or', children: [{ type: 'text', value: 'pdf' }, { type: 'text', value: 'slide deck' }] }
+    ]
+  });
+
+  // OR binds tighter than the implicit AND
+  assert.deepEqual(parseSearchQuery('a b OR c').tree, {
+    type: 'and',
+    children: [
+      { type: 'text', value: 'a' },
+      { type: 'or', children: [{ type: 'text', value: 'b' }, { type: 'text', value: 'c' }] }
+    ]
+  });
+
+  assert.deepEqual(parseSearchQuery('in:"Q3 Finance" size:>10mb').tree, {
+    type: 'and',
+    children: [
+      { type: 'filter', key: 'in', value: 'Q3 Finance' },
+      { type: 'filter', key: 'size', comparator: '>', value: 10 * 1024 * 1024 }
+    ]
+  });
+});
+
+test('syntax errors report their 0-based position', () => {
+  const cases = [
+    ['"unterminated', 0, 'Unterminated quote'],
+    ['a OR', 4, 'Missing search term after OR'],
+    ['OR a', 0, 'Missing search term before OR'],
+    ['()', 0, 'Empty group'],
+    ['a (b', 4, 'Missing ")" to close the group opened at position 2'],
+    ['a)', 1, 'Unexpected ")"'],
+    ['color:red', 0, 'Unknown filter "color:"'],
+    ['size:abc', 5, 'Invalid value for "size:"'],
+    ['owner:', 6, 'Missing value for "owner:"']
+  ];
+
+  for (const [query, position, message] of cases) {
+    const result = parseSearchQuery(query);
+    assert.equal(result.status, 400, query);
+    assert.equal(result.position, position, query);
+    assert.ok(result.error.includes(message), `${query}: ${result.error}`);
+  }
+});
+
+test('relative ages and whole days compile to date bounds', async () => {
+  const { updatedAfter } = await compile('modified:<30d');
+  assert.ok(Math.abs(Date.parse(updatedAfter) - (Date.now() - 30 * DAY_MS)) < 60 * 1000);
+
+  const { updatedBefore } = await compile('modified:>30d');
+  assert.ok(Math.abs(Date.parse(updatedBefore) - (Date.now() - 30 * DAY_MS)) < 60 * 1000);
+
+  // After January 31st is from February 1st on
+  assert.deepEqual(await compile('created:>2024-01-31'), { createdFrom: '2024-02-01T00:00:00.000Z' });
+  assert.deepEqual(await compile('created:2024-01-31'), {
+    createdFrom: '2024-01-31T00:00:00.000Z',
+    createdBefore: '2024-02-01T00:00:00.000Z'
+  });
+});
+
+test('negated filters also match items where the column is NULL', async () => {
+  const folder = await foldersRepo.create({ name: 'Archive', owner_email: USER });
+
+  assert.deepEqual(await compile('-in:archive'), {
+    or: [{ folderId: null }, { not: { folderIds: [folder.id] } }]
+  });
+  assert.deepEqual(await compile('-in:archive', 'folder'), {
+    or: [{ parentId: null }, { not: { parentIds: [folder.id] } }]
+  });
+  assert.deepEqual(await compile('-type:pdf'), {
+    or: [{ mimeType: null }, { not: { mimeTypes: ['application/pdf'] } }]
+  });
+});
+
+test('filters that cannot apply to a resource type fold away', async () => {
+  assert.equal(await compile('size:>1mb', 'folder'), false);
+  assert.equal(await compile('-size:>1mb', 'folder'), true);
+  assert.equal(await compile('in:missing'), false);
+  assert.deepEqual(await compile('report OR type:folder', 'folder'), true);
+  assert.deepEqual(await compile('report -draft'), {
+    and: [{ nameContains: 'report' }, { not: { nameContains: 'draft' } }]
+  });
+});
@@ -0,0 +1,64 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { removeTmpDir } from './helpers.js';
+
+const { filesRepo, foldersRepo, fileVersionsRepo } = await import('../repos/index.js');
+const { storage } = await import('../storage/index.js');
+const { purgeTrash } = await import('../utils/trash.js');
+
+const OWNER = 'trash-owner@example.com';
+const COLLABORATOR = 'trash-collaborator@example.com';
+
+after(async () => {
+  await removeTmpDir();
+});
+
+const storageExists = (storagePath) => fs.existsSync(path.join(process.env.STORAGE_LOCAL_DIR, storagePath));
+
+test('purging a trashed folder removes the storage of every file and version below it', async () => {
+  const deletedAt = new Date().toISOString();
+  const parent = await foldersRepo.create({ name: 'Old', owner_email: OWNER, is_deleted: true, deleted_at: deletedAt });
+  // A collaborator's subfolder is not in the owner's trash but goes with the parent row
+  const child = await foldersRepo.create({
+    name: 'Shared work',
+    owner_email: COLLABORATOR,
+    parent_id: parent.id,
+    is_deleted: true,
+    deleted_at: deletedAt,
+    deleted_with_folder_id: parent.id
+  });
+
+  await storage.upload('trash/plan-v1.txt', Buffer.from('first'));
+  await storage.upload('trash/plan-v2.txt', Buffer.from('second draft'));
+  const file = await filesRepo.create({
+    name: 'plan.txt',
+    original_name: 'plan.txt',
+    mime_type: 'text/plain',
+    size: 'second draft'.length,
+    owner_email: COLLABORATOR,
+    folder_id: child.id,
+    storage_path: 'trash/plan-v2.txt',
+    current_version: 2,
+    is_deleted: true,
+    deleted_at: deletedAt,
+    deleted_with_folder_id: parent.id
+  });
+  for (const [versionNumber, storagePath, size] of [[1, 'trash/plan-v1.txt', 5], [2, 'trash/plan-v2.txt', 12]]) {
+    await fileVersionsRepo.create({ file_id: file.id, version_number: versionNumber, storage_path: storagePath, size });
+  }
+
+  const summary = await purgeTrash({ ownerEmail: OWNER });
+
+  assert.deepEqual(summary.errors, []);
+  assert.equal(summary.filesPurged, 1);
+  assert.equal(summary.foldersPurged, 1);
+  assert.equal(summary.bytesPurged, 'first'.length + 'second draft'.length);
+
+  assert.equal(storageExists('trash/plan-v1.txt'), false);
+  assert.equal(storageExists('trash/plan-v2.txt'), false);
+  assert.equal(await filesRepo.findById(file.id), null);
+  assert.equal(await foldersRepo.findById(child.id), null);
+  assert.equal(await foldersRepo.findById(parent.id), null);
+});
@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startApp, removeTmpDir } from './helpers.js';
+
+const { default: uploadsRoutes } = await import('../routes/uploads.routes.js');
+const { default: storageRoutes } = await import('../routes/storage.routes.js');
+const { uploadSessionsRepo } = await import('../repos/index.js');
+const { getUploadTempPath } = await import('../utils/uploadSessions.js');
+const { runUploadSessionSweep } = await import('../jobs/uploadSessionSweep.js');
+
+const OWNER = 'uploader@example.com';
+const CONTENT = 'hello resumable world';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/uploads': uploadsRoutes, '/storage': storageRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+const sendChunk = (id, offset, chunk) => app.request(OWNER, 'PATCH', `/uploads/${id}`, {
+  headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+  body: chunk
+});
+
+test('an upload received in chunks becomes a file and stops reserving quota', async () => {
+  const created = await app.request(OWNER, 'POST', '/uploads', {
+    headers: {
+      'Upload-Length': String(CONTENT.length),
+      'Upload-Metadata': `filename ${Buffer.from('greeting.txt').toString('base64')}`
+    }
+  });
+  assert.equal(created.status, 201);
+  const { id } = created.body.upload;
+
+  const reserved = await app.request(OWNER, 'GET', '/storage/quota');
+  assert.equal(reserved.body.reserved, CONTENT.length);
+
+  assert.equal((await sendChunk(id, 0, CONTENT.slice(0, 5))).status, 204);
+
+  const mismatch = await sendChunk(id, 0, CONTENT.slice(5));
+  assert.equal(mismatch.status, 409);
+  assert.equal(mismatch.headers.get('Upload-Offset'), '5');
+
+  const last = await sendChunk(id, 5, CONTENT.slice(5));
+  assert.equal(last.status, 204);
+  assert.ok(last.headers.get('Upload-File-Id'));
+
+  const progress = await app.request(OWNER, 'GET', `/uploads/${id}`);
+  assert.equal(progress.body.upload.status, 'completed');
+  assert.equal(progress.body.upload.progress, 100);
+  assert.equal(progress.body.file.size, CONTENT.length);
+
+  const quota = await app.request(OWNER, 'GET', '/storage/quota');
+  assert.equal(quota.body.reserved, 0);
+  assert.equal(quota.body.used, CONTENT.length);
+
+  assert.equal((await app.request('someone@example.com', 'GET', `/uploads/${id}`)).status, 404);
+});
+
+test('an aborted upload is removed', async () => {
+  const created = await app.request(OWNER, 'POST', '/uploads', {
+    headers: {
+      'Upload-Length': '10',
+      'Upload-Metadata': `filename ${Buffer.from('aborted.bin').toString('base64')}`
+    }
+  });
+  const { id } = created.body.upload;
+
+  assert.equal((await app.request(OWNER, 'DELETE', `/uploads/${id}`)).status, 204);
+  assert.equal((await app.request(OWNER, 'GET', `/uploads/${id}`)).status, 404);
+});
+
+test('the sweep deletes expired uploads and their chunks but keeps completed ones', async () => {
+  const createUpload = async (name, length) => (await app.request(OWNER, 'POST', '/uploads', {
+    headers: {
+      'Upload-Length': String(length),
+      'Upload-Metadata': `filename ${Buffer.from(name).toString('base64')}`
+    }
+  })).body.upload;
+
+  const stale = await createUpload('stale.bin', 10);
+  const active = await createUpload('active.bin', 10);
+  const completed = await createUpload('empty.txt', 0);
+  assert.equal(completed.status, 'completed');
+
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  await uploadSessionsRepo.update(stale.id, { expires_at: past });
+  await uploadSessionsRepo.update(completed.id, { expires_at: past });
+
+  const result = await runUploadSessionSweep();
+  assert.equal(result.removed, 1);
+
+  assert.equal(await uploadSessionsRepo.findById(stale.id), null);
+  assert.equal(fs.existsSync(getUploadTempPath(stale.id)), false);
+  assert.ok(await uploadSessionsRepo.findById(active.id));
+  assert.ok(fs.existsSync(getUploadTempPath(active.id)));
+  assert.ok(await uploadSessionsRepo.findById(completed.id));
+});
+
+test('chunks sent at the same offset are appended once', async () => {
+  const created = await app.request(OWNER, 'POST', '/uploads', {
+    headers: {
+      'Upload-Length': '10',
+      'Upload-Metadata': `filename ${Buffer.from('racing.bin').toString('base64')}`
+    }
+  });
+  const { id } = created.body.upload;
+
+  const results = await Promise.all([sendChunk(id, 0, 'abcde'), sendChunk(id, 0, 'abcde')]);
+  const statuses = results.map(result => result.status).sort();
+  assert.equal(statuses[0], 204);
+  // The other chunk arrived while the first was received (423) or after it moved the offset (409)
+  assert.ok([409, 423].includes(statuses[1]), `unexpected status ${statuses[1]}`);
+
+  assert.equal((await uploadSessionsRepo.findById(id)).upload_offset, 5);
+  assert.equal(fs.readFileSync(getUploadTempPath(id), 'utf8'), 'abcde');
+});
@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, fileForm, removeTmpDir } from './helpers.js';
+
+const { default: filesRoutes } = await import('../routes/files.routes.js');
+const { default: storageRoutes } = await import('../routes/storage.routes.js');
+const { default: adminRoutes } = await import('../routes/admin.routes.js');
+const { usersRepo } = await import('../repos/index.js');
+
+const OWNER = 'owner@example.com';
+const ADMIN = 'admin@example.com';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/files': filesRoutes, '/storage': storageRoutes, '/admin': adminRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+test('versions are uploaded, listed and restored, and restored content counts once', async () => {
+  const uploaded = await app.request(OWNER, 'POST', '/files/upload', { body: fileForm('notes.txt', 'first draft') });
+  assert.equal(uploaded.status, 200);
+  const fileId = uploaded.body.file.id;
+
+  const second = await app.request(OWNER, 'POST', `/files/${fileId}/versions`, {
+    body: fileForm('notes.txt', 'second draft, longer')
+  });
+  assert.equal(second.status, 200);
+  assert.equal(second.body.version.version_number, 2);
+  assert.equal(second.body.file.current_version, 2);
+
+  const restored = await app.request(OWNER, 'POST', `/files/${fileId}/versions/1/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.version.version_number, 3);
+  assert.equal(restored.body.version.restored_from, 1);
+
+  const list = await app.request(OWNER, 'GET', `/files/${fileId}/versions`);
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.versions.map(v => [v.version_number, v.is_current]), [[3, true], [2, false], [1, false]]);
+
+  // Version 3 reuses the object of version 1, so only version 2 adds to the current content
+  const quota = await app.request(OWNER, 'GET', '/storage/quota');
+  assert.equal(quota.status, 200);
+  assert.equal(quota.body.used, 'first draft'.length + 'second draft, longer'.length);
+
+  const usage = await app.request(OWNER, 'GET', '/storage/usage');
+  assert.equal(usage.status, 200);
+  assert.deepEqual(usage.body.versions, { bytes: 'second draft, longer'.length, count: 1 });
+  assert.deepEqual(usage.body.byType, [{ type: 'documents', bytes: 'first draft'.length, files: 1 }]);
+});
+
+test('a new version that does not fit the owner\'s quota is rejected', async () => {
+  await usersRepo.create({ email: OWNER, username: 'owner' });
+
+  const uploaded = await app.request(OWNER, 'POST', '/files/upload', { body: fileForm('small.txt', 'tiny') });
+  assert.equal(uploaded.status, 200);
+
+  const { body: current } = await app.request(OWNER, 'GET', '/storage/quota');
+  const updated = await app.request(ADMIN, 'PUT', `/admin/quotas/${OWNER}`, { json: { quota: current.used + 10 } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.available, 10);
+
+  const rejected = await app.request(OWNER, 'POST', `/files/${uploaded.body.file.id}/versions`, {
+    body: fileForm('small.txt', 'x'.repeat(1000))
+  });
+  assert.equal(rejected.status, 413);
+  assert.equal(rejected.body.error, 'Storage quota exceeded');
+
+  const missing = await app.request(ADMIN, 'PUT', '/admin/quotas/nobody@example.com', { json: { quota: 10 } });
+  assert.equal(missing.status, 404);
+});
+
+test('concurrent uploads of a version each get their own number', async () => {
+  const editor = 'editor@example.com';
+  const uploaded = await app.request(editor, 'POST', '/files/upload', { body: fileForm('busy.txt', 'v1') });
+  const fileId = uploaded.body.file.id;
+
+  const results = await Promise.all(['v2', 'v3', 'v4'].map(content => (
+    app.request(editor, 'POST', `/files/${fileId}/versions`, { body: fileForm('busy.txt', content) })
+  )));
+  assert.deepEqual(results.map(result => result.status), [200, 200, 200]);
+  assert.deepEqual(results.map(result => result.body.version.version_number).sort(), [2, 3, 4]);
+
+  const list = await app.request(editor, 'GET', `/files/${fileId}/versions`);
+  assert.deepEqual(list.body.versions.map(v => v.version_number), [4, 3, 2, 1]);
+});
+
+test('only downloads of versions that exist count as downloads', async () => {
+  const reader = 'reader@example.com';
+  const uploaded = await app.request(reader, 'POST', '/files/upload', { body: fileForm('counted.txt', 'v1') });
+  const fileId = uploaded.body.file.id;
+  await app.request(reader, 'POST', `/files/${fileId}/versions`, { body: fileForm('counted.txt', 'v2') });
+
+  const missing = await app.request(reader, 'GET', `/files/${fileId}/download?version=9`);
+  assert.equal(missing.status, 404);
+  assert.equal((await app.request(reader, 'GET', `/files/${fileId}/stats`)).body.stats.downloads, 0);
+
+  const found = await app.request(reader, 'GET', `/files/${fileId}/download?version=1`);
+  assert.equal(found.status, 200);
+  assert.equal((await app.request(reader, 'GET', `/files/${fileId}/stats`)).body.stats.downloads, 1);
+});
@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Set before the config is loaded
+process.env.WEBHOOK_ALLOWED_HOSTS = '10.1.2.3';
+
+const { startApp, removeTmpDir } = await import('./helpers.js');
+const { default: webhooksRoutes } = await import('../routes/webhooks.routes.js');
+const { webhooksRepo, webhookDeliveriesRepo } = await import('../repos/index.js');
+const { attemptDelivery } = await import('../utils/webhooks.js');
+
+const OWNER = 'hooks@example.com';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/webhooks': webhooksRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+// IP literals only, so nothing here depends on DNS
+const register = (url) => app.request(OWNER, 'POST', '/webhooks', { json: { url, events: ['*'] } });
+
+test('urls reaching this host, private networks or link-local addresses are rejected', async () => {
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/hook',
+    'http://192.168.1.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ]) {
+    const { status, body } = await register(url);
+    assert.equal(status, 400, url);
+    assert.match(body.error, /private or reserved address/, url);
+  }
+
+  const { status } = await register('https://93.184.215.14/hook');
+  assert.equal(status, 201);
+
+  const created = await register('https://93.184.215.14/other');
+  const updated = await app.request(OWNER, 'PUT', `/webhooks/${created.body.webhook.id}`, {
+    json: { url: 'http://169.254.169.254/' }
+  });
+  assert.equal(updated.status, 400);
+});
+
+test('hosts in WEBHOOK_ALLOWED_HOSTS may be private', async () => {
+  const { status } = await register('http://10.1.2.3/hook');
+  assert.equal(status, 201);
+});
+
+test('deliveries to a url that now resolves to a private address fail without being sent', async () => {
+  // Saved before the check existed, or the host has since been pointed elsewhere
+  const webhook = await webhooksRepo.create({
+    owner_email: OWNER,
+    url: 'http://169.254.169.254/hook',
+    secret: 'secret',
+    events: ['*']
+  });
+  const delivery = await webhookDeliveriesRepo.create({
+    webhook_id: webhook.id,
+    event: 'file.uploaded',
+    payload: { event: 'file.uploaded' },
+    status: 'pending',
+    attempts: 0
+  });
+
+  const attempted = await attemptDelivery(delivery, webhook);
+  assert.equal(attempted.attempts, 1);
+  assert.equal(attempted.last_status_code, null);
+  assert.match(attempted.last_error, /private or reserved address \(169\.254\.169\.254\)/);
+});
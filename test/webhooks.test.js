@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, fileForm, removeTmpDir } from './helpers.js';
+
+const { default: filesRoutes } = await import('../routes/files.routes.js');
+const { foldersRepo, sharesRepo, webhooksRepo, webhookDeliveriesRepo } = await import('../repos/index.js');
+
+const OWNER = 'folder-owner@example.com';
+const COLLABORATOR = 'collaborator@example.com';
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/files': filesRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+const createWebhook = (ownerEmail, folderId = null) => webhooksRepo.create({
+  owner_email: ownerEmail,
+  // Nothing listens here; only the queued deliveries are checked
+  url: 'http://localhost:1/hook',
+  secret: 'secret',
+  events: ['file.uploaded'],
+  folder_id: folderId
+});
+
+test('uploads by a collaborator reach webhooks scoped to folders above the file', async () => {
+  const project = await foldersRepo.create({ name: 'Project', owner_email: OWNER });
+  const drafts = await foldersRepo.create({ name: 'Drafts', owner_email: OWNER, parent_id: project.id });
+  const other = await foldersRepo.create({ name: 'Other', owner_email: OWNER });
+  await sharesRepo.create({
+    resource_id: project.id,
+    resource_type: 'folder',
+    user_email: COLLABORATOR,
+    permission_type: 'editor',
+    granted_by: OWNER
+  });
+
+  const projectHook = await createWebhook(OWNER, project.id);
+  const otherHook = await createWebhook(OWNER, other.id);
+  const ownerHook = await createWebhook(OWNER);
+  const collaboratorHook = await createWebhook(COLLABORATOR);
+
+  const form = fileForm('plan.txt', 'the plan');
+  form.append('folderId', drafts.id);
+  const uploaded = await app.request(COLLABORATOR, 'POST', '/files/upload', { body: form });
+  assert.equal(uploaded.status, 200);
+
+  const deliveriesOf = async (webhook) => webhookDeliveriesRepo.find({ webhookId: webhook.id });
+
+  const [delivery] = await deliveriesOf(projectHook);
+  assert.equal(delivery.event, 'file.uploaded');
+  assert.equal(delivery.payload.resource.id, uploaded.body.file.id);
+  assert.equal(delivery.payload.resource.ownerEmail, COLLABORATOR);
+
+  // Unscoped webhooks only follow items their owner owns
+  assert.equal((await deliveriesOf(collaboratorHook)).length, 1);
+  assert.equal((await deliveriesOf(ownerHook)).length, 0);
+  assert.equal((await deliveriesOf(otherHook)).length, 0);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+// Small limits so the archives below can cross them; set before the config is loaded
+process.env.ZIP_IMPORT_MAX_ENTRIES = '5';
+process.env.ZIP_IMPORT_MAX_UNCOMPRESSED = String(4 * 1024 * 1024);
+process.env.ZIP_IMPORT_MAX_RATIO = '100';
+
+const { startApp, removeTmpDir } = await import('./helpers.js');
+const { default: foldersRoutes } = await import('../routes/folders.routes.js');
+const { filesRepo } = await import('../repos/index.js');
+
+const OWNER = 'importer@example.com';
+
+const UNIX_VERSION_MADE_BY = (3 << 8) | 20;
+const ENCRYPTED_FLAG = 0x1;
+const SYMLINK_MODE = 0o120777;
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/folders': foldersRoutes });
+});
+
+after(async () => {
+  await app.close();
+  await removeTmpDir();
+});
+
+// Zip archive of entries { name, content, deflate, flags, mode, declaredSize }, written by hand so
+// entries can carry unsafe names, symlink modes, the encrypted flag or made-up sizes (yauzl
+// only accepts those on deflated entries)
+const buildZip = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, content = '', deflate = false, flags = 0, mode = 0o100644, declaredSize } of entries) {
+    const data = Buffer.from(content);
+    const stored = deflate ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name);
+    const crc = zlib.crc32(data);
+    const uncompressedSize = declaredSize ?? data.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(uncompressedSize, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    localParts.push(local, nameBytes, stored);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(UNIX_VERSION_MADE_BY, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(uncompressedSize, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const importZip = (entries, name = 'archive.zip') => {
+  const form = new FormData();
+  form.append('file', new Blob([buildZip(entries)], { type: 'application/zip' }), name);
+  return app.request(OWNER, 'POST', '/folders/import/zip', { body: form });
+};
+
+const resultOf = (body, entryPath) => body.results.find(result => result.path === entryPath);
+
+test('safe entries are extracted and unsafe ones fail without writing anything', async () => {
+  const { status, body } = await importZip([
+    { name: 'docs/readme.txt', content: 'hello' },
+    { name: '../escape.txt', content: 'outside' },
+    { name: '/etc/absolute.txt', content: 'outside' },
+    { name: 'link', content: '/etc/passwd', mode: SYMLINK_MODE },
+    { name: 'secret.txt', content: 'encrypted', deflate: true, flags: ENCRYPTED_FLAG }
+  ], 'project.zip');
+  assert.equal(status, 200);
+  assert.equal(body.folder.name, 'project');
+
+  assert.equal(resultOf(body, 'docs/readme.txt').status, 'created');
+  assert.match(resultOf(body, '../escape.txt').error, /^Unsafe path/);
+  assert.match(resultOf(body, '/etc/absolute.txt').error, /^Unsafe path/);
+  assert.equal(resultOf(body, 'link').error, 'Symbolic links are not supported');
+  assert.equal(resultOf(body, 'secret.txt').error, 'Encrypted entries are not supported');
+  assert.deepEqual(body.summary, { folders: 1, files: 1, skipped: 0, failed: 4 });
+
+  const files = await filesRepo.find({ ownerEmail: OWNER });
+  assert.deepEqual(files.map(file => file.name), ['readme.txt']);
+  assert.equal(fs.existsSync(path.join(process.env.STORAGE_LOCAL_DIR, '..', 'escape.txt')), false);
+});
+
+test('entries compressed beyond the ratio limit are not extracted', async () => {
+  const { status, body } = await importZip([
+    { name: 'bomb.bin', content: Buffer.alloc(2 * 1024 * 1024), deflate: true },
+    { name: 'small.txt', content: 'a'.repeat(1000), deflate: true }
+  ]);
+  assert.equal(status, 200);
+
+  assert.equal(resultOf(body, 'bomb.bin').error, 'Compression ratio too high');
+  // Small entries are not held to the ratio
+  assert.equal(resultOf(body, 'small.txt').status, 'created');
+});
+
+test('archives with too many entries are rejected before anything is created', async () => {
+  const entries = Array.from({ length: 6 }, (_, index) => ({ name: `file-${index}.txt`, content: 'x' }));
+
+  const { status, body } = await importZip(entries, 'many.zip');
+  assert.equal(status, 413);
+  assert.equal(body.error, 'Archive has more than 5 entries');
+  assert.equal((await filesRepo.find({ nameStartsWith: 'file-' })).length, 0);
+});
+
+test('archives declaring more than the uncompressed limit are rejected', async () => {
+  const { status, body } = await importZip([
+    { name: 'part-1.bin', content: 'x', deflate: true, declaredSize: 3 * 1024 * 1024 },
+    { name: 'part-2.bin', content: 'x', deflate: true, declaredSize: 3 * 1024 * 1024 }
+  ]);
+  assert.equal(status, 413);
+  assert.equal(body.error, `Archive expands to more than ${4 * 1024 * 1024} bytes`);
+  assert.equal((await filesRepo.find({ nameStartsWith: 'part-' })).length, 0);
+});
@@ -0,0 +1,84 @@
+import { accessEventsRepo, filesRepo, foldersRepo } from '../repos/index.js';
+import { getPermittedIds } from './permissions.js';
+
+const RECENT_BATCH_SIZE = 200;
+
+// Record that a file or folder was opened (accessType view or download). userEmail is null
+// for share link visitors who are not signed in; linkId is the shared link they used.
+// Failures are logged rather than thrown so the open itself still succeeds.
+export const recordAccess = async (userEmail, accessType, resourceType, resource, { linkId = null } = {}) => {
+  try {
+    await accessEventsRepo.create({
+      resource_type: resourceType,
+      resource_id: resource.id,
+      user_email: userEmail,
+      access_type: accessType,
+      link_id: linkId
+    });
+  } catch (error) {
+    console.error(`Error recording ${accessType} of ${resourceType} ${resource.id}:`, error);
+  }
+};
+
+// The files or folders a user opened most recently and can still see (owned or shared with
+// them, not in trash), newest open first, each with its last_accessed_at
+export const findRecentlyAccessed = async (userEmail, resourceType, limit) => {
+  const repo = resourceType === 'file' ? filesRepo : foldersRepo;
+  const permittedIds = new Set(await getPermittedIds(userEmail, resourceType));
+  const lastAccessedAt = new Map();
+  const items = [];
+  let offset = 0;
+
+  // Walk the user's opens newest first until enough distinct items are found
+  while (items.length < limit) {
+    const events = await accessEventsRepo.find(
+      { userEmail, resourceType },
+      { columns: 'resource_id, created_at', orderBy: 'created_at', ascending: false, offset, limit: RECENT_BATCH_SIZE }
+    );
+
+    const newIds = [];
+    for (const event of events) {
+      if (lastAccessedAt.has(event.resource_id)) continue;
+      lastAccessedAt.set(event.resource_id, event.created_at);
+      newIds.push(event.resource_id);
+    }
+
+    const rows = newIds.length > 0 ? await repo.find({ ids: newIds, isDeleted: false }) : [];
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+
+    for (const id of newIds) {
+      const row = rowsById.get(id);
+      if (row && (row.owner_email === userEmail || permittedIds.has(id))) {
+        items.push({ ...row, last_accessed_at: lastAccessedAt.get(id) });
+      }
+    }
+
+    if (events.length < RECENT_BATCH_SIZE) break;
+    offset += events.length;
+  }
+
+  return items.slice(0, limit);
+};
+
+// How often a file was viewed and downloaded (share link visits count as views) and when it
+// was last opened
+export const getFileAccessStats = async (fileId) => {
+  const countAccesses = async (accessType) => {
+    const { count } = await accessEventsRepo.findAndCount(
+      { resourceType: 'file', resourceId: fileId, accessType },
+      { columns: 'id', limit: 1 }
+    );
+    return count;
+  };
+
+  const [lastAccess] = await accessEventsRepo.find(
+    { resourceType: 'file', resourceId: fileId },
+    { columns: 'created_at', orderBy: 'created_at', ascending: false, limit: 1 }
+  );
+
+  return {
+    views: await countAccesses('view'),
+    downloads: await countAccesses('download'),
+    lastAccessedAt: lastAccess?.created_at ?? null
+  };
+};
@@ -0,0 +1,133 @@
+import contentDisposition from 'content-disposition';
+import { activityRepo, sharesRepo } from '../repos/index.js';
+import { dispatchWebhooks } from './webhooks.js';
+import { publishChange } from './events.js';
+
+const EXPORT_BATCH_SIZE = 500;
+const RESOURCE_TYPES = ['file', 'folder', 'object'];
+
+// Record who did what to a file, folder or storage object, notify the owner's webhooks and
+// push the change to open event streams.
+// resource is the row the action applied to (after the change), or { id, name } for
+// storage objects. Failures are logged rather than thrown so the change itself is never rolled back.
+export const recordActivity = async (actorEmail, action, resourceType, resource, details = {}) => {
+  let activity;
+  try {
+    activity = await activityRepo.create({
+      actor_email: actorEmail,
+      action,
+      resource_type: resourceType,
+      resource_id: resource.id ?? null,
+      resource_name: resource.name ?? null,
+      owner_email: resource.owner_email ?? null,
+      folder_id: (resourceType === 'folder' ? resource.parent_id : resource.folder_id) ?? null,
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording ${action} activity:`, error);
+    return;
+  }
+
+  await dispatchWebhooks(activity);
+  await publishChange(activity);
+};
+
+// Parse the actor=, action= (comma-separated), resourceType=, from= and to= query parameters.
+// Returns { filter } or { status, error }.
+export const parseActivityFilter = ({ actor, action, resourceType, from, to }) => {
+  if (resourceType && !RESOURCE_TYPES.includes(resourceType)) {
+    return { status: 400, error: `resourceType must be one of: ${RESOURCE_TYPES.join(', ')}` };
+  }
+  if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+    return { status: 400, error: 'from and to must be ISO 8601 dates' };
+  }
+
+  const actions = action
+    ? String(action).split(',').map(value => value.trim()).filter(Boolean)
+    : [];
+
+  return {
+    filter: {
+      actorEmail: actor || undefined,
+      actions: actions.length > 0 ? actions : undefined,
+      resourceType: resourceType || undefined,
+      createdFrom: from ? new Date(from).toISOString() : undefined,
+      createdTo: to ? new Date(to).toISOString() : undefined
+    }
+  };
+};
+
+// Activity a user may see: their own actions, anything on items they own and
+// anything on items shared with them
+export const getActivityVisibility = async (userEmail) => {
+  const shares = await sharesRepo.find({ userEmail }, { columns: 'resource_id' });
+
+  return {
+    actorEmail: userEmail,
+    ownerEmail: userEmail,
+    resourceIds: shares.map(share => share.resource_id)
+  };
+};
+
+// One page of activity, newest first, in the response shape of the activity routes
+export const findActivityPage = async (filter, { page = 1, limit = 20 }) => {
+  const offset = (page - 1) * limit;
+
+  const { rows: activity, count } = await activityRepo.findAndCount(
+    filter,
+    { orderBy: 'created_at', ascending: false, offset, limit: parseInt(limit) }
+  );
+
+  return {
+    activity,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: count,
+      pages: Math.ceil(count / limit)
+    }
+  };
+};
+
+// Wait until the response can take more data; false once the client has gone
+const waitForDrain = (res) => new Promise((resolve) => {
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve(true);
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    resolve(false);
+  };
+
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+// Stream matching activity as JSON Lines, oldest first, one batch at a time
+export const streamActivityExport = async (res, filter, fileName) => {
+  res.set({
+    'Content-Type': 'application/x-ndjson',
+    'Content-Disposition': contentDisposition(`${fileName}.jsonl`),
+    'Cache-Control': 'no-store'
+  });
+
+  let offset = 0;
+
+  while (true) {
+    const rows = await activityRepo.find(
+      filter,
+      { orderBy: 'created_at', ascending: true, offset, limit: EXPORT_BATCH_SIZE }
+    );
+
+    for (const row of rows) {
+      if (res.destroyed) return;
+      if (!res.write(`${JSON.stringify(row)}\n`) && !await waitForDrain(res)) return;
+    }
+
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+    offset += rows.length;
+  }
+
+  res.end();
+};
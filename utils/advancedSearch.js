@@ -0,0 +1,136 @@
+import { filesRepo, foldersRepo } from '../repos/index.js';
+import { getPermittedIds } from './permissions.js';
+import { parseTagFilter, getTaggedIds, attachTags } from './tags.js';
+import { parsePropertyFilters, getPropertyOrderColumn } from './properties.js';
+import { resolveAge } from './searchQuery.js';
+
+// Parameters of GET /search/advanced besides the prop.<key> property filters, sort and paging
+export const ADVANCED_SEARCH_PARAMS = [
+  'query', 'fileTypes', 'minSize', 'maxSize', 'dateFrom', 'dateTo', 'starred', 'tags', 'tagMode', 'scope'
+];
+
+// Whose items are searched: the user's own, those shared with them, or both
+export const SEARCH_SCOPES = ['owned', 'shared', 'all'];
+
+export const SORT_FIELDS = ['name', 'date', 'size'];
+
+// A dateFrom or dateTo value: an ISO 8601 date, or an age such as 7d resolved against now
+const resolveDate = (value) => {
+  if (!value) return undefined;
+  const cutoff = resolveAge(value);
+  if (cutoff) return cutoff;
+  return Number.isNaN(Date.parse(value)) ? null : value;
+};
+
+// Check advanced search parameters (a parsed query string, or the params of a saved search).
+// Returns { criteria } or { status, error }.
+export const parseAdvancedSearch = (params) => {
+  const { query, fileTypes, minSize, maxSize, dateFrom, dateTo, starred, scope = 'owned' } = params;
+
+  if (!SEARCH_SCOPES.includes(scope)) {
+    return { status: 400, error: `scope must be one of: ${SEARCH_SCOPES.join(', ')}` };
+  }
+
+  const createdFrom = resolveDate(dateFrom);
+  const createdTo = resolveDate(dateTo);
+  if (createdFrom === null || createdTo === null) {
+    return { status: 400, error: 'dateFrom and dateTo must be ISO 8601 dates or ages such as 7d, 2w, 3m or 1y' };
+  }
+
+  const tagFilter = parseTagFilter(params);
+  if (tagFilter?.error) {
+    return { status: tagFilter.status, error: tagFilter.error };
+  }
+
+  const propertyFilter = parsePropertyFilters(params);
+  if (propertyFilter.error) {
+    return { status: propertyFilter.status, error: propertyFilter.error };
+  }
+
+  return {
+    criteria: {
+      query: query && query.trim().length > 0 ? query.trim() : undefined,
+      fileTypes: fileTypes ? fileTypes.split(',') : undefined,
+      minSize: minSize ? parseInt(minSize) : undefined,
+      maxSize: maxSize ? parseInt(maxSize) : undefined,
+      createdFrom,
+      createdTo,
+      starred: starred === 'true' ? true : undefined,
+      tagFilter,
+      propertyConditions: propertyFilter.conditions,
+      scope
+    }
+  };
+};
+
+// Filter limiting a search to the files or folders in scope that the user can see
+const getScopeFilter = async (userEmail, resourceType, scope) => {
+  if (scope === 'owned') return { ownerEmail: userEmail };
+
+  const visibleTo = { email: userEmail, ids: await getPermittedIds(userEmail, resourceType) };
+  return scope === 'shared' ? { notOwnerEmail: userEmail, visibleTo } : { visibleTo };
+};
+
+// Run a search from parseAdvancedSearch for a user, live against their current permissions.
+// Returns { results: { files, folders, total }, pagination }.
+export const runAdvancedSearch = async (userEmail, criteria, { sortBy = 'name', sortOrder = 'asc', page = 1, limit = 20 } = {}) => {
+  const { tagFilter, propertyConditions, scope } = criteria;
+  const offset = (page - 1) * limit;
+  const results = {
+    files: [],
+    folders: [],
+    total: 0
+  };
+
+  // Filters shared by files and folders
+  const itemFilter = {
+    isDeleted: false,
+    nameContains: criteria.query,
+    createdFrom: criteria.createdFrom,
+    createdTo: criteria.createdTo,
+    isStarred: criteria.starred
+  };
+
+  // Build file filter
+  const fileOrderColumn = getPropertyOrderColumn(sortBy)
+    || (sortBy === 'date' ? 'created_at' : sortBy === 'size' ? 'size' : 'name');
+  const files = await filesRepo.find(
+    {
+      ...itemFilter,
+      ...await getScopeFilter(userEmail, 'file', scope),
+      mimeTypes: criteria.fileTypes,
+      minSize: criteria.minSize,
+      maxSize: criteria.maxSize,
+      ids: tagFilter ? await getTaggedIds(userEmail, 'file', tagFilter) : undefined,
+      properties: propertyConditions.length > 0 ? propertyConditions : undefined
+    },
+    { orderBy: fileOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+  );
+
+  results.files = await attachTags(files, 'file', userEmail);
+  results.total += files.length;
+
+  // Folders only support the shared filters and tags, and have no properties to match
+  const folderOrderColumn = sortBy === 'date' ? 'created_at' : 'name';
+  const folders = propertyConditions.length > 0 ? [] : await foldersRepo.find(
+    {
+      ...itemFilter,
+      ...await getScopeFilter(userEmail, 'folder', scope),
+      ids: tagFilter ? await getTaggedIds(userEmail, 'folder', tagFilter) : undefined
+    },
+    { orderBy: folderOrderColumn, ascending: sortOrder === 'asc', offset, limit: parseInt(limit) }
+  );
+
+  results.folders = await attachTags(folders, 'folder', userEmail);
+  results.total += folders.length;
+
+  return {
+    results,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: results.total,
+      pages: Math.ceil(results.total / limit)
+    }
+  };
+};
@@ -0,0 +1,163 @@
+import archiver from 'archiver';
+import contentDisposition from 'content-disposition';
+import { filesRepo, foldersRepo } from '../repos/index.js';
+import { getPermittedIds } from './permissions.js';
+import { storage } from '../storage/index.js';
+
+// Zip entry names must not contain path separators from user-provided names
+const sanitizeEntryName = (name) => (name || 'untitled').replace(/[\\/]/g, '_');
+
+// Give every entry in a directory a unique name ("report.pdf", "report (1).pdf", ...)
+const uniqueEntryName = (name, usedNames) => {
+  if (!usedNames.has(name)) {
+    usedNames.add(name);
+    return name;
+  }
+
+  const dotIndex = name.lastIndexOf('.');
+  const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+  const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+
+  let counter = 1;
+  while (usedNames.has(`${base} (${counter})${extension}`)) counter++;
+
+  const uniqueName = `${base} (${counter})${extension}`;
+  usedNames.add(uniqueName);
+  return uniqueName;
+};
+
+// Build an access checker for what a user can see, matching GET /files and GET /folders:
+// items they own or that were shared with them
+export const createArchiveAccess = async (viewerEmail) => {
+  const permittedFileIds = new Set(await getPermittedIds(viewerEmail, 'file'));
+  const permittedFolderIds = new Set(await getPermittedIds(viewerEmail, 'folder'));
+
+  return {
+    canViewFile: (file) => file.owner_email === viewerEmail || permittedFileIds.has(file.id),
+    canViewFolder: (folder) => folder.owner_email === viewerEmail || permittedFolderIds.has(folder.id)
+  };
+};
+
+// Collect the files of a folder subtree with their paths inside the archive.
+// Paths follow the folders.parent_id tree; trashed items and items the viewer
+// cannot see are left out.
+export const collectFolderEntries = async (folder, basePath, access, usedNames = new Set()) => {
+  const folderPath = `${basePath}${uniqueEntryName(sanitizeEntryName(folder.name), usedNames)}/`;
+  const entries = [{ type: 'folder', path: folderPath, folder }];
+  const childNames = new Set();
+
+  const files = await filesRepo.find(
+    { folderId: folder.id, isDeleted: false },
+    { orderBy: 'name', ascending: true }
+  );
+
+  for (const file of files) {
+    if (!access.canViewFile(file)) continue;
+    entries.push({
+      type: 'file',
+      path: `${folderPath}${uniqueEntryName(sanitizeEntryName(file.name), childNames)}`,
+      file
+    });
+  }
+
+  const subfolders = await foldersRepo.find(
+    { parentId: folder.id, isDeleted: false },
+    { orderBy: 'name', ascending: true }
+  );
+
+  for (const subfolder of subfolders) {
+    if (!access.canViewFolder(subfolder)) continue;
+    entries.push(...await collectFolderEntries(subfolder, folderPath, access, childNames));
+  }
+
+  return entries;
+};
+
+// Entry for a single file placed at the root of the archive
+export const createFileEntry = (file, usedNames) => ({
+  type: 'file',
+  path: uniqueEntryName(sanitizeEntryName(file.name), usedNames),
+  file
+});
+
+// Stream a ZIP of the given entries to the response, reading one object from storage at a time.
+// Files that cannot be read are listed in an _errors.txt entry instead of failing the whole archive.
+export const streamArchive = async (res, entries, archiveName) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const controller = new AbortController();
+  const failed = [];
+  let aborted = false;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      controller.abort();
+      archive.abort();
+    }
+  });
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': contentDisposition(`${archiveName}.zip`),
+    'Cache-Control': 'no-store'
+  });
+
+  archive.on('warning', (warning) => console.warn('Archive warning:', warning));
+  archive.pipe(res);
+
+  // Wait until archiver has consumed an entry before opening the next storage stream
+  const appendEntry = (source, data) => new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, data);
+  });
+
+  for (const entry of entries) {
+    if (aborted) return;
+
+    if (entry.type === 'folder') {
+      await appendEntry(null, { name: entry.path, type: 'directory' });
+      continue;
+    }
+
+    const { file } = entry;
+    const date = file.updated_at ? new Date(file.updated_at) : undefined;
+
+    if (!file.storage_path) {
+      failed.push(`${entry.path}: no stored content`);
+      continue;
+    }
+
+    let object;
+    try {
+      const { data, error } = await storage.stream(file.storage_path, { signal: controller.signal });
+      if (error) throw error;
+      object = data;
+    } catch (error) {
+      if (aborted) return;
+      console.error(`Error reading ${entry.path} for archive:`, error);
+      failed.push(`${entry.path}: ${error.message}`);
+      continue;
+    }
+
+    await appendEntry(object.body, { name: entry.path, date });
+  }
+
+  if (failed.length > 0) {
+    await appendEntry(
+      `The following files could not be added to this archive:\n\n${failed.join('\n')}\n`,
+      { name: '_errors.txt' }
+    );
+  }
+
+  await archive.finalize();
+};
@@ -0,0 +1,230 @@
+import yauzl from 'yauzl';
+import { filesRepo, fileContentsRepo } from '../repos/index.js';
+import { storage } from '../storage/index.js';
+import {
+  CONTENT_INDEX_MAX_SIZE,
+  CONTENT_INDEX_MAX_CHARS,
+  CONTENT_INDEX_BATCH_SIZE
+} from '../config/env.js';
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown', 'text/csv', 'application/csv', 'application/json'];
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'json'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Control characters cannot be stored in Postgres text (NUL) or would clash with the
+// snippet markers (\u0002 and \u0003), so they become spaces
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Files waiting in this process's queue, so the backfill does not pick them up as well
+const queuedIds = new Set();
+let queue = Promise.resolve();
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const readStoredFile = async (storagePath) => {
+  const { data, error } = await storage.stream(storagePath);
+  if (error) throw error;
+  return readAll(data.body);
+};
+
+const decodeText = async (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] !== '#') return XML_ENTITIES[entity] ?? match;
+  const codePoint = entity[1] === 'x' || entity[1] === 'X'
+    ? parseInt(entity.slice(2), 16)
+    : parseInt(entity.slice(1), 10);
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+});
+
+// The first entry of an archive with the given name, or null
+const findZipEntry = (zipfile, fileName) => new Promise((resolve, reject) => {
+  zipfile.on('entry', (entry) => (entry.fileName === fileName ? resolve(entry) : zipfile.readEntry()));
+  zipfile.on('end', () => resolve(null));
+  zipfile.on('error', reject);
+  zipfile.readEntry();
+});
+
+// DOCX files are zip archives; the body text is in word/document.xml
+const extractDocxText = async (buffer) => {
+  const zipfile = await yauzl.fromBufferPromise(buffer, { lazyEntries: true });
+
+  try {
+    const entry = await findZipEntry(zipfile, 'word/document.xml');
+    if (!entry) throw new Error('Not a Word document');
+    if (entry.uncompressedSize > CONTENT_INDEX_MAX_SIZE) throw new Error('Document text is too large');
+
+    const xml = (await readAll(await zipfile.openReadStreamPromise(entry))).toString('utf8');
+
+    return decodeXmlEntities(xml
+      .replace(/<w:tab\b[^>]*\/>/g, '\t')
+      .replace(/<w:(?:br|cr)\b[^>]*\/>|<\/w:p>/g, '\n')
+      .replace(/<[^>]+>/g, ''));
+  } finally {
+    zipfile.close();
+  }
+};
+
+// pdfjs is large, so it is only loaded once a PDF needs to be read
+const extractPdfText = async (buffer) => {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+    let length = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages && length < CONTENT_INDEX_MAX_CHARS; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      const text = items.map(item => `${item.str ?? ''}${item.hasEOL ? '\n' : ''}`).join('');
+
+      pages.push(text);
+      length += text.length;
+      page.cleanup();
+    }
+
+    return pages.join('\n');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Text extractor for a file, or null if its type is not indexed
+const getExtractor = ({ mime_type: mimeType, name }) => {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const extension = name?.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+  if (type === 'application/pdf' || extension === 'pdf') return extractPdfText;
+  if (type === DOCX_MIME_TYPE || extension === 'docx') return extractDocxText;
+  if (TEXT_MIME_TYPES.includes(type) || TEXT_EXTENSIONS.includes(extension)) return decodeText;
+  return null;
+};
+
+// Store the text of a file, or remove it when there is none
+const saveContent = async (fileId, text) => {
+  const existing = await fileContentsRepo.findOne({ fileId }, { columns: 'id' });
+
+  if (!text) {
+    if (existing) await fileContentsRepo.remove(existing.id);
+  } else if (existing) {
+    await fileContentsRepo.update(existing.id, { content: text, extracted_at: new Date().toISOString() });
+  } else {
+    await fileContentsRepo.create({ file_id: fileId, content: text });
+  }
+};
+
+// content_status of a file whose text is not extracted (unsupported, empty or too_large),
+// or null when it is
+const getSkippedStatus = (file, buffer) => {
+  if (!getExtractor(file)) return 'unsupported';
+  // Records created by structure-only folder imports have no content
+  if (!file.storage_path && !buffer) return 'empty';
+  if ((file.size ?? buffer?.length ?? 0) > CONTENT_INDEX_MAX_SIZE) return 'too_large';
+  return null;
+};
+
+// Store the text of a file (none removes it) and its content_status
+const saveStatus = async (fileId, status, text = null) => {
+  await saveContent(fileId, text);
+  await filesRepo.update(fileId, { content_status: status });
+  return status;
+};
+
+// Extract the text of a file and store it for content search. buffer is the content when the
+// caller already has it; otherwise it is read from storage. Files that cannot be read are marked
+// failed rather than retried. Returns the file's new content_status: indexed, empty,
+// unsupported, too_large or failed.
+export const indexFileContent = async (file, buffer = null) => {
+  const skippedStatus = getSkippedStatus(file, buffer);
+  if (skippedStatus) return saveStatus(file.id, skippedStatus);
+
+  let text;
+  try {
+    text = (await getExtractor(file)(buffer || await readStoredFile(file.storage_path)))
+      .slice(0, CONTENT_INDEX_MAX_CHARS)
+      .replace(CONTROL_CHARACTERS, ' ')
+      .trim();
+  } catch (error) {
+    console.error(`Error extracting text from file ${file.id}:`, error);
+    return saveStatus(file.id, 'failed');
+  }
+
+  return saveStatus(file.id, text ? 'indexed' : 'empty', text);
+};
+
+// Index a file in the background without delaying the request. Files are processed one at a
+// time; if the process stops first, the backfill picks the file up later. The queue only keeps
+// the content of files that will be extracted: the others just get their status in turn.
+export const queueContentIndex = (file, buffer = null) => {
+  const skippedStatus = getSkippedStatus(file, buffer);
+  const content = skippedStatus ? null : buffer;
+
+  queuedIds.add(file.id);
+  queue = queue
+    .then(() => (skippedStatus ? saveStatus(file.id, skippedStatus) : indexFileContent(file, content)))
+    .catch((error) => console.error(`Error indexing file ${file.id}:`, error))
+    .finally(() => queuedIds.delete(file.id));
+};
+
+// Give a copy the extracted text of its source instead of extracting it again
+export const copyFileContent = async (source, copy) => {
+  if (!source.content_status) {
+    queueContentIndex(copy);
+    return;
+  }
+
+  try {
+    const content = source.content_status === 'indexed'
+      ? await fileContentsRepo.findOne({ fileId: source.id }, { columns: 'content' })
+      : null;
+    await saveContent(copy.id, content?.content);
+
+    // A source without its text is left for the backfill to extract again
+    const missingText = source.content_status === 'indexed' && !content;
+    await filesRepo.update(copy.id, { content_status: missingText ? null : source.content_status });
+  } catch (error) {
+    console.error(`Error copying the content index of file ${source.id}:`, error);
+  }
+};
+
+// Index one batch of files that have not been processed yet, oldest first.
+// Returns how many files were processed and how many ended in each status.
+export const backfillContentIndex = async ({ limit = CONTENT_INDEX_BATCH_SIZE } = {}) => {
+  const files = await filesRepo.find(
+    { contentStatus: null },
+    { orderBy: 'created_at', ascending: true, limit }
+  );
+  const statuses = {};
+  let processed = 0;
+
+  for (const file of files) {
+    if (queuedIds.has(file.id)) continue;
+
+    const status = await indexFileContent(file);
+    statuses[status] = (statuses[status] || 0) + 1;
+    processed++;
+  }
+
+  return { processed, statuses };
+};
+
+// Escape a snippet from the content search for HTML and mark its matches with <mark>
+export const formatSnippet = (snippet) => (snippet || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\u0002/g, '<mark>')
+  .replace(/\u0003/g, '</mark>');
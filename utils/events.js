@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import { sharesRepo } from '../repos/index.js';
+import { hasPermission } from './permissions.js';
+import { EVENTS_HEARTBEAT_SECONDS } from '../config/env.js';
+
+// Subscription key of a user's top level, where items have no folder
+export const ROOT_FOLDER_KEY = 'root';
+
+// Changes sent to subscribers and the activity actions that raise them
+const CHANGES_BY_ACTION = {
+  'file.upload': 'created',
+  'file.copy': 'created',
+  'file.restore': 'created',
+  'folder.create': 'created',
+  'folder.import': 'created',
+  'folder.import_zip': 'created',
+  'folder.copy': 'created',
+  'folder.restore': 'created',
+  'file.rename': 'updated',
+  'file.star': 'updated',
+  'file.unstar': 'updated',
+  'file.version_upload': 'updated',
+  'file.version_restore': 'updated',
+  'file.properties_update': 'updated',
+  'folder.rename': 'updated',
+  'folder.star': 'updated',
+  'folder.unstar': 'updated',
+  'folder.property_schema_update': 'updated',
+  'share.grant': 'updated',
+  'share.update': 'updated',
+  'share.revoke': 'updated',
+  'file.move': 'moved',
+  'folder.move': 'moved',
+  'file.trash': 'deleted',
+  'file.purge': 'deleted',
+  'folder.trash': 'deleted',
+  'folder.purge': 'deleted'
+};
+
+// Open streams of this process by id. Changes only reach streams on the instance that made them.
+const streams = new Map();
+
+// Send one Server-Sent Event
+const writeEvent = (stream, event, data, id = null) => {
+  if (stream.res.writableEnded || stream.res.destroyed) return;
+  stream.res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Whether a user can currently see an item in folder listings: they own it or it is shared
+// with them. Uses the owner in the activity entry so trashed and purged items still count.
+const canSeeItem = async (userEmail, activity) => {
+  if (activity.owner_email === userEmail) return true;
+
+  const share = await sharesRepo.findOne(
+    { resourceId: activity.resource_id, resourceType: activity.resource_type, userEmail },
+    { columns: 'permission_type' }
+  );
+  return !!share;
+};
+
+// Check the folder ids a user wants to follow; 'root' stands for the top level.
+// Folders the user cannot view are left out. Returns { folderKeys, ignoredFolderIds }.
+export const resolveSubscriptions = async (userEmail, folderIds) => {
+  const folderKeys = [];
+  const ignoredFolderIds = [];
+
+  for (const folderId of new Set(folderIds)) {
+    if (folderId === ROOT_FOLDER_KEY) {
+      folderKeys.push(folderId);
+      continue;
+    }
+
+    const { allowed } = await hasPermission(userEmail, 'folder', folderId, 'viewer');
+    (allowed ? folderKeys : ignoredFolderIds).push(folderId);
+  }
+
+  return { folderKeys, ignoredFolderIds };
+};
+
+// Number of streams a user has open
+export const countStreams = (userEmail) =>
+  [...streams.values()].filter(stream => stream.userEmail === userEmail).length;
+
+// A user's open stream, or null
+export const getStream = (streamId, userEmail) => {
+  const stream = streams.get(streamId);
+  return stream && stream.userEmail === userEmail ? stream : null;
+};
+
+// Turn a response into an event stream following the folders from resolveSubscriptions.
+// The first event, ready, carries the stream id. The stream is forgotten when the client disconnects.
+export const openStream = (res, userEmail, { folderKeys, ignoredFolderIds }) => {
+  const stream = {
+    id: crypto.randomUUID(),
+    userEmail,
+    res,
+    folderKeys: new Set(folderKeys)
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(': keep-alive\n\n');
+  }, EVENTS_HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  streams.set(stream.id, stream);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    streams.delete(stream.id);
+  });
+
+  writeEvent(stream, 'ready', { streamId: stream.id, folderIds: folderKeys, ignoredFolderIds });
+
+  return stream;
+};
+
+// Replace the folders a stream follows and tell the client
+export const setSubscriptions = (stream, folderKeys) => {
+  stream.folderKeys = new Set(folderKeys);
+  writeEvent(stream, 'subscribed', { streamId: stream.id, folderIds: [...stream.folderKeys] });
+};
+
+// Send a change from an activity entry to every stream following the folder it happened in
+// (and, for moves, the folder it left) whose user can currently see the item. Users who
+// gain or lose a share see the item appear or disappear.
+export const publishChange = async (activity) => {
+  const change = CHANGES_BY_ACTION[activity.action];
+  if (!change || streams.size === 0) return;
+
+  try {
+    const details = activity.details || {};
+    const folderKeys = [activity.folder_id ?? ROOT_FOLDER_KEY];
+    const fromFolderId = activity.resource_type === 'file' ? details.fromFolderId : details.fromParentId;
+    if (change === 'moved') {
+      folderKeys.push(fromFolderId ?? ROOT_FOLDER_KEY);
+    }
+
+    const event = {
+      type: change,
+      action: activity.action,
+      resourceType: activity.resource_type,
+      resourceId: activity.resource_id,
+      name: activity.resource_name,
+      folderId: activity.folder_id,
+      ...(change === 'moved' ? { fromFolderId: fromFolderId ?? null } : {}),
+      actor: activity.actor_email,
+      occurredAt: activity.created_at
+    };
+
+    // Several streams of one user share a single permission check
+    const access = new Map();
+
+    for (const stream of [...streams.values()]) {
+      if (!folderKeys.some(key => stream.folderKeys.has(key))) continue;
+
+      const shareTarget = activity.action.startsWith('share.') && details.userEmail === stream.userEmail;
+      if (shareTarget && activity.action === 'share.revoke') {
+        writeEvent(stream, 'deleted', { ...event, type: 'deleted' }, activity.id);
+        continue;
+      }
+
+      if (!access.has(stream.userEmail)) {
+        access.set(stream.userEmail, await canSeeItem(stream.userEmail, activity));
+      }
+      if (!access.get(stream.userEmail)) continue;
+
+      const type = shareTarget && activity.action === 'share.grant' ? 'created' : change;
+      writeEvent(stream, type, { ...event, type }, activity.id);
+    }
+  } catch (error) {
+    console.error(`Error publishing ${activity.action} change:`, error);
+  }
+};
@@ -0,0 +1,20 @@
+import { foldersRepo } from '../repos/index.js';
+
+// Collect the ids of a folder and all of its non-trashed descendants, or of every
+// descendant with includeTrashed
+export const getSubtreeFolderIds = async (rootId, { includeTrashed = false } = {}) => {
+  const folderIds = [rootId];
+  let frontier = [rootId];
+
+  while (frontier.length > 0) {
+    const children = await foldersRepo.find(
+      { parentIds: frontier, isDeleted: includeTrashed ? undefined : false },
+      { columns: 'id' }
+    );
+
+    frontier = children.map(c => c.id).filter(childId => !folderIds.includes(childId));
+    folderIds.push(...frontier);
+  }
+
+  return folderIds;
+};
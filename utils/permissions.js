@@ -1,17 +1,16 @@
-import { supabase } from '../config/supabase.js';
+import { filesRepo, foldersRepo, sharesRepo } from '../repos/index.js';
+
+const getResourceRepo = (resourceType) => (resourceType === 'file' ? filesRepo : foldersRepo);
 
 // Check if user has permission for a specific resource
 export const hasPermission = async (userEmail, resourceType, resourceId, requiredPermission = 'viewer') => {
   try {
     // First check if user owns the resource
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('owner_email')
-      .eq('id', resourceId)
-      .single();
-    
-    if (resourceError) {
+    const resource = await getResourceRepo(resourceType)
+      .findById(resourceId, { columns: 'owner_email, is_deleted' });
+    
+    // Trashed resources behave as if they no longer exist
+    if (!resource || resource.is_deleted) {
       return { allowed: false, reason: 'Resource not found' };
     }
     
@@ -20,15 +19,12 @@ export const hasPermission = async (userEmail, resourceType, resourceId, require
     }
     
     // Check shared permissions
-    const { data: permission, error: permissionError } = await supabase
-      .from('permissions')
-      .select('permission_type')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType)
-      .eq('user_email', userEmail)
-      .single();
-    
-    if (permissionError || !permission) {
+    const permission = await sharesRepo.findOne(
+      { resourceId, resourceType, userEmail },
+      { columns: 'permission_type' }
+    );
+    
+    if (!permission) {
       return { allowed: false, reason: 'No permission found' };
     }
     
@@ -57,27 +53,24 @@ export const hasPermission = async (userEmail, resourceType, resourceId, require
 export const getPermittedIds = async (userEmail, resourceType, requiredPermission = 'viewer') => {
   try {
     // Get owned resources
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: ownedResources, error: ownedError } = await supabase
-      .from(tableName)
-      .select('id')
-      .eq('owner_email', userEmail);
-    
-    if (ownedError) {
+    let ownedResources;
+    try {
+      ownedResources = await getResourceRepo(resourceType).find({ ownerEmail: userEmail }, { columns: 'id' });
+    } catch (ownedError) {
       console.error('Error fetching owned resources:', ownedError);
       return [];
     }
     
-    const ownedIds = (ownedResources || []).map(r => r.id);
+    const ownedIds = ownedResources.map(r => r.id);
     
     // Get shared resources
-    const { data: sharedPermissions, error: sharedError } = await supabase
-      .from('permissions')
-      .select('resource_id, permission_type')
-      .eq('resource_type', resourceType)
-      .eq('user_email', userEmail);
-    
-    if (sharedError) {
+    let sharedPermissions;
+    try {
+      sharedPermissions = await sharesRepo.find(
+        { resourceType, userEmail },
+        { columns: 'resource_id, permission_type' }
+      );
+    } catch (sharedError) {
       console.error('Error fetching shared permissions:', sharedError);
       return ownedIds;
     }
@@ -117,14 +110,9 @@ export const canDelete = async (userEmail, resourceType, resourceId) => {
 export const getPermissionLevel = async (userEmail, resourceType, resourceId) => {
   try {
     // Check if user owns the resource
-    const tableName = resourceType === 'file' ? 'files' : 'folders';
-    const { data: resource, error: resourceError } = await supabase
-      .from(tableName)
-      .select('owner_email')
-      .eq('id', resourceId)
-      .single();
-    
-    if (resourceError) {
+    const resource = await getResourceRepo(resourceType).findById(resourceId, { columns: 'owner_email' });
+    
+    if (!resource) {
       return null;
     }
     
@@ -133,15 +121,12 @@ export const getPermissionLevel = async (userEmail, resourceType, resourceId) =>
     }
     
     // Check shared permissions
-    const { data: permission, error: permissionError } = await supabase
-      .from('permissions')
-      .select('permission_type')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType)
-      .eq('user_email', userEmail)
-      .single();
-    
-    if (permissionError || !permission) {
+    const permission = await sharesRepo.findOne(
+      { resourceId, resourceType, userEmail },
+      { columns: 'permission_type' }
+    );
+    
+    if (!permission) {
       return null;
     }
     
@@ -155,18 +140,10 @@ export const getPermissionLevel = async (userEmail, resourceType, resourceId) =>
 // Get all users with access to a resource
 export const getResourceUsers = async (resourceType, resourceId) => {
   try {
-    const { data: permissions, error } = await supabase
-      .from('permissions')
-      .select('user_email, permission_type, granted_by, created_at')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType);
-    
-    if (error) {
-      console.error('Error fetching resource users:', error);
-      return [];
-    }
-    
-    return permissions || [];
+    return await sharesRepo.find(
+      { resourceId, resourceType },
+      { columns: 'user_email, permission_type, granted_by, created_at' }
+    );
   } catch (error) {
     console.error('Error getting resource users:', error);
     return [];
@@ -176,18 +153,10 @@ export const getResourceUsers = async (resourceType, resourceId) => {
 // Check if a resource is shared with a specific user
 export const isSharedWith = async (resourceType, resourceId, userEmail) => {
   try {
-    const { data: permission, error } = await supabase
-      .from('permissions')
-      .select('permission_type')
-      .eq('resource_id', resourceId)
-      .eq('resource_type', resourceType)
-      .eq('user_email', userEmail)
-      .single();
-    
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error checking if resource is shared:', error);
-      return false;
-    }
+    const permission = await sharesRepo.findOne(
+      { resourceId, resourceType, userEmail },
+      { columns: 'permission_type' }
+    );
     
     return !!permission;
   } catch (error) {
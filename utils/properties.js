@@ -0,0 +1,172 @@
+// Custom file properties are stored in files.properties as { key: { type, value } }.
+// Dates are kept as ISO strings so they compare correctly as text.
+export const PROPERTY_TYPES = ['string', 'number', 'date', 'boolean'];
+export const PROPERTY_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+export const PROPERTY_STRING_MAX_LENGTH = 1000;
+export const PROPERTY_MAX_COUNT = 50;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Query operators of prop.<key> parameters and the repository operators they map to
+const PROPERTY_QUERY_OPERATORS = {
+  '=': 'eq',
+  '!=': 'neq',
+  '<': 'lt',
+  '<=': 'lte',
+  '>': 'gt',
+  '>=': 'gte'
+};
+const PROPERTY_QUERY_PATTERN = /^prop\.([^<>=!]+)(!=|<=|>=|=|<|>)(.*)$/s;
+
+// Turn a value from a request body into { type, value }.
+// Strings, numbers and booleans can be given as is; dates need { type: 'date', value }.
+// Returns { property } or { error }.
+export const normalizeProperty = (key, input) => {
+  const { type, value } = input !== null && typeof input === 'object'
+    ? input
+    : { type: typeof input, value: input };
+
+  switch (type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: `Property "${key}" must be a string` };
+      if (value.length > PROPERTY_STRING_MAX_LENGTH) {
+        return { error: `Property "${key}" must be at most ${PROPERTY_STRING_MAX_LENGTH} characters` };
+      }
+      return { property: { type, value } };
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `Property "${key}" must be a number` };
+      return { property: { type, value } };
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `Property "${key}" must be true or false` };
+      return { property: { type, value } };
+    case 'date': {
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        return { error: `Property "${key}" must be an ISO 8601 date` };
+      }
+      return { property: { type, value: DATE_ONLY_PATTERN.test(value) ? value : new Date(value).toISOString() } };
+    }
+    default:
+      return { error: `Property "${key}" must have a type of: ${PROPERTY_TYPES.join(', ')}` };
+  }
+};
+
+// Merge property changes into a file's current properties; a null value removes the key.
+// Returns { properties } or { error }.
+export const mergeProperties = (current, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'properties must be an object' };
+  }
+
+  const properties = { ...(current || {}) };
+
+  for (const [key, input] of Object.entries(changes)) {
+    if (!PROPERTY_KEY_PATTERN.test(key)) {
+      return { error: `Invalid property key "${key}": use letters, digits and underscores, starting with a letter` };
+    }
+
+    if (input === null) {
+      delete properties[key];
+      continue;
+    }
+
+    const { property, error } = normalizeProperty(key, input);
+    if (error) return { error };
+    properties[key] = property;
+  }
+
+  if (Object.keys(properties).length > PROPERTY_MAX_COUNT) {
+    return { error: `A file can have at most ${PROPERTY_MAX_COUNT} properties` };
+  }
+
+  return { properties };
+};
+
+// Check a folder property schema from a request body: a list of { key, type, required }.
+// Returns { schema } (null clears it) or { error }.
+export const normalizePropertySchema = (schema) => {
+  if (schema === null) return { schema: null };
+
+  if (!Array.isArray(schema)) {
+    return { error: 'schema must be a list of { key, type, required } or null' };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+
+  for (const field of schema) {
+    const { key, type, required = false } = field || {};
+
+    if (typeof key !== 'string' || !PROPERTY_KEY_PATTERN.test(key)) {
+      return { error: `Invalid property key "${key}": use letters, digits and underscores, starting with a letter` };
+    }
+    if (keys.has(key)) {
+      return { error: `Property "${key}" appears more than once` };
+    }
+    if (!PROPERTY_TYPES.includes(type)) {
+      return { error: `Property "${key}" must have a type of: ${PROPERTY_TYPES.join(', ')}` };
+    }
+
+    keys.add(key);
+    normalized.push({ key, type, required: required === true });
+  }
+
+  return { schema: normalized };
+};
+
+// Check properties against a folder schema: required keys must be present and
+// declared keys must have the declared type. Returns an error message or null.
+export const checkPropertySchema = (properties, schema) => {
+  if (!schema) return null;
+
+  const missing = schema
+    .filter(field => field.required && !properties[field.key])
+    .map(field => field.key);
+  if (missing.length > 0) {
+    return `Missing required properties: ${missing.join(', ')}`;
+  }
+
+  const mistyped = schema.find(field => properties[field.key] && properties[field.key].type !== field.type);
+  if (mistyped) {
+    return `Property "${mistyped.key}" must be of type ${mistyped.type}`;
+  }
+
+  return null;
+};
+
+// Read prop.<key><op><value> conditions from a parsed query string, e.g. prop.client=Acme
+// or prop.due<2026-12-01. Express splits these at the first "=", so the key and value are
+// joined again before parsing. Values that look like numbers compare numerically in
+// range conditions. Returns { conditions } or { status, error }.
+export const parsePropertyFilters = (query) => {
+  const conditions = [];
+
+  for (const [name, rawValues] of Object.entries(query)) {
+    if (!name.startsWith('prop.')) continue;
+
+    for (const rawValue of Array.isArray(rawValues) ? rawValues : [rawValues]) {
+      const match = PROPERTY_QUERY_PATTERN.exec(rawValue === '' ? name : `${name}=${rawValue}`);
+      if (!match || !PROPERTY_KEY_PATTERN.test(match[1]) || match[3] === '') {
+        return { status: 400, error: `Invalid property filter "${name}"` };
+      }
+
+      const [, key, symbol, value] = match;
+      const operator = PROPERTY_QUERY_OPERATORS[symbol];
+      const isNumber = value.trim() !== '' && Number.isFinite(Number(value));
+
+      conditions.push({
+        key,
+        operator,
+        value: isNumber && operator !== 'eq' && operator !== 'neq' ? Number(value) : value
+      });
+    }
+  }
+
+  return { conditions };
+};
+
+// Column to order files by for sortBy=prop.<key>, or null when sortBy is not a property
+export const getPropertyOrderColumn = (sortBy) => {
+  if (typeof sortBy !== 'string' || !sortBy.startsWith('prop.')) return null;
+  const key = sortBy.slice('prop.'.length);
+  return PROPERTY_KEY_PATTERN.test(key) ? `properties->${key}->value` : null;
+};
@@ -0,0 +1,29 @@
+import { STORAGE_QUOTA_DEFAULT } from '../config/env.js';
+import { storageUsageRepo, usersRepo } from '../repos/index.js';
+
+// Get a user's quota and what counts against it.
+// used covers live and trashed files (with their older versions) until they are purged;
+// reserved covers resumable uploads that are still in progress.
+export const getStorageQuota = async (userEmail) => {
+  const { used, trashed, reserved } = await storageUsageRepo.getUsed(userEmail);
+  const user = await usersRepo.findOne({ email: userEmail }, { columns: 'storage_quota' });
+
+  const quota = Number(user?.storage_quota ?? STORAGE_QUOTA_DEFAULT);
+
+  return {
+    quota,
+    used,
+    trashed,
+    reserved,
+    available: Math.max(0, quota - used - reserved)
+  };
+};
+
+// Response body for uploads rejected because they do not fit
+export const quotaExceededBody = (storageQuota, requested) => ({
+  error: 'Storage quota exceeded',
+  quota: storageQuota.quota,
+  used: storageQuota.used,
+  available: storageQuota.available,
+  requested
+});
@@ -0,0 +1,31 @@
+import { getTypeFamily } from './searchQuery.js';
+
+// Most common first, then by value
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+// Sum of the counts of each value, as [{ value, count }] in the given order
+const mergeCounts = (counts, order = byCount) => {
+  const totals = new Map();
+  for (const { value, count } of counts) totals.set(value, (totals.get(value) || 0) + Number(count));
+
+  return [...totals].map(([value, count]) => ({ value, count })).sort(order);
+};
+
+// Facets of a name search from the { count, facets } of its file and folder searches (either
+// may be missing or have null facets): by type (a mime family from getTypeFamily, or folder), owner, starred state
+// and the year the item was last modified (UTC)
+export const combineFacets = (files, folders) => {
+  const results = [files, folders].filter(result => result?.facets);
+  const facet = (name) => results.flatMap(result => result.facets[name]);
+
+  return {
+    type: mergeCounts([
+      ...(files?.facets?.mimeType || []).map(({ value, count }) => ({ value: getTypeFamily(value), count })),
+      ...(folders?.count ? [{ value: 'folder', count: folders.count }] : [])
+    ]),
+    owner: mergeCounts(facet('owner')),
+    starred: mergeCounts(facet('starred'), (a, b) => Number(b.value) - Number(a.value)),
+    // Newest year first
+    modifiedYear: mergeCounts(facet('modifiedYear'), (a, b) => b.value - a.value)
+  };
+};
@@ -0,0 +1,418 @@
+import mime from 'mime-types';
+import { foldersRepo } from '../repos/index.js';
+import { getPermittedIds } from './permissions.js';
+import { getTaggedIds } from './tags.js';
+
+// Search box syntax, e.g. report type:pdf size:>10mb owner:me in:"Q3 Finance" modified:<30d
+//
+//   report            name contains the word
+//   "quarterly plan"  name contains the phrase
+//   -draft            negation, also of filters and groups (-type:pdf, -(a OR b))
+//   a OR b            either side; binds tighter than the implicit AND (a b OR c = a AND (b OR c))
+//   ( ... )           grouping
+//   key:value         a filter from SEARCH_FILTERS; values can be quoted
+//
+// Sizes and dates take a comparison: size:>10mb, created:>=2024-01-01. For relative ages,
+// modified:<30d means changed less than 30 days ago and modified:>30d more than 30 days ago.
+
+export const SEARCH_FILTERS = ['type', 'size', 'owner', 'starred', 'in', 'tag', 'modified', 'created'];
+
+const COMPARATORS = ['>=', '<=', '>', '<', '='];
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)(b|kb|mb|gb|tb)?$/i;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+const AGE_PATTERN = /^(\d+)([dwmy])$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// type: values that match a family of mime types, or a list of extensions
+const TYPE_PREFIXES = { image: 'image/', video: 'video/', audio: 'audio/', text: 'text/' };
+const TYPE_EXTENSIONS = {
+  word: ['doc', 'docx', 'odt'],
+  document: ['doc', 'docx', 'odt', 'pdf', 'rtf'],
+  spreadsheet: ['xls', 'xlsx', 'ods', 'csv'],
+  presentation: ['ppt', 'pptx', 'odp'],
+  archive: ['zip', 'rar', '7z', 'tar', 'gz']
+};
+
+// Mime types of the families a file is counted in for search facets (document overlaps word)
+const FAMILY_BY_MIME_TYPE = new Map([
+  ['application/pdf', 'pdf'],
+  ...['word', 'spreadsheet', 'presentation', 'archive'].flatMap(family =>
+    TYPE_EXTENSIONS[family].map(extension => [mime.lookup(extension), family]))
+]);
+
+// Repository filter keys for size and date comparisons
+const SIZE_KEYS = { '>': 'sizeAbove', '>=': 'minSize', '<': 'sizeBelow', '<=': 'maxSize', '=': 'size' };
+const DATE_KEYS = {
+  modified: { '>': 'updatedAfter', '>=': 'updatedFrom', '<': 'updatedBefore', '<=': 'updatedTo' },
+  created: { '>': 'createdAfter', '>=': 'createdFrom', '<': 'createdBefore', '<=': 'createdTo' }
+};
+// An age turns the comparison around: less than 30 days old is after the cutoff
+const AGE_COMPARATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '>' };
+// Comparisons with a whole day, as a comparison with its start or end
+const DAY_BOUNDS = {
+  '>': (start, end) => ['>=', end],
+  '>=': (start) => ['>=', start],
+  '<': (start) => ['<', start],
+  '<=': (start, end) => ['<', end]
+};
+
+class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(`Syntax error at position ${position}: ${message}`);
+    this.position = position;
+  }
+}
+
+// Split a query into words, phrases, filters, parentheses, OR and - tokens
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  // A quoted phrase starting at index; returns its text and the index after the closing quote
+  const readPhrase = (start) => {
+    const end = text.indexOf('"', start + 1);
+    if (end === -1) throw new SearchSyntaxError('Unterminated quote', start);
+    return { value: text.slice(start + 1, end), next: end + 1 };
+  };
+
+  // Characters up to the next space, parenthesis or quote
+  const readWord = (start) => {
+    let end = start;
+    while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+    return { value: text.slice(start, end), next: end };
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      index++;
+    } else if (char === '-' && index + 1 < text.length && !/[\s)]/.test(text[index + 1])) {
+      tokens.push({ type: '-', position });
+      index++;
+    } else if (char === '"') {
+      const { value, next } = readPhrase(index);
+      tokens.push({ type: 'text', value, position });
+      index = next;
+    } else {
+      const { value, next } = readWord(index);
+      index = next;
+
+      const filter = /^([A-Za-z]+):(.*)$/.exec(value);
+      if (value === 'OR') {
+        tokens.push({ type: 'OR', position });
+      } else if (!filter) {
+        tokens.push({ type: 'text', value, position });
+      } else {
+        // The value is what follows the colon, or a quoted phrase right after it
+        let filterValue = filter[2];
+        const valuePosition = position + filter[1].length + 1;
+        if (filterValue === '' && text[index] === '"') {
+          const phrase = readPhrase(index);
+          filterValue = phrase.value;
+          index = phrase.next;
+        }
+        tokens.push({ type: 'filter', key: filter[1].toLowerCase(), value: filterValue, position, valuePosition });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// Split a leading comparison off a filter value
+const readComparison = (value) => {
+  const comparator = COMPARATORS.find(candidate => value.startsWith(candidate));
+  return comparator
+    ? { comparator, operand: value.slice(comparator.length) }
+    : { comparator: null, operand: value };
+};
+
+// Check a filter token's value and turn it into a filter node
+const parseFilter = ({ key, value, position, valuePosition }) => {
+  if (!SEARCH_FILTERS.includes(key)) {
+    throw new SearchSyntaxError(`Unknown filter "${key}:"; use one of: ${SEARCH_FILTERS.join(', ')}`, position);
+  }
+  if (value.trim() === '') {
+    throw new SearchSyntaxError(`Missing value for "${key}:"`, valuePosition);
+  }
+
+  const invalid = (expected) => new SearchSyntaxError(`Invalid value for "${key}:", expected ${expected}`, valuePosition);
+  const { comparator, operand } = readComparison(value);
+
+  switch (key) {
+    case 'type': {
+      const type = value.toLowerCase();
+      if (type === 'file' || type === 'folder') return { type: 'filter', key, kind: type };
+      if (TYPE_PREFIXES[type]) return { type: 'filter', key, prefix: TYPE_PREFIXES[type] };
+      if (type.includes('/')) return { type: 'filter', key, mimeTypes: [type] };
+
+      const mimeTypes = (TYPE_EXTENSIONS[type] || [type]).map(extension => mime.lookup(extension)).filter(Boolean);
+      if (mimeTypes.length === 0) throw invalid('a file extension, mime type, file, folder, image, video, audio or text');
+      return { type: 'filter', key, mimeTypes: [...new Set(mimeTypes)] };
+    }
+    case 'size': {
+      const size = SIZE_PATTERN.exec(operand);
+      if (!size) throw invalid('a size such as 10mb, >500kb or <=2gb');
+      const bytes = Math.round(parseFloat(size[1]) * SIZE_UNITS[(size[2] || 'b').toLowerCase()]);
+      return { type: 'filter', key, comparator: comparator || '=', value: bytes };
+    }
+    case 'starred':
+      if (!['true', 'false'].includes(value.toLowerCase())) throw invalid('true or false');
+      return { type: 'filter', key, value: value.toLowerCase() === 'true' };
+    case 'owner':
+    case 'in':
+    case 'tag':
+      return { type: 'filter', key, value };
+    case 'modified':
+    case 'created': {
+      const age = AGE_PATTERN.exec(operand);
+      if (age) {
+        // Bare ages (modified:7d) mean "within the last"
+        const ageComparator = AGE_COMPARATORS[comparator || '<'];
+        return { type: 'filter', key, comparator: ageComparator, age: { amount: parseInt(age[1]), unit: age[2].toLowerCase() } };
+      }
+      if (!DATE_PATTERN.test(operand) || Number.isNaN(Date.parse(operand))) {
+        throw invalid('a date such as 2024-01-31 or an age such as 30d, 6w, 3m or 1y');
+      }
+      return { type: 'filter', key, comparator: comparator || '=', date: operand };
+    }
+    default:
+      throw invalid('a value');
+  }
+};
+
+// Recursive descent over the tokens:
+//   query := and
+//   and   := or+
+//   or    := unary ('OR' unary)*
+//   unary := '-' unary | '(' and ')' | text | filter
+const parseTokens = (tokens, length) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const endPosition = () => peek()?.position ?? length;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new SearchSyntaxError('Unexpected end of query', length);
+
+    switch (token.type) {
+      case '-':
+        index++;
+        return { type: 'not', child: parseUnary() };
+      case '(': {
+        index++;
+        if (peek()?.type === ')') throw new SearchSyntaxError('Empty group', token.position);
+        const group = parseAnd();
+        if (peek()?.type !== ')') throw new SearchSyntaxError(`Missing ")" to close the group opened at position ${token.position}`, endPosition());
+        index++;
+        return group;
+      }
+      case 'text':
+        index++;
+        return { type: 'text', value: token.value };
+      case 'filter':
+        index++;
+        return parseFilter(token);
+      default:
+        throw new SearchSyntaxError(`Unexpected "${token.type}"`, token.position);
+    }
+  };
+
+  const parseOr = () => {
+    const children = [parseUnary()];
+    while (peek()?.type === 'OR') {
+      index++;
+      if (!peek() || peek().type === ')' || peek().type === 'OR') {
+        throw new SearchSyntaxError('Missing search term after OR', endPosition());
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== ')') {
+      if (peek().type === 'OR') throw new SearchSyntaxError('Missing search term before OR', peek().position);
+      children.push(parseOr());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const tree = parseAnd();
+  if (peek()) throw new SearchSyntaxError('Unexpected ")"', peek().position);
+  return tree;
+};
+
+// Parse search box text into a tree of and/or/not, text and filter nodes.
+// Returns { tree } or { status, error, position } with the 0-based offset of a syntax error.
+export const parseSearchQuery = (text) => {
+  try {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return { status: 400, error: 'Search query is required', position: 0 };
+    return { tree: parseTokens(tokens, text.length) };
+  } catch (error) {
+    if (!(error instanceof SearchSyntaxError)) throw error;
+    return { status: 400, error: error.message, position: error.position };
+  }
+};
+
+// A date without a time is the whole day from midnight UTC; a full timestamp has no end
+const getDayRange = (date) => {
+  if (!DATE_ONLY_PATTERN.test(date)) return { start: new Date(date), end: null };
+  const start = new Date(`${date}T00:00:00.000Z`);
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+// The moment an age such as 30d or 3m reaches back to
+const getAgeCutoff = ({ amount, unit }, now = new Date()) => {
+  const cutoff = new Date(now);
+  if (unit === 'd') cutoff.setUTCDate(cutoff.getUTCDate() - amount);
+  if (unit === 'w') cutoff.setUTCDate(cutoff.getUTCDate() - amount * 7);
+  if (unit === 'm') cutoff.setUTCMonth(cutoff.getUTCMonth() - amount);
+  if (unit === 'y') cutoff.setUTCFullYear(cutoff.getUTCFullYear() - amount);
+  return cutoff;
+};
+
+// The ISO moment an age such as 7d reaches back to from now, or null when value is not an age
+export const resolveAge = (value) => {
+  const age = AGE_PATTERN.exec(String(value ?? '').trim());
+  return age ? getAgeCutoff({ amount: parseInt(age[1]), unit: age[2].toLowerCase() }).toISOString() : null;
+};
+
+// Boolean constants stand for conditions that cannot apply to a resource type, such as
+// size: on folders; these helpers fold them away
+const and = (children) => {
+  if (children.includes(false)) return false;
+  const rest = children.filter(child => child !== true);
+  if (rest.length === 0) return true;
+  return rest.length === 1 ? rest[0] : { and: rest };
+};
+
+const or = (children) => {
+  if (children.includes(true)) return true;
+  const rest = children.filter(child => child !== false);
+  if (rest.length === 0) return false;
+  return rest.length === 1 ? rest[0] : { or: rest };
+};
+
+const not = (child) => (typeof child === 'boolean' ? !child : { not: child });
+
+// Folders visible to a user with a name, ignoring case
+const findFoldersNamed = async (userEmail, name) => {
+  const permittedFolderIds = await getPermittedIds(userEmail, 'folder');
+  const folders = await foldersRepo.find(
+    { isDeleted: false, nameContains: name, visibleTo: { email: userEmail, ids: permittedFolderIds } },
+    { columns: 'id, name' }
+  );
+  return folders.filter(folder => folder.name.toLowerCase() === name.toLowerCase()).map(folder => folder.id);
+};
+
+// Family of a mime type for search facets: image, video, audio, text, pdf, word, spreadsheet,
+// presentation, archive or other. All but other can be searched for with type:
+export const getTypeFamily = (mimeType) => {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  const prefixFamily = Object.keys(TYPE_PREFIXES).find(family => type.startsWith(TYPE_PREFIXES[family]));
+  return prefixFamily || FAMILY_BY_MIME_TYPE.get(type) || 'other';
+};
+
+// Repository filter (or true/false) for one filter node on files or folders, and the
+// filter matching rows where its column is NULL, so negations still match those rows
+const compileFilter = async (node, resourceType, userEmail, lookups) => {
+  const isFile = resourceType === 'file';
+
+  switch (node.key) {
+    case 'type':
+      if (node.kind) return { filter: node.kind === resourceType };
+      if (!isFile) return { filter: false };
+      return {
+        filter: node.prefix ? { mimeTypeStartsWith: node.prefix } : { mimeTypes: node.mimeTypes },
+        whenNull: { mimeType: null }
+      };
+    case 'size':
+      return { filter: isFile && { [SIZE_KEYS[node.comparator]]: node.value } };
+    case 'owner':
+      return { filter: { ownerEmail: node.value.toLowerCase() === 'me' ? userEmail : node.value } };
+    case 'starred':
+      return { filter: { isStarred: node.value } };
+    case 'in': {
+      const lookup = `in:${node.value.toLowerCase()}`;
+      if (!lookups.has(lookup)) lookups.set(lookup, await findFoldersNamed(userEmail, node.value));
+      const folderIds = lookups.get(lookup);
+      if (folderIds.length === 0) return { filter: false };
+      return isFile
+        ? { filter: { folderIds }, whenNull: { folderId: null } }
+        : { filter: { parentIds: folderIds }, whenNull: { parentId: null } };
+    }
+    case 'tag': {
+      const lookup = `tag:${resourceType}:${node.value.toLowerCase()}`;
+      if (!lookups.has(lookup)) {
+        lookups.set(lookup, await getTaggedIds(userEmail, resourceType, { values: [node.value], mode: 'any' }));
+      }
+      const ids = lookups.get(lookup);
+      return { filter: ids.length > 0 && { ids } };
+    }
+    case 'modified':
+    case 'created': {
+      const keys = DATE_KEYS[node.key];
+      if (node.age) return { filter: { [keys[node.comparator]]: getAgeCutoff(node.age).toISOString() } };
+
+      const { start, end } = getDayRange(node.date);
+      if (node.comparator === '=') {
+        return { filter: { [keys['>=']]: start.toISOString(), [keys[end ? '<' : '<=']]: (end || start).toISOString() } };
+      }
+      // A whole day ends where the next one starts: >2024-01-31 is from February 1st on
+      const [comparator, bound] = end ? DAY_BOUNDS[node.comparator](start, end) : [node.comparator, start];
+      return { filter: { [keys[comparator]]: bound.toISOString() } };
+    }
+    default:
+      throw new Error(`Unknown search filter "${node.key}"`);
+  }
+};
+
+// Words and phrases a matching name must contain, leaving out negated ones
+export const getSearchTerms = (tree) => {
+  if (tree.type === 'text') return [tree.value];
+  if (tree.type === 'and' || tree.type === 'or') return [...new Set(tree.children.flatMap(getSearchTerms))];
+  return [];
+};
+
+// Turn a parsed query into the where expression of a files or folders repository filter.
+// context.lookups caches folder and tag lookups between calls; with context.fuzzyNames, terms
+// that are not negated become nameMatches conditions (fuzzy, accent-insensitive name matching
+// by the repositories' searchNames) instead of substring matches. Returns true when every
+// item matches and false when none can, so the caller can skip the query.
+export const buildSearchExpression = async (tree, resourceType, userEmail, context = {}) => {
+  const { lookups = new Map(), fuzzyNames = false } = context;
+  const compileAll = async (nodes, nodeContext = { lookups, fuzzyNames }) => {
+    const compiled = [];
+    for (const node of nodes) compiled.push(await buildSearchExpression(node, resourceType, userEmail, nodeContext));
+    return compiled;
+  };
+
+  switch (tree.type) {
+    case 'and':
+      return and(await compileAll(tree.children));
+    case 'or':
+      return or(await compileAll(tree.children));
+    case 'text':
+      return fuzzyNames ? { nameMatches: tree.value } : { nameContains: tree.value };
+    case 'filter':
+      return (await compileFilter(tree, resourceType, userEmail, lookups)).filter;
+    case 'not': {
+      if (tree.child.type !== 'filter') return not((await compileAll([tree.child], { lookups }))[0]);
+
+      // A negated filter also matches items without the value, such as files at the top level for -in:
+      const { filter, whenNull } = await compileFilter(tree.child, resourceType, userEmail, lookups);
+      return whenNull && typeof filter !== 'boolean' ? or([whenNull, not(filter)]) : not(filter);
+    }
+    default:
+      throw new Error(`Unknown search node "${tree.type}"`);
+  }
+};
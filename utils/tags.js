@@ -0,0 +1,75 @@
+import { tagsRepo, itemTagsRepo } from '../repos/index.js';
+
+export const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+export const TAG_NAME_MAX_LENGTH = 100;
+
+const TAG_MODES = ['any', 'all'];
+
+// Parse the tags= and tagMode= query parameters shared by the list and search routes.
+// tags holds tag ids or names of the user's tags, comma-separated or repeated.
+// Returns null when there is no tag filter, or { status, error } when it is invalid.
+export const parseTagFilter = ({ tags, tagMode = 'any' }) => {
+  if (!tags) return null;
+
+  if (!TAG_MODES.includes(tagMode)) {
+    return { status: 400, error: `tagMode must be one of: ${TAG_MODES.join(', ')}` };
+  }
+
+  const values = (Array.isArray(tags) ? tags : [tags])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  return values.length > 0 ? { values, mode: tagMode } : null;
+};
+
+// Ids of the files or folders carrying the user's tags: any of them, or all of them
+export const getTaggedIds = async (userEmail, resourceType, { values, mode }) => {
+  const userTags = await tagsRepo.find({ ownerEmail: userEmail }, { columns: 'id, name' });
+
+  const matched = values.map(value => userTags.find(tag =>
+    tag.id === value || tag.name.toLowerCase() === value.toLowerCase()
+  ));
+  const tagIds = [...new Set(matched.filter(Boolean).map(tag => tag.id))];
+
+  // An unknown tag can never be matched, so "all" finds nothing
+  if (tagIds.length === 0 || (mode === 'all' && matched.includes(undefined))) return [];
+
+  const itemTags = await itemTagsRepo.find({ tagIds, resourceType }, { columns: 'tag_id, resource_id' });
+
+  const tagsByResource = new Map();
+  for (const { tag_id: tagId, resource_id: resourceId } of itemTags) {
+    if (!tagsByResource.has(resourceId)) tagsByResource.set(resourceId, new Set());
+    tagsByResource.get(resourceId).add(tagId);
+  }
+
+  return [...tagsByResource.entries()]
+    .filter(([, resourceTagIds]) => mode === 'any' || resourceTagIds.size === tagIds.length)
+    .map(([resourceId]) => resourceId);
+};
+
+// Add the user's tags ({ id, name, color }) to each file or folder as item.tags.
+// Tags are personal: items shared with the user show the user's tags, not the owner's.
+export const attachTags = async (items, resourceType, userEmail) => {
+  if (!items || items.length === 0) return items;
+
+  const userTags = await tagsRepo.find(
+    { ownerEmail: userEmail },
+    { columns: 'id, name, color', orderBy: 'name', ascending: true }
+  );
+
+  const tagsByItem = new Map();
+  if (userTags.length > 0) {
+    const itemTags = await itemTagsRepo.find(
+      { tagIds: userTags.map(tag => tag.id), resourceType, resourceIds: items.map(item => item.id) },
+      { columns: 'tag_id, resource_id' }
+    );
+    const itemTagIds = new Set(itemTags.map(itemTag => `${itemTag.resource_id}:${itemTag.tag_id}`));
+
+    for (const item of items) {
+      tagsByItem.set(item.id, userTags.filter(tag => itemTagIds.has(`${item.id}:${tag.id}`)));
+    }
+  }
+
+  return items.map(item => ({ ...item, tags: tagsByItem.get(item.id) || [] }));
+};
@@ -0,0 +1,168 @@
+import { filesRepo, foldersRepo, trashPurgeRunsRepo } from '../repos/index.js';
+import { storage } from '../storage/index.js';
+import { getVersionStorageObjects } from './versions.js';
+import { getSubtreeFolderIds } from './folderTree.js';
+import { recordActivity } from './activity.js';
+
+const PURGE_BATCH_SIZE = 100;
+
+// Permanently delete a batch of files: storage objects (every version) first, then rows.
+// Files whose storage could not be removed keep their row so a later run retries them.
+// activity holds the actorEmail (null for the retention job) and trigger to record.
+const purgeFileRows = async (files, summary, activity) => {
+  const purgedIds = [];
+  const failedIds = [];
+
+  for (const file of files) {
+    const storageObjects = await getVersionStorageObjects(file);
+
+    if (storageObjects.length > 0) {
+      const { error: storageError } = await storage.remove(storageObjects.map(object => object.path));
+
+      if (storageError) {
+        console.error(`Error removing storage for file ${file.id}:`, storageError);
+        summary.errors.push({ type: 'file', id: file.id, name: file.name, error: storageError.message });
+        failedIds.push(file.id);
+        continue;
+      }
+    }
+
+    purgedIds.push(file.id);
+    summary.bytesPurged += storageObjects.reduce((total, object) => total + object.size, 0);
+  }
+
+  if (purgedIds.length > 0) {
+    await filesRepo.removeWhere({ ids: purgedIds });
+    summary.filesPurged += purgedIds.length;
+
+    for (const file of files.filter(f => purgedIds.includes(f.id))) {
+      await recordActivity(activity.actorEmail, 'file.purge', 'file', file, { trigger: activity.trigger });
+    }
+  }
+
+  return failedIds;
+};
+
+// Purge every file matching the filter, a batch at a time. Returns the ids of the files
+// that could not be purged.
+const purgeFilesWhere = async (filter, summary, activity) => {
+  const skippedIds = [];
+
+  while (true) {
+    const files = await filesRepo.find(
+      { ...filter, excludeIds: skippedIds },
+      { orderBy: 'deleted_at', ascending: true, limit: PURGE_BATCH_SIZE }
+    );
+    if (files.length === 0) break;
+
+    skippedIds.push(...await purgeFileRows(files, summary, activity));
+  }
+
+  return skippedIds;
+};
+
+// Permanently delete trashed files and folders.
+// ownerEmail limits the purge to one user's trash; olderThan limits it to items
+// deleted before that date. actorEmail and trigger are recorded in the activity log.
+// Returns a summary of what was removed.
+export const purgeTrash = async ({ ownerEmail = null, olderThan = null, actorEmail = null, trigger = null } = {}) => {
+  const summary = {
+    filesPurged: 0,
+    foldersPurged: 0,
+    bytesPurged: 0,
+    errors: []
+  };
+
+  const activity = { actorEmail, trigger };
+
+  const trashFilter = {
+    isDeleted: true,
+    ownerEmail: ownerEmail || undefined,
+    deletedBefore: olderThan || undefined
+  };
+
+  // Trashed files on their own
+  await purgeFilesWhere(trashFilter, summary, activity);
+
+  // Trashed folders. Deleting a folder row cascades to every folder and file below it, trashed
+  // or not and whoever owns them, so the files of its whole subtree are purged first. A
+  // folder's subtree is a strict superset of any descendant's, so going from the smallest
+  // subtree up removes descendants before their ancestors.
+  const folders = await foldersRepo.find(trashFilter, { columns: 'id, name, owner_email, parent_id' });
+  const subtrees = new Map();
+  for (const folder of folders) {
+    subtrees.set(folder.id, await getSubtreeFolderIds(folder.id, { includeTrashed: true }));
+  }
+  folders.sort((a, b) => subtrees.get(a.id).length - subtrees.get(b.id).length);
+
+  // Folders kept because files below them could not be purged; their ancestors are kept too
+  const skippedFolderIds = new Set();
+
+  for (const folder of folders) {
+    const subtreeIds = subtrees.get(folder.id);
+
+    if (subtreeIds.some(id => skippedFolderIds.has(id))) {
+      skippedFolderIds.add(folder.id);
+      summary.errors.push({ type: 'folder', id: folder.id, name: folder.name, error: 'Skipped because a folder inside it could not be purged' });
+      continue;
+    }
+
+    const failedFileIds = [];
+    for (let i = 0; i < subtreeIds.length; i += PURGE_BATCH_SIZE) {
+      failedFileIds.push(...await purgeFilesWhere({ folderIds: subtreeIds.slice(i, i + PURGE_BATCH_SIZE) }, summary, activity));
+    }
+
+    // Keep folders whose files could not be removed, so nothing is orphaned in storage
+    if (failedFileIds.length > 0) {
+      skippedFolderIds.add(folder.id);
+      summary.errors.push({ type: 'folder', id: folder.id, name: folder.name, error: 'Skipped because some files could not be purged' });
+      continue;
+    }
+
+    await foldersRepo.removeWhere({ id: folder.id });
+    summary.foldersPurged += 1;
+
+    await recordActivity(actorEmail, 'folder.purge', 'folder', folder, { trigger });
+  }
+
+  return summary;
+};
+
+// Run a purge and store its report in trash_purge_runs
+export const runTrashPurge = async ({ trigger, ownerEmail = null, retentionDays = null, actorEmail = null }) => {
+  const startedAt = new Date();
+  const olderThan = retentionDays
+    ? new Date(startedAt.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  let summary;
+  let failure = null;
+
+  try {
+    summary = await purgeTrash({ ownerEmail, olderThan, actorEmail, trigger });
+  } catch (error) {
+    failure = error;
+    summary = { filesPurged: 0, foldersPurged: 0, bytesPurged: 0, errors: [{ error: error.message }] };
+  }
+
+  let run = null;
+  try {
+    run = await trashPurgeRunsRepo.create({
+      trigger,
+      owner_email: ownerEmail,
+      retention_days: retentionDays,
+      started_at: startedAt.toISOString(),
+      finished_at: new Date().toISOString(),
+      files_purged: summary.filesPurged,
+      folders_purged: summary.foldersPurged,
+      bytes_purged: summary.bytesPurged,
+      errors: summary.errors
+    });
+  } catch (runError) {
+    console.error('Error recording trash purge run:', runError);
+  }
+
+  if (failure) throw failure;
+
+  return { ...summary, run };
+};
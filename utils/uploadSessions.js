@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { UPLOAD_TMP_DIR } from '../config/env.js';
+import { uploadSessionsRepo } from '../repos/index.js';
+
+const SWEEP_BATCH_SIZE = 200;
+
+// Where the chunks of an upload session are staged until it completes
+export const getUploadTempPath = (sessionId) => path.join(UPLOAD_TMP_DIR, sessionId);
+
+// Delete unfinished upload sessions past their expiry, with their staged chunks.
+// Completed sessions are kept, since they point at the file they created.
+export const sweepExpiredUploadSessions = async () => {
+  const now = new Date().toISOString();
+  let removed = 0;
+
+  while (true) {
+    const sessions = await uploadSessionsRepo.find(
+      { statuses: ['uploading', 'expired'], expiresBefore: now },
+      { columns: 'id', limit: SWEEP_BATCH_SIZE }
+    );
+    if (sessions.length === 0) break;
+
+    for (const session of sessions) {
+      await fs.promises.rm(getUploadTempPath(session.id), { force: true });
+    }
+    await uploadSessionsRepo.removeWhere({ ids: sessions.map(session => session.id) });
+
+    removed += sessions.length;
+  }
+
+  return { removed };
+};
@@ -0,0 +1,93 @@
+import { filesRepo, fileVersionsRepo } from '../repos/index.js';
+
+// Postgres error code of a violated UNIQUE constraint
+const UNIQUE_VIOLATION = '23505';
+const VERSION_NUMBER_ATTEMPTS = 5;
+
+// Make sure a file has its current content recorded as a version row.
+// Files uploaded before versioning existed have no history yet, so the
+// first time we touch their history we snapshot the files row as version 1.
+export const ensureBaseVersion = async (file) => {
+  const existing = await fileVersionsRepo.findOne({ fileId: file.id }, { columns: 'id' });
+  if (existing) return;
+
+  try {
+    await fileVersionsRepo.create({
+      file_id: file.id,
+      version_number: file.current_version || 1,
+      storage_path: file.storage_path,
+      original_name: file.original_name || file.name,
+      mime_type: file.mime_type,
+      size: file.size,
+      uploaded_by: file.owner_email,
+      created_at: file.created_at
+    });
+  } catch (error) {
+    // A concurrent request recorded it first
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+  }
+};
+
+// Get the number the next version of a file should use
+const getNextVersionNumber = async (fileId) => {
+  const [latest] = await fileVersionsRepo.find(
+    { fileId },
+    { columns: 'version_number', orderBy: 'version_number', ascending: false, limit: 1 }
+  );
+
+  return latest ? latest.version_number + 1 : 1;
+};
+
+// Add a version as the next one of its file. Concurrent uploads and restores can pick the
+// same number; UNIQUE (file_id, version_number) rejects all but one, and the others retry.
+export const createFileVersion = async (fileId, version) => {
+  for (let attempt = 1; ; attempt++) {
+    const versionNumber = await getNextVersionNumber(fileId);
+    try {
+      return await fileVersionsRepo.create({ ...version, file_id: fileId, version_number: versionNumber });
+    } catch (error) {
+      if (error.code !== UNIQUE_VIOLATION || attempt >= VERSION_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Find a version of a file by version number or by version id
+export const findFileVersion = (fileId, version) => fileVersionsRepo.findOne(
+  /^\d+$/.test(String(version))
+    ? { fileId, versionNumber: parseInt(version) }
+    : { fileId, id: version }
+);
+
+// Make a version the current content of its file
+export const applyVersionToFile = (fileId, version) => filesRepo.update(fileId, {
+  storage_path: version.storage_path,
+  original_name: version.original_name,
+  mime_type: version.mime_type,
+  size: version.size,
+  current_version: version.version_number,
+  download_url: null,
+  // New content has to be extracted again for content search
+  content_status: null,
+  updated_at: new Date().toISOString()
+});
+
+// Get every storage object referenced by a file and its history, once each, with its size
+export const getVersionStorageObjects = async (file) => {
+  let versions = [];
+  try {
+    versions = await fileVersionsRepo.find({ fileId: file.id }, { columns: 'storage_path, size' });
+  } catch (error) {
+    console.error('Error fetching file versions:', error);
+  }
+
+  const sizes = new Map();
+  for (const { storage_path: path, size } of [file, ...versions]) {
+    if (path && !sizes.has(path)) sizes.set(path, Number(size) || 0);
+  }
+  return [...sizes].map(([path, size]) => ({ path, size }));
+};
+
+// Get every storage object referenced by a file and its history
+export const getVersionStoragePaths = async (file) => (
+  (await getVersionStorageObjects(file)).map(object => object.path)
+);
@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { foldersRepo, webhooksRepo, webhookDeliveriesRepo } from '../repos/index.js';
+import {
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_SECONDS,
+  WEBHOOK_ALLOWED_HOSTS
+} from '../config/env.js';
+
+// Webhook events and the activity actions that raise them
+const EVENTS_BY_ACTION = {
+  'file.upload': 'file.uploaded',
+  'file.version_upload': 'file.version_uploaded',
+  'file.version_restore': 'file.version_restored',
+  'file.rename': 'file.renamed',
+  'file.move': 'file.moved',
+  'file.copy': 'file.copied',
+  'file.properties_update': 'file.properties_updated',
+  'file.trash': 'file.deleted',
+  'file.restore': 'file.restored',
+  'file.purge': 'file.purged',
+  'folder.create': 'folder.created',
+  'folder.import': 'folder.imported',
+  'folder.import_zip': 'folder.imported',
+  'folder.copy': 'folder.copied',
+  'folder.rename': 'folder.renamed',
+  'folder.move': 'folder.moved',
+  'folder.trash': 'folder.deleted',
+  'folder.restore': 'folder.restored',
+  'folder.purge': 'folder.purged',
+  'share.grant': 'share.granted',
+  'share.update': 'share.updated',
+  'share.revoke': 'share.revoked',
+  'link.create': 'link.created',
+  'link.delete': 'link.deleted',
+  'link.access': 'link.accessed'
+};
+
+export const WEBHOOK_EVENTS = [...new Set(Object.values(EVENTS_BY_ACTION))];
+
+// Addresses webhooks may not reach: this host, private networks, link-local (cloud metadata)
+// and other ranges that are not publicly routable. IPv4 subnets also match IPv4-mapped
+// IPv6 addresses such as ::ffff:127.0.0.1.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Check that a webhook URL's host only resolves to public addresses, unless it is listed in
+// WEBHOOK_ALLOWED_HOSTS. Returns an error message, or null if the URL may be called.
+export const checkWebhookTarget = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.includes(hostname)) return null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return `Could not resolve ${hostname}`;
+  }
+
+  const blocked = addresses.find(({ address, family }) => (
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+  ));
+  return blocked ? `${hostname} resolves to a private or reserved address (${blocked.address})` : null;
+};
+
+// Deliveries being sent by this process, so the retry job never sends one twice at once
+const activeDeliveries = new Set();
+
+// A folder and every folder above it, with their owners
+const getFolderAncestry = async (folderId) => {
+  const ancestry = [];
+  let currentId = folderId;
+
+  while (currentId && !ancestry.some(folder => folder.id === currentId)) {
+    const folder = await foldersRepo.findById(currentId, { columns: 'id, parent_id, owner_email' });
+    if (!folder) break;
+    ancestry.push(folder);
+    currentId = folder.parent_id;
+  }
+
+  return ancestry;
+};
+
+// Headers of a delivery: the signature is an HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+const signDelivery = (secret, deliveryId, event, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'Content-Type': 'application/json',
+  'User-Agent': 'DataDock-Webhooks',
+  'X-DataDock-Event': event,
+  'X-DataDock-Delivery': deliveryId,
+  'X-DataDock-Timestamp': String(timestamp),
+  'X-DataDock-Signature': `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+});
+
+// Send one attempt of a delivery and record the outcome. Failed attempts are retried
+// after WEBHOOK_RETRY_BASE_SECONDS * 2^(attempts - 1) until WEBHOOK_MAX_ATTEMPTS is reached.
+// Returns the updated delivery, or null if it is already being sent.
+export const attemptDelivery = async (delivery, webhook) => {
+  if (activeDeliveries.has(delivery.id)) return null;
+  activeDeliveries.add(delivery.id);
+
+  try {
+    const body = JSON.stringify(delivery.payload);
+    let statusCode = null;
+    // Checked again before every attempt, as the host may resolve elsewhere by now
+    let failure = await checkWebhookTarget(webhook.url);
+
+    if (!failure) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: signDelivery(webhook.secret, delivery.id, delivery.event, body),
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) failure = `Endpoint responded with ${response.status}`;
+        await response.body?.cancel();
+      } catch (error) {
+        failure = error.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : error.message;
+      }
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    const changes = {
+      attempts,
+      last_status_code: statusCode,
+      last_error: failure,
+      updated_at: now.toISOString()
+    };
+
+    if (!failure) {
+      Object.assign(changes, { status: 'succeeded', delivered_at: now.toISOString(), next_attempt_at: null });
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      Object.assign(changes, { status: 'failed', next_attempt_at: null });
+    } else {
+      const delayMs = WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+      Object.assign(changes, { status: 'pending', next_attempt_at: new Date(now.getTime() + delayMs).toISOString() });
+    }
+
+    return await webhookDeliveriesRepo.update(delivery.id, changes);
+  } finally {
+    activeDeliveries.delete(delivery.id);
+  }
+};
+
+// Queue a delivery and send its first attempt in the background. Until that attempt
+// finishes the delivery is due one backoff step later, so the retry job picks it up
+// if the process stops first.
+export const queueDelivery = async (webhook, event, payload, { redeliveryOf = null } = {}) => {
+  const delivery = await webhookDeliveriesRepo.create({
+    webhook_id: webhook.id,
+    event,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date(Date.now() + WEBHOOK_RETRY_BASE_SECONDS * 1000).toISOString(),
+    redelivery_of: redeliveryOf
+  });
+
+  const attempt = attemptDelivery(delivery, webhook).catch((error) => {
+    console.error(`Error delivering webhook ${delivery.id}:`, error);
+    return null;
+  });
+
+  return { delivery, attempt };
+};
+
+// Queue deliveries of an activity entry to the active webhooks that listen for its event:
+// unscoped webhooks of the item's owner, and webhooks scoped to a folder the item is anywhere
+// inside, whoever owns the item (collaborators add items to folders they do not own)
+export const dispatchWebhooks = async (activity) => {
+  const event = EVENTS_BY_ACTION[activity.action];
+  if (!event) return;
+
+  try {
+    const ancestry = await getFolderAncestry(activity.folder_id);
+    const ancestryIds = ancestry.map(folder => folder.id);
+    const ownerEmails = [...new Set([activity.owner_email, ...ancestry.map(folder => folder.owner_email)])]
+      .filter(Boolean);
+    if (ownerEmails.length === 0) return;
+
+    const webhooks = (await webhooksRepo.find({ ownerEmails, isActive: true }))
+      .filter(webhook => webhook.events.includes(event) || webhook.events.includes('*'))
+      .filter(webhook => (webhook.folder_id
+        ? ancestryIds.includes(webhook.folder_id)
+        : webhook.owner_email === activity.owner_email));
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: activity.id,
+      event,
+      occurredAt: activity.created_at,
+      actor: activity.actor_email,
+      resource: {
+        type: activity.resource_type,
+        id: activity.resource_id,
+        name: activity.resource_name,
+        ownerEmail: activity.owner_email,
+        folderId: activity.folder_id
+      },
+      details: activity.details
+    };
+
+    for (const webhook of webhooks) {
+      await queueDelivery(webhook, event, payload);
+    }
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks:`, error);
+  }
+};
+
+// Send every pending delivery whose next attempt is due; returns how many were attempted
+export const retryDueDeliveries = async ({ limit = 50 } = {}) => {
+  const deliveries = await webhookDeliveriesRepo.find(
+    { status: 'pending', dueBefore: new Date().toISOString() },
+    { orderBy: 'next_attempt_at', ascending: true, limit }
+  );
+
+  for (const delivery of deliveries) {
+    const webhook = await webhooksRepo.findById(delivery.webhook_id);
+
+    if (!webhook || !webhook.is_active) {
+      await webhookDeliveriesRepo.update(delivery.id, {
+        status: 'failed',
+        next_attempt_at: null,
+        last_error: 'Webhook is disabled',
+        updated_at: new Date().toISOString()
+      });
+      continue;
+    }
+
+    await attemptDelivery(delivery, webhook);
+  }
+
+  return deliveries.length;
+};
@@ -0,0 +1,188 @@
+import yauzl from 'yauzl';
+import mime from 'mime-types';
+import crypto from 'crypto';
+import { filesRepo, foldersRepo } from '../repos/index.js';
+import {
+  ZIP_IMPORT_MAX_ENTRIES,
+  ZIP_IMPORT_MAX_UNCOMPRESSED,
+  ZIP_IMPORT_MAX_RATIO
+} from '../config/env.js';
+import { storage } from '../storage/index.js';
+import { queueContentIndex } from './contentIndex.js';
+
+// Entries smaller than this are not checked for their compression ratio
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Read the central directory of an archive without extracting anything
+const readZipEntries = (zipfile) => new Promise((resolve, reject) => {
+  const entries = [];
+
+  zipfile.on('entry', (entry) => {
+    entries.push(entry);
+    zipfile.readEntry();
+  });
+  zipfile.on('end', () => resolve(entries));
+  zipfile.on('error', reject);
+
+  zipfile.readEntry();
+});
+
+// Open an uploaded archive and check it against the zip bomb limits.
+// Returns { zipfile, entries, totalUncompressed } or { status, error } when the archive is rejected.
+export const openZipArchive = async (zipPath) => {
+  let zipfile;
+
+  try {
+    // Names are decoded per entry so one unsafe path does not abort the whole archive
+    zipfile = await yauzl.openPromise(zipPath, {
+      lazyEntries: true,
+      autoClose: false,
+      decodeStrings: false
+    });
+  } catch (error) {
+    return { status: 400, error: 'Invalid zip archive' };
+  }
+
+  if (zipfile.entryCount > ZIP_IMPORT_MAX_ENTRIES) {
+    zipfile.close();
+    return { status: 413, error: `Archive has more than ${ZIP_IMPORT_MAX_ENTRIES} entries` };
+  }
+
+  let entries;
+  try {
+    entries = await readZipEntries(zipfile);
+  } catch (error) {
+    zipfile.close();
+    return { status: 400, error: `Invalid zip archive: ${error.message}` };
+  }
+
+  // Declared sizes come from the central directory; yauzl also verifies the
+  // real sizes while extracting, so an entry cannot inflate past what it declares
+  const totalUncompressed = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+  if (totalUncompressed > ZIP_IMPORT_MAX_UNCOMPRESSED) {
+    zipfile.close();
+    return { status: 413, error: `Archive expands to more than ${ZIP_IMPORT_MAX_UNCOMPRESSED} bytes` };
+  }
+
+  return { zipfile, entries, totalUncompressed };
+};
+
+// Create any folders on the path that do not exist yet and return the id of the deepest one
+const ensureFolderPath = async (segments, folderIds, userEmail, results) => {
+  for (let i = 0; i < segments.length; i++) {
+    const folderPath = segments.slice(0, i + 1).join('/');
+    if (folderIds.has(folderPath)) continue;
+
+    const parentPath = segments.slice(0, i).join('/');
+    const folder = await foldersRepo.create({
+      name: segments[i],
+      parent_id: folderIds.get(parentPath),
+      owner_email: userEmail
+    });
+
+    folderIds.set(folderPath, folder.id);
+    results.push({ path: `${folderPath}/`, type: 'folder', status: 'created', id: folder.id });
+  }
+
+  return folderIds.get(segments.join('/'));
+};
+
+// Extract every entry of an opened archive into folders and files under rootFolderId.
+// Returns one result per entry: created, skipped or failed (with the reason).
+export const extractZipArchive = async ({ zipfile, entries }, rootFolderId, userEmail) => {
+  const results = [];
+  const folderIds = new Map([['', rootFolderId]]);
+
+  try {
+    for (const entry of entries) {
+      const entryName = yauzl.getFileNameLowLevel(
+        entry.generalPurposeBitFlag,
+        entry.fileNameRaw,
+        entry.extraFields,
+        false
+      );
+
+      // Zip-slip: absolute paths, drive letters, backslashes and ".." segments
+      const pathError = yauzl.validateFileName(entryName);
+      if (pathError) {
+        results.push({ path: entryName, status: 'failed', error: `Unsafe path (${pathError})` });
+        continue;
+      }
+
+      const isDirectory = entryName.endsWith('/');
+      const segments = entryName.split('/').filter(segment => segment && segment !== '.');
+      if (segments.length === 0) continue;
+
+      // Metadata added by macOS when zipping
+      if (segments[0] === '__MACOSX' || segments[segments.length - 1] === '.DS_Store') {
+        results.push({ path: entryName, status: 'skipped', reason: 'System metadata' });
+        continue;
+      }
+
+      if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+        results.push({ path: entryName, status: 'failed', error: 'Symbolic links are not supported' });
+        continue;
+      }
+
+      if (entry.isEncrypted()) {
+        results.push({ path: entryName, status: 'failed', error: 'Encrypted entries are not supported' });
+        continue;
+      }
+
+      if (
+        entry.uncompressedSize >= RATIO_CHECK_MIN_SIZE &&
+        entry.uncompressedSize > entry.compressedSize * ZIP_IMPORT_MAX_RATIO
+      ) {
+        results.push({ path: entryName, status: 'failed', error: 'Compression ratio too high' });
+        continue;
+      }
+
+      try {
+        const folderSegments = isDirectory ? segments : segments.slice(0, -1);
+        const folderId = await ensureFolderPath(folderSegments, folderIds, userEmail, results);
+
+        if (isDirectory) continue;
+
+        const fileName = segments[segments.length - 1];
+        const mimeType = mime.lookup(fileName) || 'application/octet-stream';
+        const objectId = crypto.randomBytes(16).toString('hex');
+        const storageName = fileName.includes('.') ? `${objectId}.${fileName.split('.').pop()}` : objectId;
+
+        const readStream = await zipfile.openReadStreamPromise(entry);
+        const { data: uploadData, error: uploadError } = await storage.upload(storageName, readStream, {
+          contentType: mimeType,
+          metadata: {
+            originalName: fileName,
+            uploadedBy: userEmail
+          }
+        });
+
+        if (uploadError) throw uploadError;
+
+        const file = await filesRepo.create({
+          name: fileName,
+          original_name: fileName,
+          mime_type: mimeType,
+          size: entry.uncompressedSize,
+          folder_id: folderId,
+          owner_email: userEmail,
+          storage_path: uploadData.path,
+          path: segments.join('/')
+        });
+
+        queueContentIndex(file);
+        results.push({ path: entryName, type: 'file', status: 'created', id: file.id });
+      } catch (error) {
+        console.error(`Error extracting ${entryName}:`, error);
+        results.push({ path: entryName, status: 'failed', error: error.message });
+      }
+    }
+  } finally {
+    zipfile.close();
+  }
+
+  return results;
+};